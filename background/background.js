@@ -1,512 +1,1912 @@
-// OpenAPI Generator Class
-class OpenAPIGenerator {
+// Shared library modules (classic service worker, so load them up front)
+importScripts(
+  "/lib/utils.js",
+  "/lib/discovery-scope.js",
+  "/lib/capture-rules.js",
+  "/lib/request-tracker.js",
+  "/lib/operation-store.js",
+  "/lib/candidate-store.js",
+  "/lib/capture-db.js",
+  "/lib/session-registry.js",
+  "/lib/har-importer.js",
+  "/lib/har-exporter.js",
+  "/lib/replay-request.js",
+  "/lib/action-hints.js",
+  "/lib/bundle-scanner.js",
+  "/lib/body-parser.js",
+  "/lib/stream-parser.js",
+  "/lib/graphql-analyzer.js",
+  "/lib/schema-inferrer.js",
+  "/lib/api-analyzer.js",
+  "/lib/openapi-generator.js",
+  "/lib/published-specs.js",
+  "/lib/asyncapi-generator.js",
+  "/background/response-capture.js"
+);
+
+// Main Background Script Class
+class APIDiscoveryBackground {
   constructor() {
-    this.schemaCache = new Map();
-    this.operationIdCache = new Set();
+    this.isDiscovering = false;
+    this.scope = null;
+    // Grouped by the same path templates the OpenAPI export uses
+    const openAPIGenerator = new OpenAPIGenerator();
+    this.operations = new OperationStore((endpoint) =>
+      openAPIGenerator.normalizePath(endpoint.pathname)
+    );
+    // Endpoints only seen in page code, kept apart from observed traffic
+    this.candidates = new CandidateStore((endpoint) =>
+      openAPIGenerator.normalizePath(endpoint.pathname)
+    );
+    // Script files already fetched for the bundle scanner in this session
+    this.scannedScripts = new Set();
+    // API descriptions the site publishes, found by probing on request
+    this.publishedDocuments = [];
+    this.captureDB = new CaptureDB();
+    // Filled in by loadState; everything captured goes into the active session
+    this.sessions = new SessionRegistry();
+    this.sessionId = null;
+    this.saveTimer = null;
+    this.hydrated = false;
+    this.transactionsTimer = null;
+    this.webSockets = [];
+    this.settings = this.getDefaultSettings();
+    this.captureRules = CaptureRules.getDefaultRules();
+    this.pendingResponseSamples = [];
+    this.requestTracker = new RequestTracker();
+    this.actionHints = new ActionHints();
+    this.activeStreams = new Map();
+    this.responseCapture = new ResponseBodyCapture({
+      onSample: (sample) => this.handleResponseSample(sample),
+    });
+    this.init();
   }
 
-  generateOpenAPISpec(endpoints, options = {}) {
-    if (!Array.isArray(endpoints) || endpoints.length === 0) {
-      return this.generateEmptySpec();
+  init() {
+    // Listeners are registered right away so events can wake the worker, but
+    // they wait for the saved state; otherwise a waking worker drops them
+    this.ready = this.loadState().then(() => this.resumeDiscovery());
+    this.setupMessageListeners();
+    this.setupWebRequestListeners();
+    this.setupTabListeners();
+  }
+
+  setupMessageListeners() {
+    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      if (!this.hydrated) {
+        this.ready.then(() =>
+          this.handleMessage(message, sender, sendResponse)
+        );
+        return true; // Answered once the saved state is back
+      }
+      return this.handleMessage(message, sender, sendResponse);
+    });
+  }
+
+  handleMessage(message, sender, sendResponse) {
+    switch (message.type) {
+      case "START_DISCOVERY":
+        try {
+          this.startDiscovery(message.scope);
+          sendResponse({ success: true, scope: this.scope });
+        } catch (error) {
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+      case "STOP_DISCOVERY":
+        this.stopDiscovery();
+        sendResponse({ success: true });
+        break;
+      case "GET_STATE":
+        sendResponse({
+          isDiscovering: this.isDiscovering,
+          scope: this.scope,
+          scopeLabel: DiscoveryScope.describe(this.scope),
+          operations: this.summarizeOperations(),
+          storage: this.getStorageUsage(),
+          sessionId: this.sessionId,
+          sessions: this.summarizeSessions(),
+          webSockets: this.summarizeWebSockets(),
+          candidates: this.getPendingCandidates(),
+          publishedDocuments: this.publishedDocuments.map((document) =>
+            this.summarizePublishedDocument(document)
+          ),
+          performance: this.buildPerformanceStats(),
+          settings: this.settings,
+        });
+        break;
+      case "GET_CAPTURE_RULES":
+        sendResponse({ rules: this.captureRules });
+        break;
+      case "UPDATE_CAPTURE_RULES":
+        sendResponse(this.updateCaptureRules(message.rules));
+        break;
+      case "UPDATE_SETTINGS":
+        try {
+          this.updateSettings(message.settings);
+          sendResponse({ success: true, settings: this.settings });
+        } catch (error) {
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+      case "BUILD_OPENAPI":
+        this.buildOpenAPI().then((spec) => sendResponse(spec));
+        return true; // Keep message channel open for async response
+      case "BUILD_HAR":
+        sendResponse(this.buildHAR());
+        break;
+      case "BUILD_ASYNCAPI":
+        sendResponse(this.buildAsyncAPI());
+        break;
+      case "BUILD_GRAPHQL_SDL":
+        sendResponse(this.buildGraphQLSDL());
+        break;
+      case "CREATE_SESSION":
+      case "SWITCH_SESSION":
+      case "RENAME_SESSION":
+      case "UPDATE_SESSION_METADATA":
+      case "DUPLICATE_SESSION":
+      case "DELETE_SESSION":
+      case "MERGE_SESSION":
+        this.handleSessionMessage(message)
+          .then((result) => sendResponse({ success: true, ...result }))
+          .catch((error) =>
+            sendResponse({ success: false, error: error.message })
+          );
+        return true; // Keep message channel open for async response
+      case "PROBE_SPECS":
+        this.probeOrigin(message.origin)
+          .then((result) => sendResponse({ success: true, ...result }))
+          .catch((error) =>
+            sendResponse({ success: false, error: error.message })
+          );
+        return true; // Keep message channel open for async response
+      case "GET_SAMPLES":
+        sendResponse(this.getSamples(message.key));
+        break;
+      case "REPLAY_REQUEST":
+        this.replayRequest(message.request, message.store)
+          .then((result) => sendResponse({ success: true, ...result }))
+          .catch((error) =>
+            sendResponse({ success: false, error: error.message })
+          );
+        return true; // Keep message channel open for async response
+      case "IMPORT_HAR":
+        this.importHAR(message.har, message.sessionId)
+          .then((result) => sendResponse({ success: true, ...result }))
+          .catch((error) =>
+            sendResponse({ success: false, error: error.message })
+          );
+        return true; // Keep message channel open for async response
+      case "CLEAR_DATA":
+        this.clearData();
+        sendResponse({ success: true });
+        break;
+      case "API_EVENT":
+        this.handleAPIEvent(message);
+        sendResponse({ success: true });
+        break;
+      case "PAGE_TRAFFIC":
+        this.handlePageTraffic(message.record, sender);
+        sendResponse({ success: true });
+        break;
+      case "CONTEXT_HINT":
+        this.handleContextHint(message, sender);
+        sendResponse({ success: true });
+        break;
+      case "INJECT_CONTENT_SCRIPT":
+        if (message.tabId) {
+          this.injectContentScript(message.tabId);
+          sendResponse({ success: true });
+        }
+        break;
     }
+  }
 
-    const analysis = this.analyzeEndpoints(endpoints);
-    const baseURL = this.determineBaseURL(endpoints);
+  setupWebRequestListeners() {
+    // Start timing and capture request payloads before they are sent
+    chrome.webRequest.onBeforeRequest.addListener(
+      this.onRequestEvent((details) => this.handleBeforeRequest(details)),
+      { urls: ["<all_urls>"] },
+      ["requestBody"]
+    );
 
-    return {
-      openapi: "3.0.3",
-      info: this.generateInfo(options),
-      servers: this.generateServers(baseURL, endpoints),
-      paths: this.generatePaths(endpoints, analysis),
-      components: this.generateComponents(endpoints, analysis),
-      tags: this.generateTags(analysis),
-    };
+    // Monitor completed requests
+    chrome.webRequest.onCompleted.addListener(
+      this.onRequestEvent((details) => this.handleWebRequest(details)),
+      { urls: ["<all_urls>"] },
+      ["responseHeaders"]
+    );
+
+    // Redirect hops; later events for the same requestId carry the new URL
+    chrome.webRequest.onBeforeRedirect.addListener(
+      this.onRequestEvent((details) => this.handleRedirect(details)),
+      { urls: ["<all_urls>"] },
+      ["responseHeaders"]
+    );
+
+    // Failed, blocked, CORS-rejected and cancelled requests never complete
+    chrome.webRequest.onErrorOccurred.addListener(
+      this.onRequestEvent((details) => this.handleRequestError(details)),
+      { urls: ["<all_urls>"] }
+    );
+
+    // Response headers; extraHeaders is needed to see Set-Cookie at all
+    chrome.webRequest.onHeadersReceived.addListener(
+      this.onRequestEvent((details) => this.handleResponseHeaders(details)),
+      { urls: ["<all_urls>"] },
+      ["responseHeaders", "extraHeaders"]
+    );
+
+    // Request headers as actually sent, after other extensions had their say
+    chrome.webRequest.onSendHeaders.addListener(
+      this.onRequestEvent((details) => this.handleRequestHeaders(details)),
+      { urls: ["<all_urls>"] },
+      ["requestHeaders"]
+    );
   }
 
-  generateEmptySpec() {
-    return {
-      openapi: "3.0.3",
-      info: {
-        title: "Discovered API",
-        version: "0.1.0",
-        description:
-          "No API endpoints discovered yet. Start discovery to generate specifications.",
-      },
-      servers: [{ url: "https://example.com" }],
-      paths: {},
-      components: { schemas: {} },
-      tags: [],
+  /**
+   * Wrap a listener so it runs only once the saved state has been loaded
+   */
+  whenReady(listener) {
+    return (...args) => {
+      if (this.hydrated) {
+        listener(...args);
+      } else {
+        this.ready.then(() => listener(...args));
+      }
     };
   }
 
-  generateInfo(options = {}) {
-    return {
-      title: options.title || "Discovered API",
-      version: options.version || "0.1.0",
-      description:
-        options.description ||
-        "API discovered automatically by Chrome Extension",
-    };
+  onRequestEvent(handler) {
+    return this.whenReady((details) => {
+      handler(details);
+      if (this.isDiscovering) {
+        this.saveTransactions();
+      }
+    });
   }
 
-  generateServers(baseURL, endpoints) {
-    return [{ url: baseURL }];
+  /**
+   * Keep open transactions in session storage, so requests that span a worker
+   * restart still complete into endpoints
+   */
+  saveTransactions() {
+    if (this.transactionsTimer || !chrome.storage.session) {
+      return;
+    }
+
+    this.transactionsTimer = setTimeout(() => {
+      this.transactionsTimer = null;
+      chrome.storage.session
+        .set({ openTransactions: this.requestTracker.toJSON() })
+        .catch((error) => {
+          console.error("Failed to save open requests:", error);
+        });
+    }, 500);
   }
 
-  determineBaseURL(endpoints) {
-    if (endpoints.length === 0) return "https://example.com";
+  async restoreTransactions() {
+    if (!chrome.storage.session) {
+      return;
+    }
 
     try {
-      const url = new URL(endpoints[0].url);
-      return `${url.protocol}//${url.hostname}`;
-    } catch {
-      return "https://example.com";
+      const { openTransactions } = await chrome.storage.session.get(
+        "openTransactions"
+      );
+      this.requestTracker.load(openTransactions || []);
+    } catch (error) {
+      console.error("Failed to restore open requests:", error);
     }
   }
 
-  generatePaths(endpoints, analysis) {
-    const paths = {};
+  resumeDiscovery() {
+    this.hydrated = true;
+    // Registered page hooks don't survive a browser restart
+    if (this.isDiscovering) {
+      this.registerPageHook();
+    }
+  }
 
-    endpoints.forEach((endpoint) => {
-      const path = this.normalizePath(endpoint.pathname);
-      const method = endpoint.method.toLowerCase();
+  async injectContentScript(tabId) {
+    try {
+      await chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        files: ["lib/bundle-scanner.js", "content/content.js"],
+      });
 
-      if (!paths[path]) {
-        paths[path] = {};
-      }
+      // Activate the content script and tell it which bridge nonce to trust
+      const bridgeNonce = crypto.randomUUID();
+      await chrome.tabs.sendMessage(tabId, {
+        type: "CONTENT_SCRIPT_ACTIVATE",
+        bridgeNonce,
+      });
+      await this.connectPageHook(tabId, bridgeNonce);
+    } catch (error) {
+      console.log("Content script already injected or failed:", error);
+    }
+  }
 
-      paths[path][method] = this.generateOperation(endpoint);
+  async connectPageHook(tabId, bridgeNonce) {
+    // No-op if the document_start registration already installed the hook
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      world: "MAIN",
+      files: ["content/page-hook.js"],
     });
 
-    return paths;
+    await chrome.scripting.executeScript({
+      target: { tabId: tabId },
+      world: "MAIN",
+      func: (nonce) =>
+        window.__apiDiscoveryHook && window.__apiDiscoveryHook.connect(nonce),
+      args: [bridgeNonce],
+    });
   }
 
-  normalizePath(pathname) {
-    return pathname.replace(/\/(\d+)(?=\/|$)/g, "/{id}");
+  async registerPageHook() {
+    // Install the hook at document_start so page-load calls are seen too
+    try {
+      // Each session may cover different pages, so start from a clean slate
+      await this.unregisterPageHook();
+
+      await chrome.scripting.registerContentScripts([
+        {
+          id: "api-discovery-page-hook",
+          matches: DiscoveryScope.toMatchPatterns(this.scope),
+          js: ["content/page-hook.js"],
+          runAt: "document_start",
+          world: "MAIN",
+          persistAcrossSessions: false,
+        },
+      ]);
+    } catch (error) {
+      console.error("Failed to register page hook:", error);
+    }
   }
 
-  generateOperation(endpoint) {
-    return {
-      operationId: this.generateUniqueOperationId(
-        endpoint.method,
-        endpoint.pathname
-      ),
-      tags: this.generateOperationTags(endpoint.pathname),
-      summary: this.generateOperationSummary(endpoint),
-      parameters: this.generateParameters(endpoint),
-      responses: this.generateResponses(endpoint),
-    };
+  async unregisterPageHook() {
+    try {
+      await chrome.scripting.unregisterContentScripts({
+        ids: ["api-discovery-page-hook"],
+      });
+    } catch (error) {
+      // Not registered
+    }
   }
 
-  generateUniqueOperationId(method, pathname) {
-    const segments = pathname.split("/").filter(Boolean);
-    const resource = segments[segments.length - 1] || "item";
+  setupTabListeners() {
+    // Inject content script when tabs are updated
+    chrome.tabs.onUpdated.addListener(
+      this.whenReady((tabId, changeInfo, tab) => {
+        // Attach the debugger early so the page's first requests are covered
+        if (
+          !this.isDiscovering ||
+          !DiscoveryScope.matchesTab(this.scope, tab)
+        ) {
+          return;
+        }
+
+        if (
+          changeInfo.status === "loading" &&
+          this.settings.captureResponseBodies
+        ) {
+          this.responseCapture.attach(tabId);
+        }
+
+        if (changeInfo.status === "complete") {
+          this.injectContentScript(tabId);
+        }
+      })
+    );
 
-    const methodPrefix =
-      {
-        GET: "get",
-        POST: "create",
-        PUT: "update",
-        DELETE: "delete",
-        PATCH: "patch",
-      }[method.toUpperCase()] || method.toLowerCase();
+    // A tab-bound session has nothing left to record once its tab is gone
+    chrome.tabs.onRemoved.addListener(
+      this.whenReady((tabId) => {
+        this.actionHints.forgetTab(tabId);
+        if (
+          this.isDiscovering &&
+          this.scope &&
+          this.scope.mode === "tab" &&
+          this.scope.tabId === tabId
+        ) {
+          this.stopDiscovery();
+        }
+      })
+    );
+  }
 
-    let operationId = `${methodPrefix}${this.capitalize(resource)}`;
+  handleWebRequest(details) {
+    // onHeadersReceived may have been missed, e.g. the transaction was evicted
+    const open = this.requestTracker.get(details.requestId);
+    if (!open || !open.responseHeaders) {
+      this.requestTracker.headersReceived(
+        details,
+        Utils.sanitizeHeaders(details.responseHeaders),
+        this.getContentType(details)
+      );
+    }
 
-    let counter = 1;
-    while (this.operationIdCache.has(operationId)) {
-      operationId = `${methodPrefix}${this.capitalize(resource)}${counter}`;
-      counter++;
+    const transaction = this.requestTracker.complete(details);
+    const decision = this.getChainCaptureDecision(
+      transaction,
+      transaction.contentType
+    );
+    if (!decision || !decision.captured) {
+      return;
     }
 
-    this.operationIdCache.add(operationId);
-    return operationId;
+    const endpoint = this.createEndpointFromTransaction(transaction, decision);
+    this.attachPendingResponseSample(endpoint);
+    this.attachActiveStream(endpoint);
+    const operation = this.addEndpoint(endpoint);
+
+    // Notify popup of new endpoint
+    this.notifyPopup(operation);
   }
 
-  generateOperationTags(pathname) {
-    const segments = pathname.split("/").filter(Boolean);
-    return segments.length > 0 ? [segments[0]] : ["default"];
+  handleRequestHeaders(details) {
+    if (!this.mightCapture(details)) {
+      return;
+    }
+
+    // Store headers for later analysis (sanitized)
+    const transaction = this.requestTracker.sendHeaders(
+      details,
+      Utils.sanitizeHeaders(details.requestHeaders)
+    );
+
+    // The real Content-Type of a captured payload is only known from headers
+    const contentType = (details.requestHeaders || []).find(
+      (h) => h.name.toLowerCase() === "content-type"
+    );
+    if (transaction.requestBody && contentType) {
+      transaction.requestBody.mimeType = contentType.value.split(";")[0].trim();
+    }
   }
 
-  generateOperationSummary(endpoint) {
-    const method = endpoint.method.toUpperCase();
-    const resource = this.extractResourceName(endpoint.pathname);
-    return `${method} ${resource}`;
+  handleBeforeRequest(details) {
+    if (!this.mightCapture(details)) {
+      return;
+    }
+
+    this.requestTracker.beforeRequest(
+      details,
+      BodyParser.fromWebRequest(details.requestBody)
+    );
   }
 
-  extractResourceName(pathname) {
-    const segments = pathname.split("/").filter(Boolean);
-    return segments[segments.length - 1] || "resource";
+  handleResponseHeaders(details) {
+    if (!this.mightCapture(details)) {
+      return;
+    }
+
+    this.requestTracker.headersReceived(
+      details,
+      Utils.sanitizeHeaders(details.responseHeaders),
+      this.getContentType(details)
+    );
   }
 
-  generateParameters(endpoint) {
-    const parameters = [];
+  handleRedirect(details) {
+    // A captured API may redirect to an excluded URL or the other way round
+    if (
+      !this.isDiscovering ||
+      !DiscoveryScope.matchesRequest(this.scope, details)
+    ) {
+      return;
+    }
 
-    // Path parameters
-    const pathParams = this.extractPathParameters(endpoint.pathname);
-    pathParams.forEach((param) => {
-      parameters.push({
-        name: param.name,
-        in: "path",
-        required: true,
-        schema: { type: param.type },
+    this.requestTracker.redirect(
+      details,
+      this.sanitizeRedirect({
+        url: details.url,
+        method: details.method,
+        status: details.statusCode,
+        location: details.redirectUrl,
+        responseHeaders: details.responseHeaders,
+        timestamp: new Date().toISOString(),
+      })
+    );
+  }
+
+  /**
+   * A redirect hop as stored: its URLs redacted, the Location header included
+   */
+  sanitizeRedirect(hop) {
+    const location = Utils.sanitizeURL(hop.location);
+    const responseHeaders = Utils.sanitizeHeaders(hop.responseHeaders);
+    Object.keys(responseHeaders)
+      .filter((name) => name.toLowerCase() === "location")
+      .forEach((name) => {
+        responseHeaders[name] = location;
       });
+
+    return {
+      ...hop,
+      url: Utils.sanitizeURL(hop.url),
+      location,
+      responseHeaders,
+    };
+  }
+
+  handleRequestError(details) {
+    // Most failures happen before a response, so content-type rules only say "maybe"
+    const transaction = this.requestTracker.fail(details);
+    const decision = this.getChainCaptureDecision(
+      transaction,
+      transaction.contentType || undefined
+    );
+    if (!decision || decision.captured === false) {
+      return;
+    }
+
+    const endpoint = this.createEndpointFromTransaction(transaction, decision);
+    endpoint.error = this.describeRequestError(transaction);
+    this.attachActiveStream(endpoint);
+    this.notifyPopup(this.addEndpoint(endpoint));
+  }
+
+  describeRequestError(transaction) {
+    const message = transaction.error;
+    let kind = "network";
+
+    if (message === "net::ERR_ABORTED") {
+      kind = "cancelled";
+    } else if (message.startsWith("net::ERR_BLOCKED_BY_")) {
+      kind = "blocked";
+    } else if (/^net::ERR_(CERT|SSL)_/.test(message)) {
+      kind = "tls";
+    } else if (/TIMED_OUT$/.test(message)) {
+      kind = "timeout";
+    } else if (
+      message === "net::ERR_FAILED" &&
+      this.isCrossOrigin(transaction)
+    ) {
+      // Chrome reports CORS rejections as a bare ERR_FAILED
+      kind = "cors";
+    }
+
+    return {
+      message,
+      kind,
+      afterResponse: Boolean(transaction.statusCode),
+    };
+  }
+
+  isCrossOrigin(request) {
+    try {
+      return (
+        Boolean(request.initiator) &&
+        new URL(request.url).origin !== request.initiator
+      );
+    } catch {
+      return false;
+    }
+  }
+
+  getCaptureDecision(details, contentType) {
+    if (
+      !this.isDiscovering ||
+      !DiscoveryScope.matchesRequest(this.scope, details)
+    ) {
+      return null;
+    }
+
+    return CaptureRules.evaluate(this.captureRules, {
+      url: details.url,
+      method: details.method,
+      type: details.type,
+      contentType: contentType === "unknown" ? "" : contentType,
     });
+  }
 
-    // Query parameters
-    if (endpoint.searchParams) {
-      Object.entries(endpoint.searchParams).forEach(([name, value]) => {
-        parameters.push({
-          name: name,
-          in: "query",
-          required: false,
-          schema: { type: this.inferParameterType(value) },
-          example: value,
-        });
-      });
+  getChainCaptureDecision(transaction, contentType) {
+    const decision = this.getCaptureDecision(transaction, contentType);
+    if (!decision || decision.captured) {
+      return decision;
     }
 
-    return parameters;
+    // An API call that redirects to a page, like a login flow, is still worth keeping
+    for (const hop of transaction.redirects) {
+      const hopDecision = this.getCaptureDecision(
+        { ...transaction, url: hop.url, method: hop.method },
+        ""
+      );
+      if (hopDecision && hopDecision.captured) {
+        return {
+          ...hopDecision,
+          reason: `Redirected from ${hop.url}. ${hopDecision.reason}`,
+        };
+      }
+    }
+    return decision;
   }
 
-  extractPathParameters(pathname) {
-    const params = [];
-    const segments = pathname.split("/");
+  mightCapture(details) {
+    // Before the response arrives only a definite exclude rules a request out
+    const decision = this.getCaptureDecision(details, undefined);
+    return Boolean(decision) && decision.captured !== false;
+  }
 
-    segments.forEach((segment, index) => {
-      if (segment.match(/^\d+$/)) {
-        params.push({
-          name: "id",
-          type: "integer",
+  createEndpointFromTransaction(transaction, decision) {
+    // Redacted like the redirect hops, so an OAuth code in the final URL isn't kept
+    const sanitizedURL = Utils.sanitizeURL(transaction.url);
+    const url = new URL(sanitizedURL);
+    const endpoint = {
+      url: sanitizedURL,
+      method: transaction.method,
+      status: transaction.statusCode || 0,
+      contentType: transaction.contentType || "unknown",
+      timestamp: new Date().toISOString(),
+      tabId: transaction.tabId,
+      hostname: url.hostname,
+      pathname: url.pathname,
+      searchParams: this.parseSearchParams(url.search),
+      headers: transaction.requestHeaders || {},
+      fromCache: transaction.fromCache,
+      requestSize: 0,
+      responseSize: 0,
+      capturedBy: { rule: decision.rule, reason: decision.reason },
+      responseHeaders: transaction.responseHeaders || {},
+    };
+    endpoint.responseSize = this.getContentLength(endpoint.responseHeaders);
+
+    if (transaction.redirects.length > 0) {
+      endpoint.redirects = transaction.redirects;
+    }
+
+    if (transaction.requestBody) {
+      // Sanitize once the final Content-Type is known
+      const requestBody = BodyParser.sanitize(transaction.requestBody);
+      // A 303 (or a 301/302 after POST) resends as GET; the body belongs to the first hop
+      const first = transaction.redirects[0];
+      const target =
+        first && first.method !== endpoint.method ? first : endpoint;
+      target.requestBody = requestBody;
+      target.requestSize = requestBody.size;
+    }
+
+    if (transaction.startTime !== null && transaction.endTime !== null) {
+      // Both timestamps come from the network stack, unlike Date.now()
+      endpoint.duration =
+        Math.round((transaction.endTime - transaction.startTime) * 10) / 10;
+    }
+
+    this.annotateGraphQL(endpoint);
+
+    const trigger = this.findTrigger(transaction, endpoint);
+    if (trigger) {
+      endpoint.trigger = trigger;
+    }
+    return endpoint;
+  }
+
+  /**
+   * The user action, if any, that a call started right after
+   */
+  findTrigger(transaction, endpoint) {
+    if (
+      typeof transaction.tabId !== "number" ||
+      transaction.startTime === null
+    ) {
+      return null;
+    }
+
+    // Search typing only explains calls that carry what was typed
+    const action = this.actionHints.match(
+      transaction.tabId,
+      transaction.startTime,
+      (candidate) =>
+        candidate.type !== "search_input" ||
+        this.findQueryParameter(endpoint, candidate.query) !== null
+    );
+    if (!action) {
+      return null;
+    }
+
+    const trigger = { type: action.type, label: action.label };
+    if (action.type === "search_input") {
+      trigger.parameter =
+        this.findQueryParameter(endpoint, action.query) || action.label;
+    }
+    return trigger;
+  }
+
+  /**
+   * Name of the query parameter holding the typed text, "" if only the body has it
+   */
+  findQueryParameter(endpoint, query) {
+    const needle = query.toLowerCase();
+    const name = Object.keys(endpoint.searchParams).find((key) =>
+      String(endpoint.searchParams[key]).toLowerCase().includes(needle)
+    );
+    if (name) {
+      return name;
+    }
+
+    const body = endpoint.requestBody;
+    return body && body.text && body.text.toLowerCase().includes(needle)
+      ? ""
+      : null;
+  }
+
+  handleContextHint(message, sender) {
+    if (!this.isDiscovering || !sender.tab) {
+      return;
+    }
+
+    if (message.hintType === "page_patterns") {
+      this.handlePagePatterns(message, sender.tab);
+      return;
+    }
+    this.actionHints.record(sender.tab.id, message);
+  }
+
+  /**
+   * Keep API URLs and GraphQL operations found in page code as candidates
+   */
+  handlePagePatterns(message, tab) {
+    if (!DiscoveryScope.matchesTab(this.scope, tab)) {
+      return;
+    }
+
+    const data = message.data || {};
+    const pageUrl = Utils.sanitizeURL(data.pageUrl || tab.url);
+    this.addCandidates(
+      data.patterns,
+      pageUrl,
+      message.timestamp || new Date().toISOString()
+    );
+    this.scanScripts(data.scripts || [], pageUrl);
+  }
+
+  addCandidates(found = [], pageUrl, timestamp) {
+    const patterns = found
+      .map((pattern) => {
+        if (pattern.type === "graphql_query") {
+          return pattern;
+        }
+
+        let url;
+        try {
+          url = new URL(pattern.value, pageUrl).href;
+        } catch {
+          return null;
+        }
+        // Same rules as live traffic; the response type isn't known yet
+        const decision = CaptureRules.evaluate(this.captureRules, {
+          url,
+          method: "GET",
+          type: "xmlhttprequest",
+          contentType: "",
         });
+        return decision.captured === false
+          ? null
+          : { ...pattern, value: Utils.sanitizeURL(url) };
+      })
+      .filter(Boolean);
+
+    if (this.candidates.add(patterns, pageUrl, timestamp).length > 0) {
+      this.saveState();
+    }
+  }
+
+  /**
+   * Fetch a page's script files, once per session, and keep the API calls
+   * the bundle scanner finds in them and in their source maps
+   */
+  async scanScripts(scripts, pageUrl) {
+    const sessionId = this.sessionId;
+    const pending = scripts
+      .filter((url) => /^https?:/.test(url) && !this.scannedScripts.has(url))
+      .slice(0, 20);
+
+    for (const url of pending) {
+      this.scannedScripts.add(url);
+      try {
+        const patterns = await this.scanScript(url);
+        // Found after a session switch; it belongs to the old session
+        if (this.sessionId !== sessionId) {
+          return;
+        }
+        this.addCandidates(patterns, pageUrl, new Date().toISOString());
+      } catch (error) {
+        console.log(`Could not scan ${url}:`, error.message);
       }
+    }
+  }
+
+  async scanScript(url) {
+    const source = await this.fetchText(url);
+    const patterns = BundleScanner.scan(source);
+
+    const mapURL = BundleScanner.findSourceMapURL(source);
+    if (mapURL) {
+      try {
+        const map = JSON.parse(await this.fetchText(new URL(mapURL, url).href));
+        BundleScanner.getSourcesContent(map).forEach((content) =>
+          patterns.push(...BundleScanner.scan(content))
+        );
+      } catch {
+        // Source maps are often not deployed; the bundle is enough
+      }
+    }
+    return patterns;
+  }
+
+  /**
+   * Fetch a script or document without the user's cookies. A hanging server
+   * is given up on after 15 seconds, or the timeout passed in.
+   */
+  async fetchText(url, init = {}, timeout = 15000) {
+    const limit = 10 * 1024 * 1024;
+    const response = await fetch(url, {
+      credentials: "omit",
+      signal: AbortSignal.timeout(timeout),
+      ...init,
     });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    if (Number(response.headers.get("content-length")) > limit) {
+      throw new Error("Too large to scan");
+    }
+
+    const text = await response.text();
+    if (text.length > limit) {
+      throw new Error("Too large to scan");
+    }
+    return text;
+  }
+
+  /**
+   * Candidates from page code that no captured call covers yet
+   */
+  getPendingCandidates() {
+    return this.candidates.getPending(this.operations.list());
+  }
+
+  getContentType(details) {
+    // Try to get content type from response headers
+    if (details.responseHeaders) {
+      const contentTypeHeader = details.responseHeaders.find(
+        (h) => h.name.toLowerCase() === "content-type"
+      );
+      if (contentTypeHeader) {
+        return contentTypeHeader.value.split(";")[0]; // Remove charset
+      }
+    }
+    return "unknown";
+  }
+
+  getContentLength(headers) {
+    const name = Object.keys(headers || {}).find(
+      (key) => key.toLowerCase() === "content-length"
+    );
+    const length = name ? parseInt(headers[name], 10) : NaN;
+    return Number.isNaN(length) ? 0 : length;
+  }
+
+  parseSearchParams(search) {
+    if (!search) return {};
+
+    const params = {};
+    const searchParams = new URLSearchParams(search);
+
+    for (const [key, value] of searchParams.entries()) {
+      params[key] = value;
+    }
 
     return params;
   }
 
-  inferParameterType(value) {
-    if (value === "true" || value === "false") return "boolean";
-    if (!isNaN(value) && value !== "") return "number";
-    return "string";
+  annotateGraphQL(endpoint) {
+    const operations = GraphQLAnalyzer.extractOperations(endpoint);
+    if (operations.length === 0) {
+      return;
+    }
+
+    // Only what the popup lists; the document itself stays in requestBody
+    endpoint.graphql = operations.map((operation) => ({
+      operationName: operation.operationName,
+      operationType: operation.operationType,
+      persistedQueryHash: operation.persistedQueryHash,
+    }));
   }
 
-  generateResponses(endpoint) {
-    return {
-      [endpoint.status]: {
-        description: this.getStatusDescription(endpoint.status),
-        content: {
-          "application/json": {
-            schema: { type: "object" },
-          },
-        },
-      },
-    };
+  addEndpoint(endpoint) {
+    // Repeated calls only bump their operation's counters and reservoir
+    const operation = this.operations.add(endpoint);
+    this.saveState();
+    return operation;
   }
 
-  getStatusDescription(status) {
-    const descriptions = {
-      200: "OK",
-      201: "Created",
-      400: "Bad Request",
-      401: "Unauthorized",
-      403: "Forbidden",
-      404: "Not Found",
-      500: "Internal Server Error",
-    };
-    return descriptions[status] || "Response";
+  updateEndpoint(endpoint) {
+    // Only the operation holding this call needs rewriting
+    this.operations.touch(endpoint);
+    this.saveState();
   }
 
-  generateComponents(endpoints, analysis) {
-    return {
-      schemas: this.generateSchemas(endpoints, analysis),
+  summarizeOperations() {
+    return this.operations
+      .list()
+      .map((operation) => this.operations.summarize(operation));
+  }
+
+  handlePageTraffic(record, sender = {}) {
+    if (!this.isDiscovering || !record || !sender.tab) {
+      return;
+    }
+
+    const pageRequest = {
+      tabId: sender.tab.id,
+      url: record.url,
+      initiator: sender.origin || Utils.getBaseURL(sender.tab.url || ""),
     };
+    if (!DiscoveryScope.matchesRequest(this.scope, pageRequest)) {
+      return;
+    }
+
+    if (record.kind === "websocket") {
+      this.handleWebSocketRecord(record);
+      return;
+    }
+
+    if (record.kind === "stream") {
+      this.handleStreamRecord(record);
+      return;
+    }
+
+    if (record.responseBody) {
+      this.handleResponseSample({
+        url: record.url,
+        method: record.method,
+        status: record.status,
+        body: record.responseBody,
+      });
+    }
+
+    // webRequest usually has the payload already; fill in what it missed
+    const endpoint = this.findRecentEndpoint(record, (e) => !e.pageTiming);
+    if (endpoint) {
+      if (record.requestBody && !endpoint.requestBody) {
+        endpoint.requestBody = BodyParser.sanitize(record.requestBody);
+        endpoint.requestSize = endpoint.requestBody.size;
+        this.annotateGraphQL(endpoint);
+      }
+      endpoint.pageTiming = {
+        kind: record.kind,
+        startTime: record.startTime,
+        duration: record.duration,
+      };
+      this.updateEndpoint(endpoint);
+    }
   }
 
-  generateSchemas(endpoints, analysis) {
-    return {
-      Error: {
-        type: "object",
-        properties: {
-          error: { type: "string" },
-          code: { type: "string" },
-        },
-      },
+  /**
+   * Stored connections, redacting URLs that were saved before capture did
+   */
+  restoreWebSockets(connections = []) {
+    return connections.map((connection) => ({
+      ...connection,
+      url: Utils.sanitizeURL(connection.url),
+    }));
+  }
+
+  handleWebSocketRecord(record) {
+    let connection = this.webSockets.find((c) => c.id === record.connectionId);
+
+    if (!connection) {
+      const decision = CaptureRules.evaluate(this.captureRules, {
+        url: record.url,
+        method: "GET",
+        type: "websocket",
+        contentType: "",
+      });
+      if (!decision.captured) {
+        return;
+      }
+
+      // Tokens in the query string (wss://…?token=) are redacted like HTTP URLs
+      const sanitizedURL = Utils.sanitizeURL(record.url);
+      const url = new URL(sanitizedURL);
+      connection = {
+        id: record.connectionId,
+        capturedBy: { rule: decision.rule, reason: decision.reason },
+        url: sanitizedURL,
+        hostname: url.hostname,
+        pathname: url.pathname,
+        protocol: null,
+        openedAt: new Date(record.timestamp).toISOString(),
+        closedAt: null,
+        frames: [],
+      };
+      this.webSockets.push(connection);
+      if (this.webSockets.length > 50) {
+        this.webSockets.shift();
+      }
+    }
+
+    switch (record.event) {
+      case "open":
+        connection.protocol = record.protocol || null;
+        break;
+      case "frame":
+        connection.frames.push(this.createWebSocketFrame(record));
+        if (connection.frames.length > 200) {
+          connection.frames.shift();
+        }
+        break;
+      case "close":
+        connection.closedAt = new Date(record.timestamp).toISOString();
+        connection.closeCode = record.code;
+        break;
+    }
+
+    this.saveState();
+  }
+
+  createWebSocketFrame(record) {
+    const data = record.data || {};
+    const frame = {
+      direction: record.direction,
+      timestamp: new Date(record.timestamp).toISOString(),
+      size: data.size || 0,
+      binary: Boolean(data.binary),
     };
+
+    if (typeof data.text === "string" && !data.truncated) {
+      // Same redaction as HTTP bodies; non-JSON text is kept as sent
+      frame.text = BodyParser.sanitize({
+        mimeType: "application/json",
+        size: frame.size,
+        truncated: false,
+        text: data.text,
+      }).text;
+    }
+
+    return frame;
+  }
+
+  summarizeWebSockets() {
+    return this.webSockets.map((connection) => ({
+      id: connection.id,
+      url: connection.url,
+      openedAt: connection.openedAt,
+      closedAt: connection.closedAt,
+      frameCount: connection.frames.length,
+      capturedBy: connection.capturedBy,
+    }));
   }
 
-  generateTags(analysis) {
-    return [{ name: "default", description: "Default operations" }];
+  handleStreamRecord(record) {
+    let stream = this.activeStreams.get(record.streamId);
+
+    if (!stream) {
+      const format = StreamParser.getFormat(record.mimeType) || "sse";
+      stream = {
+        url: record.url,
+        method: record.method,
+        parser: StreamParser.createState(format),
+        record: { format, eventCount: 0, events: [] },
+        endpoint: null,
+        done: false,
+      };
+      this.activeStreams.set(record.streamId, stream);
+      if (this.activeStreams.size > 20) {
+        this.activeStreams.delete(this.activeStreams.keys().next().value);
+      }
+    }
+
+    const events = record.event
+      ? [record.event]
+      : StreamParser.feed(stream.parser, record.chunk || "");
+    if (record.done) {
+      events.push(...StreamParser.flush(stream.parser));
+      stream.done = true;
+    }
+    events.forEach((event) => this.addStreamEvent(stream.record, event));
+
+    // Streams usually outlive the request's onCompleted, or never reach it
+    if (!stream.endpoint) {
+      stream.endpoint = this.findRecentEndpoint(stream, (e) => !e.stream);
+      if (stream.endpoint) {
+        stream.endpoint.stream = stream.record;
+      }
+    }
+    if (stream.done && stream.endpoint) {
+      this.activeStreams.delete(record.streamId);
+    }
+
+    if (events.length > 0 || record.done) {
+      if (stream.endpoint) {
+        this.operations.touch(stream.endpoint);
+      }
+      this.saveState();
+    }
   }
 
-  capitalize(str) {
-    return str.charAt(0).toUpperCase() + str.slice(1);
+  addStreamEvent(streamRecord, event) {
+    streamRecord.eventCount++;
+    if (streamRecord.events.length >= 50) {
+      return;
+    }
+
+    streamRecord.events.push({
+      event: event.event,
+      id: event.id,
+      data: BodyParser.sanitize({
+        mimeType: "application/json",
+        size: (event.data || "").length,
+        truncated: false,
+        text: event.data || "",
+      }).text,
+    });
   }
 
-  analyzeEndpoints(endpoints) {
-    return { groups: [] };
+  attachActiveStream(endpoint) {
+    for (const [streamId, stream] of this.activeStreams) {
+      if (!stream.endpoint && this.isSameRequest(endpoint, stream)) {
+        stream.endpoint = endpoint;
+        endpoint.stream = stream.record;
+        if (stream.done) {
+          this.activeStreams.delete(streamId);
+        }
+        return;
+      }
+    }
   }
-}
 
-// Main Background Script Class
-class APIDiscoveryBackground {
-  constructor() {
+  handleResponseSample(sample) {
+    sample.body = BodyParser.sanitize(sample.body);
+
+    // A finished stream read through the debugger becomes a list of events
+    const format = StreamParser.getFormat(sample.body.mimeType);
+    if (format && typeof sample.body.text === "string") {
+      const endpoint = this.findRecentEndpoint(sample, (e) => !e.stream);
+      if (endpoint) {
+        endpoint.stream = { format, eventCount: 0, events: [] };
+        StreamParser.parse(sample.body.text, format).forEach((event) =>
+          this.addStreamEvent(endpoint.stream, event)
+        );
+        this.updateEndpoint(endpoint);
+      }
+      return;
+    }
+
+    const endpoint = this.findRecentEndpoint(sample, (e) => !e.responseBody);
+    if (endpoint) {
+      this.setResponseBody(endpoint, sample.body);
+      this.updateEndpoint(endpoint);
+      return;
+    }
+
+    // The body arrived before onCompleted created the endpoint
+    this.pendingResponseSamples.push(sample);
+    if (this.pendingResponseSamples.length > 50) {
+      this.pendingResponseSamples.shift();
+    }
+  }
+
+  findRecentEndpoint(sample, predicate) {
+    // Debugger, page and webRequest ids are unrelated, so match the newest call
+    return this.operations.findRecent(
+      (endpoint) => predicate(endpoint) && this.isSameRequest(endpoint, sample)
+    );
+  }
+
+  isSameRequest(endpoint, sample) {
+    if (
+      endpoint.url === Utils.sanitizeURL(sample.url) &&
+      endpoint.method === sample.method
+    ) {
+      return true;
+    }
+
+    // The page hook reports the URL the page asked for, before any redirect
+    const first = endpoint.redirects && endpoint.redirects[0];
+    return (
+      Boolean(first) &&
+      first.method === sample.method &&
+      first.url === Utils.sanitizeURL(sample.url)
+    );
+  }
+
+  attachPendingResponseSample(endpoint) {
+    const index = this.pendingResponseSamples.findIndex((sample) =>
+      this.isSameRequest(endpoint, sample)
+    );
+    if (index !== -1) {
+      this.setResponseBody(endpoint, this.pendingResponseSamples[index].body);
+      this.pendingResponseSamples.splice(index, 1);
+    }
+  }
+
+  setResponseBody(endpoint, body) {
+    endpoint.responseBody = body;
+    // Chunked and compressed responses carry no Content-Length
+    if (!endpoint.responseSize && body.size) {
+      endpoint.responseSize = body.size;
+    }
+  }
+
+  async attachToActiveTab() {
+    try {
+      const [tab] =
+        this.scope && this.scope.mode === "tab"
+          ? [await chrome.tabs.get(this.scope.tabId)]
+          : await chrome.tabs.query({ active: true, lastFocusedWindow: true });
+      if (DiscoveryScope.matchesTab(this.scope, tab)) {
+        await this.responseCapture.attach(tab.id);
+      }
+    } catch (error) {
+      console.error("Failed to attach response capture:", error);
+    }
+  }
+
+  updateCaptureRules(rules) {
+    const { rules: normalized, errors } = CaptureRules.normalize(rules);
+    if (errors.length > 0) {
+      return { success: false, errors };
+    }
+
+    this.captureRules = normalized;
+    chrome.storage.local
+      .set({ captureRules: normalized })
+      .catch((error) => console.error("Failed to save capture rules:", error));
+    return { success: true, rules: normalized };
+  }
+
+  updateSettings(settings = {}) {
+    const limit = Number(settings.storageLimitMB);
+    if ("storageLimitMB" in settings && !(limit >= 1)) {
+      throw new Error("Storage limit must be at least 1 MB");
+    }
+    this.settings = { ...this.settings, ...settings };
+    this.settings.storageLimitMB = Number(this.settings.storageLimitMB);
+
+    if (!this.settings.captureResponseBodies) {
+      this.responseCapture.detachAll();
+    } else if (this.isDiscovering) {
+      this.attachToActiveTab();
+    }
+
+    this.saveState();
+  }
+
+  notifyPopup(operation) {
+    // Send message to popup if it's open
+    chrome.runtime
+      .sendMessage({
+        type: "API_EVENT",
+        operation: this.operations.summarize(operation),
+      })
+      .catch(() => {
+        // Popup might not be open, ignore error
+      });
+  }
+
+  startDiscovery(scope) {
+    // Throws before anything changes if the popup sent an unusable scope
+    this.scope = DiscoveryScope.create(scope);
+    this.isDiscovering = true;
+    this.registerPageHook();
+    if (this.settings.captureResponseBodies) {
+      this.attachToActiveTab();
+    }
+    // Written right away, so a worker restart keeps recording
+    this.flushState();
+    console.log("API Discovery started");
+  }
+
+  stopDiscovery() {
     this.isDiscovering = false;
-    this.endpoints = [];
-    this.init();
+    this.unregisterPageHook();
+    this.responseCapture.detachAll();
+    this.flushState();
+    console.log("API Discovery stopped");
   }
 
-  init() {
-    this.loadState();
-    this.setupMessageListeners();
-    this.setupWebRequestListeners();
-    this.setupTabListeners();
+  clearData() {
+    this.operations.clear();
+    this.candidates.clear();
+    this.scannedScripts.clear();
+    this.publishedDocuments = [];
+    this.webSockets = [];
+    this.requestTracker.clear();
+    this.actionHints.clear();
+    this.captureDB.clearSession(this.sessionId).catch((error) => {
+      console.error("Failed to clear captured operations:", error);
+    });
+    this.saveState();
+    console.log("API Discovery data cleared");
   }
 
-  setupMessageListeners() {
-    chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-      switch (message.type) {
-        case "START_DISCOVERY":
-          this.startDiscovery();
-          sendResponse({ success: true });
-          break;
-        case "STOP_DISCOVERY":
-          this.stopDiscovery();
-          sendResponse({ success: true });
-          break;
-        case "GET_STATE":
-          sendResponse({
-            isDiscovering: this.isDiscovering,
-            endpoints: this.endpoints,
-          });
-          break;
-        case "BUILD_OPENAPI":
-          this.buildOpenAPI().then((spec) => sendResponse(spec));
-          return true; // Keep message channel open for async response
-        case "CLEAR_DATA":
-          this.clearData();
-          sendResponse({ success: true });
-          break;
-        case "API_EVENT":
-          this.handleAPIEvent(message);
-          sendResponse({ success: true });
-          break;
-        case "INJECT_CONTENT_SCRIPT":
-          if (message.tabId) {
-            this.injectContentScript(message.tabId);
-            sendResponse({ success: true });
-          }
-          break;
+  async handleSessionMessage(message) {
+    await this.ready;
+    let session;
+
+    switch (message.type) {
+      case "CREATE_SESSION":
+        session = await this.createSession(message.name);
+        break;
+      case "SWITCH_SESSION":
+        session = await this.switchSession(message.sessionId);
+        break;
+      case "RENAME_SESSION":
+        session = this.sessions.rename(message.sessionId, message.name);
+        break;
+      case "UPDATE_SESSION_METADATA":
+        session = this.updateSessionMetadata(
+          message.sessionId,
+          message.metadata
+        );
+        break;
+      case "DUPLICATE_SESSION":
+        session = await this.duplicateSession(message.sessionId);
+        break;
+      case "DELETE_SESSION":
+        await this.deleteSession(message.sessionId);
+        break;
+      case "MERGE_SESSION":
+        await this.mergeSession(message.sessionId);
+        break;
+    }
+
+    await this.flushState();
+    return {
+      session: session ? this.summarizeSession(session) : null,
+      sessionId: this.sessionId,
+      sessions: this.summarizeSessions(),
+    };
+  }
+
+  async createSession(name) {
+    this.requireSessionStorage();
+    const session = this.sessions.create(name);
+    return this.switchSession(session.id);
+  }
+
+  /**
+   * Save the active session and start recording into another one
+   */
+  async switchSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session.id === this.sessionId) {
+      return session;
+    }
+    this.requireSessionStorage();
+
+    await this.flushState();
+    this.sessions.activate(session.id);
+    await this.loadSession(session);
+
+    if (!this.settings.captureResponseBodies) {
+      this.responseCapture.detachAll();
+    } else if (this.isDiscovering) {
+      this.attachToActiveTab();
+    }
+    console.log(`API Discovery session: ${session.name}`);
+    return session;
+  }
+
+  /**
+   * Title, version and description used by the exports
+   */
+  updateSessionMetadata(sessionId, metadata = {}) {
+    const changes = {};
+    ["title", "version", "description"].forEach((field) => {
+      if (field in metadata) {
+        changes[field] = String(metadata[field] || "").trim() || undefined;
       }
     });
+    return this.sessions.update(sessionId, { metadata: changes });
   }
 
-  setupWebRequestListeners() {
-    // Monitor completed requests
-    chrome.webRequest.onCompleted.addListener(
-      (details) => this.handleWebRequest(details),
-      { urls: ["<all_urls>"] }
-    );
+  async duplicateSession(sessionId) {
+    this.requireSessionStorage();
+    // The copy must include changes that haven't been written yet
+    await this.flushState();
 
-    // Monitor request headers for additional context
-    chrome.webRequest.onBeforeSendHeaders.addListener(
-      (details) => this.handleRequestHeaders(details),
-      { urls: ["<all_urls>"] },
-      ["requestHeaders"]
-    );
+    const source = this.sessions.get(sessionId);
+    const copy = this.sessions.create(this.sessions.copyName(source.name), {
+      settings: source.settings,
+      metadata: source.metadata,
+    });
+    const operations = await this.captureDB.getOperations(source.id);
+    await this.captureDB.putOperations(copy.id, operations);
+    for (const document of await this.captureDB.getDocuments(source.id)) {
+      await this.captureDB.putDocument(copy.id, document);
+    }
+
+    const key = this.getWebSocketsKey(source.id);
+    const candidatesKey = this.getCandidatesKey(source.id);
+    const stored = await chrome.storage.local.get([key, candidatesKey]);
+    await chrome.storage.local.set({
+      [this.getWebSocketsKey(copy.id)]: stored[key] || [],
+      [this.getCandidatesKey(copy.id)]: stored[candidatesKey] || [],
+    });
+    return copy;
+  }
+
+  async deleteSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (session.id === this.sessionId) {
+      const other = this.sessions.list().find((s) => s.id !== session.id);
+      if (!other) {
+        throw new Error("The last session cannot be deleted");
+      }
+      await this.switchSession(other.id);
+    }
+
+    this.sessions.remove(session.id);
+    await this.captureDB.clearSession(session.id);
+    await chrome.storage.local.remove([
+      this.getWebSocketsKey(session.id),
+      this.getCandidatesKey(session.id),
+    ]);
   }
 
-  async injectContentScript(tabId) {
-    try {
-      await chrome.scripting.executeScript({
-        target: { tabId: tabId },
-        files: ["content/content.js"],
-      });
+  /**
+   * Fold another session's traffic into the active one; the source is kept
+   */
+  async mergeSession(sessionId) {
+    this.requireSessionStorage();
+    const source = this.sessions.get(sessionId);
+    if (source.id === this.sessionId) {
+      throw new Error("A session cannot be merged into itself");
+    }
 
-      // Activate the content script
-      await chrome.tabs.sendMessage(tabId, { type: "CONTENT_SCRIPT_ACTIVATE" });
-    } catch (error) {
-      console.log("Content script already injected or failed:", error);
+    const operations = await this.captureDB.getOperations(source.id);
+    operations.forEach((operation) => this.operations.merge(operation));
+    for (const document of await this.captureDB.getDocuments(source.id)) {
+      if (!this.publishedDocuments.some((d) => d.url === document.url)) {
+        this.publishedDocuments.push(document);
+        await this.captureDB.putDocument(this.sessionId, document);
+      }
     }
+
+    const key = this.getWebSocketsKey(source.id);
+    const candidatesKey = this.getCandidatesKey(source.id);
+    const stored = await chrome.storage.local.get([key, candidatesKey]);
+    const connections = this.restoreWebSockets(stored[key]).filter(
+      (connection) => !this.webSockets.some((c) => c.id === connection.id)
+    );
+    this.webSockets = [...this.webSockets, ...connections].slice(-50);
+    (stored[candidatesKey] || []).forEach((candidate) =>
+      this.candidates.merge(candidate)
+    );
   }
 
-  setupTabListeners() {
-    // Inject content script when tabs are updated
-    chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
-      if (changeInfo.status === "complete" && this.isDiscovering && tab.url) {
-        // Only inject on http/https pages
-        if (tab.url.startsWith("http")) {
-          this.injectContentScript(tabId);
-        }
+  /**
+   * Feed a HAR file through the capture rules, sanitizing and aggregation used
+   * for live traffic, into the given session
+   */
+  async importHAR(har, sessionId) {
+    await this.ready;
+    const entries = HARImporter.getEntries(har);
+    const session = this.sessions.get(sessionId || this.sessionId);
+
+    // Another session's operations are loaded just for the import
+    let operations = this.operations;
+    if (session.id !== this.sessionId) {
+      this.requireSessionStorage();
+      operations = new OperationStore(this.operations.getTemplate);
+      operations.load(await this.captureDB.getOperations(session.id));
+    }
+
+    // Redirect entries come back as hops of the entry they lead to
+    let imported = 0;
+    HARImporter.toTransactions(entries).forEach((transaction) => {
+      const endpoint = this.createImportedEndpoint(transaction);
+      if (endpoint) {
+        operations.add(endpoint);
+        imported += 1 + transaction.redirects.length;
       }
     });
-  }
 
-  handleWebRequest(details) {
-    if (!this.isDiscovering || !this.isAPIRequest(details)) {
-      return;
+    if (operations === this.operations) {
+      await this.flushState();
+    } else {
+      const settings = { ...this.getDefaultSettings(), ...session.settings };
+      const { updated, removed } = operations.takeChanges(
+        settings.storageLimitMB * 1024 * 1024
+      );
+      await this.captureDB.putOperations(
+        session.id,
+        updated.map((operation) => operations.serialize(operation))
+      );
+      await this.captureDB.deleteOperations(session.id, removed);
     }
 
-    const endpoint = this.createEndpointFromRequest(details);
-    this.addEndpoint(endpoint);
-
-    // Notify popup of new endpoint
-    this.notifyPopup(endpoint);
+    console.log(`Imported ${imported} of ${entries.length} HAR entries`);
+    return {
+      imported,
+      skipped: entries.length - imported,
+      total: entries.length,
+    };
   }
 
-  handleRequestHeaders(details) {
-    if (!this.isDiscovering || !this.isAPIRequest(details)) {
-      return;
+  createImportedEndpoint(transaction) {
+    if (!/^https?:/i.test(transaction.url)) {
+      return null;
     }
 
-    // Store headers for later analysis (sanitized)
-    const sanitizedHeaders = this.sanitizeHeaders(details.requestHeaders);
-    this.updateEndpointHeaders(details.url, sanitizedHeaders);
-  }
+    transaction.redirects = transaction.redirects.map((hop) =>
+      this.sanitizeRedirect(hop)
+    );
 
-  isAPIRequest(details) {
-    // Focus on XHR/fetch requests and API-like patterns
-    if (details.type === "xmlhttprequest") {
-      return true;
+    // A failed entry has no response type, so content-type rules only say "maybe"
+    let decision = CaptureRules.evaluate(this.captureRules, {
+      url: transaction.url,
+      method: transaction.method,
+      type: transaction.type,
+      contentType: transaction.error
+        ? transaction.contentType || undefined
+        : transaction.contentType,
+    });
+
+    // Like live capture, an API call that redirects to a page is kept
+    if (!decision.captured) {
+      for (const hop of transaction.redirects) {
+        const hopDecision = CaptureRules.evaluate(this.captureRules, {
+          url: hop.url,
+          method: hop.method,
+          type: transaction.type,
+          contentType: "",
+        });
+        if (hopDecision.captured) {
+          decision = {
+            ...hopDecision,
+            reason: `Redirected from ${hop.url}. ${hopDecision.reason}`,
+          };
+          break;
+        }
+      }
+    }
+    if (transaction.error ? decision.captured === false : !decision.captured) {
+      return null;
     }
 
-    // Check for API-like URL patterns
-    const url = details.url.toLowerCase();
-    const apiPatterns = [
-      "/api/",
-      "/rest/",
-      "/graphql",
-      "/v1/",
-      "/v2/",
-      "/v3/",
-      ".json",
-      "application/json",
-      "text/json",
-    ];
+    transaction.requestHeaders = Utils.sanitizeHeaders(
+      transaction.requestHeaders
+    );
+    transaction.responseHeaders = Utils.sanitizeHeaders(
+      transaction.responseHeaders
+    );
+    const endpoint = this.createEndpointFromTransaction(transaction, decision);
+    endpoint.timestamp = transaction.timestamp;
+    if (transaction.error) {
+      endpoint.error = this.describeRequestError(transaction);
+    }
 
-    return (
-      apiPatterns.some((pattern) => url.includes(pattern)) || details.initiator
-    ); // Has an initiator (not a direct navigation)
+    const body = BodyParser.sanitize(transaction.responseBody);
+    const format = body && StreamParser.getFormat(body.mimeType);
+    if (format && typeof body.text === "string") {
+      endpoint.stream = { format, eventCount: 0, events: [] };
+      StreamParser.parse(body.text, format).forEach((event) =>
+        this.addStreamEvent(endpoint.stream, event)
+      );
+    } else if (body) {
+      this.setResponseBody(endpoint, body);
+    }
+    return endpoint;
   }
 
-  createEndpointFromRequest(details) {
-    const url = new URL(details.url);
-
+  /**
+   * Stored samples of one operation, for the replay page
+   */
+  getSamples(key) {
+    const operation = this.operations.get(key);
+    if (!operation) {
+      return { success: false, error: "No such operation in this session" };
+    }
     return {
-      url: details.url,
-      method: details.method,
-      status: details.statusCode,
-      contentType: this.getContentType(details),
-      timestamp: new Date().toISOString(),
-      hostname: url.hostname,
-      pathname: url.pathname,
-      searchParams: this.parseSearchParams(url.search),
-      headers: {},
-      responseSize: details.responseSize || 0,
+      success: true,
+      operation: this.operations.summarize(operation),
+      samples: operation.samples,
     };
   }
 
-  getContentType(details) {
-    // Try to get content type from response headers
-    if (details.responseHeaders) {
-      const contentTypeHeader = details.responseHeaders.find(
-        (h) => h.name.toLowerCase() === "content-type"
+  /**
+   * Send an edited request from the replay page and return the live response.
+   * With store set, the call is recorded into the active session like an
+   * imported one: through the capture rules and sanitized.
+   */
+  async replayRequest(request, store) {
+    await this.ready;
+    const { url, init, ignoredHeaders } = ReplayRequest.build(request);
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), 30000);
+    const startTime = Date.now();
+
+    let response;
+    let text;
+    try {
+      response = await fetch(url, { ...init, signal: controller.signal });
+      text = await response.text();
+    } catch (error) {
+      throw new Error(
+        error.name === "AbortError"
+          ? "No response within 30 seconds"
+          : `Request failed: ${error.message}`
       );
-      if (contentTypeHeader) {
-        return contentTypeHeader.value.split(";")[0]; // Remove charset
+    } finally {
+      clearTimeout(timer);
+    }
+
+    const endTime = Date.now();
+    const headers = Array.from(response.headers.entries()).map(
+      ([name, value]) => ({ name, value })
+    );
+    const limit = 1024 * 1024;
+    const result = {
+      status: response.status,
+      statusText: response.statusText,
+      url: response.url,
+      redirected: response.redirected,
+      headers,
+      body: text.slice(0, limit),
+      size: text.length,
+      truncated: text.length > limit,
+      duration: endTime - startTime,
+      ignoredHeaders,
+      stored: false,
+    };
+
+    if (store) {
+      const endpoint = this.createImportedEndpoint(
+        this.createReplayTransaction(url, init, result, text, startTime)
+      );
+      if (endpoint) {
+        endpoint.replayed = true;
+        this.notifyPopup(this.addEndpoint(endpoint));
+        result.stored = true;
       }
     }
-    return "unknown";
+    return result;
   }
 
-  parseSearchParams(search) {
-    if (!search) return {};
+  /**
+   * A finished transaction for a replayed call, shaped like HARImporter's
+   */
+  createReplayTransaction(url, init, result, text, startTime) {
+    const maxBytes = 64 * 1024;
+    const contentTypeHeader = result.headers.find(
+      (header) => header.name === "content-type"
+    );
+    const contentType = contentTypeHeader
+      ? contentTypeHeader.value.split(";")[0].trim()
+      : "";
+    const requestContentType = Object.keys(init.headers).find(
+      (name) => name.toLowerCase() === "content-type"
+    );
 
-    const params = {};
-    const searchParams = new URLSearchParams(search);
+    return {
+      requestId: `replay-${startTime}`,
+      tabId: null,
+      type: "xmlhttprequest",
+      initiator: null,
+      url,
+      method: init.method,
+      timestamp: new Date(startTime + result.duration).toISOString(),
+      startTime,
+      endTime: startTime + result.duration,
+      requestBody:
+        init.body === undefined
+          ? null
+          : {
+              mimeType: requestContentType
+                ? init.headers[requestContentType].split(";")[0].trim()
+                : BodyParser.guessMimeType(init.body),
+              size: init.body.length,
+              truncated: init.body.length > maxBytes,
+              text: init.body.slice(0, maxBytes),
+            },
+      requestHeaders: Object.entries(init.headers).map(([name, value]) => ({
+        name,
+        value,
+      })),
+      statusCode: result.status,
+      contentType,
+      responseHeaders: result.headers,
+      responseBody: {
+        mimeType: contentType,
+        size: text.length,
+        truncated: text.length > maxBytes,
+        text: text.slice(0, maxBytes),
+      },
+      redirects: [],
+      fromCache: false,
+      error: null,
+    };
+  }
 
-    for (const [key, value] of searchParams.entries()) {
-      params[key] = value;
+  requireSessionStorage() {
+    if (!this.captureDBReady) {
+      throw new Error("Sessions need IndexedDB, which is not available");
     }
-
-    return params;
   }
 
-  sanitizeHeaders(headers) {
-    if (!headers) return {};
-
-    const sensitive = [
-      "authorization",
-      "cookie",
-      "x-api-key",
-      "x-csrf-token",
-      "x-auth-token",
-      "x-access-token",
-      "x-refresh-token",
-    ];
+  getExportMetadata() {
+    const session = this.sessionId ? this.sessions.get(this.sessionId) : null;
+    return session ? { ...session.metadata } : {};
+  }
 
-    return Object.fromEntries(
-      headers.map((header) => [
-        header.name,
-        sensitive.includes(header.name.toLowerCase())
-          ? "[REDACTED]"
-          : header.value,
-      ])
-    );
+  summarizeSession(session) {
+    return {
+      id: session.id,
+      name: session.name,
+      createdAt: session.createdAt,
+      metadata: { ...session.metadata },
+    };
   }
 
-  addEndpoint(endpoint) {
-    // Always add new endpoint (keep duplicates)
-    this.endpoints.push(endpoint);
-    this.saveState();
+  summarizeSessions() {
+    return this.sessions
+      .list()
+      .map((session) => this.summarizeSession(session));
   }
 
-  updateEndpointHeaders(url, headers) {
-    const endpoint = this.endpoints.find((e) => e.url === url);
-    if (endpoint) {
-      endpoint.headers = { ...endpoint.headers, ...headers };
-      this.saveState();
+  /**
+   * Look for API descriptions an origin publishes at well-known locations and
+   * keep the ones found in the active session; they are merged into the export
+   */
+  async probeOrigin(origin) {
+    await this.ready;
+    const base = new URL(origin).origin;
+    const sessionId = this.sessionId;
+    const fetchedAt = new Date().toISOString();
+    const found = [];
+
+    const urls = PublishedSpecs.getProbePaths().map((path) => base + path);
+    for (let i = 0; i < urls.length && i < 20; i++) {
+      const body = await this.fetchJSON(urls[i]);
+      // An api-catalog only points at the descriptions
+      PublishedSpecs.getCatalogLinks(body, urls[i])
+        .filter((link) => !urls.includes(link))
+        .forEach((link) => urls.push(link));
+
+      const document = PublishedSpecs.toOpenAPI(body, urls[i]);
+      const paths = document && JSON.stringify(Object.keys(document.paths));
+      // The same document is often served at several of these paths
+      if (
+        document &&
+        !found.some(
+          (f) => JSON.stringify(Object.keys(f.document.paths)) === paths
+        )
+      ) {
+        found.push({
+          url: urls[i],
+          origin: base,
+          kind: "openapi",
+          fetchedAt,
+          document,
+        });
+      }
     }
-  }
 
-  notifyPopup(endpoint) {
-    // Send message to popup if it's open
-    chrome.runtime
-      .sendMessage({
-        type: "API_EVENT",
-        ...endpoint,
-      })
-      .catch(() => {
-        // Popup might not be open, ignore error
+    // GraphQL endpoints already seen on this origin are tried first
+    const hostname = new URL(base).hostname;
+    const graphqlPaths = [
+      ...this.operations
+        .list()
+        .filter((o) => o.path.includes("#") && o.hosts.includes(hostname))
+        .map((o) => o.path.split("#")[0]),
+      ...PublishedSpecs.getGraphQLPaths(),
+    ].filter((path, index, all) => all.indexOf(path) === index);
+    for (const path of graphqlPaths) {
+      const body = await this.fetchJSON(base + path, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          query: GraphQLAnalyzer.getIntrospectionQuery(),
+        }),
       });
-  }
+      if (body && body.data && body.data.__schema) {
+        found.push({
+          url: base + path,
+          origin: base,
+          kind: "graphql",
+          fetchedAt,
+          document: body.data.__schema,
+        });
+        break;
+      }
+    }
 
-  startDiscovery() {
-    this.isDiscovering = true;
-    this.saveState();
-    console.log("API Discovery started");
+    if (this.sessionId !== sessionId) {
+      throw new Error("The session changed while probing");
+    }
+    for (const document of found) {
+      this.publishedDocuments = [
+        ...this.publishedDocuments.filter((d) => d.url !== document.url),
+        document,
+      ];
+      if (this.captureDBReady) {
+        await this.captureDB.putDocument(this.sessionId, document);
+      }
+    }
+
+    console.log(`Found ${found.length} API descriptions on ${base}`);
+    return {
+      probed: Math.min(urls.length, 20) + graphqlPaths.length,
+      found: found.map((document) => this.summarizePublishedDocument(document)),
+    };
   }
 
-  stopDiscovery() {
-    this.isDiscovering = false;
-    this.saveState();
-    console.log("API Discovery stopped");
+  async fetchJSON(url, init) {
+    try {
+      // Probes run one after another, so a slow path mustn't hold up the rest
+      return JSON.parse(await this.fetchText(url, init, 5000));
+    } catch {
+      // Missing, timed out, not JSON (often an HTML fallback page), or too large
+      return null;
+    }
   }
 
-  clearData() {
-    this.endpoints = [];
-    this.saveState();
-    console.log("API Discovery data cleared");
+  summarizePublishedDocument(document) {
+    const info = document.document.info || {};
+    const operations =
+      document.kind === "graphql"
+        ? document.document.types
+            .filter((type) =>
+              [
+                document.document.queryType,
+                document.document.mutationType,
+                document.document.subscriptionType,
+              ].some((root) => root && root.name === type.name)
+            )
+            .reduce((count, type) => count + (type.fields || []).length, 0)
+        : Object.values(document.document.paths).reduce(
+            (count, item) =>
+              count +
+              PublishedSpecs.getMethods().filter((method) => item[method])
+                .length,
+            0
+          );
+
+    return {
+      url: document.url,
+      origin: document.origin,
+      kind: document.kind,
+      title: document.kind === "graphql" ? "GraphQL schema" : info.title,
+      version: info.version,
+      operations,
+      fetchedAt: document.fetchedAt,
+    };
   }
 
   async buildOpenAPI() {
-    if (this.endpoints.length === 0) {
+    const samples = this.operations.getSamples();
+    const documents = this.publishedDocuments.filter(
+      (document) => document.kind === "openapi"
+    );
+    if (samples.length === 0 && documents.length === 0) {
       return { yaml: "", json: "" };
     }
 
     try {
       const openAPIGenerator = new OpenAPIGenerator();
-      const openAPISpec = openAPIGenerator.generateOpenAPISpec(this.endpoints);
+      let openAPISpec = openAPIGenerator.generateOpenAPISpec(samples, {
+        ...this.getExportMetadata(),
+        includeObservedErrors: this.settings.documentFailedRequests,
+        operations: this.operations.list(),
+        candidates: this.settings.includeCandidates
+          ? this.getPendingCandidates()
+          : [],
+      });
+      if (documents.length > 0) {
+        if (samples.length === 0) {
+          openAPISpec.info = openAPIGenerator.generateInfo(
+            this.getExportMetadata()
+          );
+        }
+        openAPISpec = PublishedSpecs.merge(openAPISpec, documents);
+      }
 
       // Convert to YAML and JSON
       const yaml = this.convertToYAML(openAPISpec);
@@ -519,6 +1919,105 @@ class APIDiscoveryBackground {
     }
   }
 
+  buildPerformanceStats() {
+    try {
+      // Latency comes from the reservoir, call counts from the hit counters
+      const apiAnalyzer = new APIAnalyzer();
+      return this.operations
+        .list()
+        .map((operation) => ({
+          method: operation.method,
+          path: operation.path,
+          ...apiAnalyzer.summarizePerformance(operation.samples),
+          count: operation.hits,
+        }))
+        .sort((a, b) => b.count - a.count);
+    } catch (error) {
+      console.error("Failed to build performance stats:", error);
+      return [];
+    }
+  }
+
+  buildHAR() {
+    // The export holds the kept samples; counters live in the OpenAPI export
+    const samples = this.operations.getSamples();
+    if (samples.length === 0) {
+      return { json: "" };
+    }
+
+    try {
+      const har = HARExporter.generate(samples, {
+        creatorVersion: chrome.runtime.getManifest().version,
+      });
+      return { json: JSON.stringify(har, null, 2) };
+    } catch (error) {
+      console.error("Failed to build HAR:", error);
+      return { json: "" };
+    }
+  }
+
+  buildAsyncAPI() {
+    const connections = this.webSockets.filter((c) => c.frames.length > 0);
+    if (connections.length === 0) {
+      return { yaml: "", json: "" };
+    }
+
+    try {
+      const asyncAPIGenerator = new AsyncAPIGenerator();
+      const asyncAPISpec = asyncAPIGenerator.generateAsyncAPISpec(
+        connections,
+        this.getExportMetadata()
+      );
+
+      return {
+        yaml: this.convertToYAML(asyncAPISpec),
+        json: JSON.stringify(asyncAPISpec, null, 2),
+      };
+    } catch (error) {
+      console.error("Failed to build AsyncAPI spec:", error);
+      return { yaml: "", json: "" };
+    }
+  }
+
+  buildGraphQLSDL() {
+    const graphqlEndpoints = this.operations
+      .getSamples()
+      .filter((e) => e.graphql);
+    const published = this.publishedDocuments.find(
+      (document) => document.kind === "graphql"
+    );
+    if (graphqlEndpoints.length === 0 && !published) {
+      return { sdl: "" };
+    }
+
+    try {
+      const analyzer = new GraphQLAnalyzer();
+
+      graphqlEndpoints.forEach((endpoint) => {
+        const body = BodyParser.parse(endpoint.responseBody);
+
+        GraphQLAnalyzer.extractOperations(endpoint).forEach((operation) => {
+          const response = Array.isArray(body) ? body[operation.index] : body;
+          analyzer.addOperation(operation, response && response.data);
+        });
+      });
+
+      // A published schema is complete; traffic only marks what was used
+      if (published) {
+        return {
+          sdl: GraphQLAnalyzer.introspectionToSDL(
+            published.document,
+            analyzer.getObservedRootFields()
+          ),
+        };
+      }
+      return { sdl: analyzer.toSDL() };
+    } catch (error) {
+      console.error("Failed to build GraphQL SDL:", error);
+      return { sdl: "" };
+    }
+  }
+
   convertToYAML(obj) {
     // Simple YAML conversion - for production, use a proper YAML library
     return this.objectToYAML(obj, 0);
@@ -529,47 +2028,256 @@ class APIDiscoveryBackground {
     let yaml = "";
 
     for (const [key, value] of Object.entries(obj)) {
-      if (
-        typeof value === "object" &&
-        value !== null &&
-        !Array.isArray(value)
-      ) {
-        yaml += `${spaces}${key}:\n${this.objectToYAML(value, indent + 1)}`;
-      } else if (Array.isArray(value)) {
-        yaml += `${spaces}${key}:\n`;
-        value.forEach((item) => {
-          yaml += `${spaces}- ${item}\n`;
-        });
+      if (value === undefined) {
+        continue;
+      }
+
+      const name = this.formatYAMLScalar(key);
+      if (this.isNonEmptyObject(value)) {
+        yaml += `${spaces}${name}:\n${this.objectToYAML(value, indent + 1)}`;
+      } else if (Array.isArray(value) && value.length > 0) {
+        yaml += `${spaces}${name}:\n${this.arrayToYAML(value, indent + 1)}`;
       } else {
-        yaml += `${spaces}${key}: ${value}\n`;
+        yaml += `${spaces}${name}: ${this.formatYAMLScalar(value)}\n`;
       }
     }
 
     return yaml;
   }
 
+  arrayToYAML(items, indent) {
+    const spaces = "  ".repeat(indent);
+    let yaml = "";
+
+    items.forEach((item) => {
+      if (this.isNonEmptyObject(item)) {
+        // Put the first key on the dash line; the rest line up beneath it
+        const block = this.objectToYAML(item, indent + 1);
+        yaml += `${spaces}- ${block.slice(spaces.length + 2)}`;
+      } else if (Array.isArray(item) && item.length > 0) {
+        yaml += `${spaces}-\n${this.arrayToYAML(item, indent + 1)}`;
+      } else {
+        yaml += `${spaces}- ${this.formatYAMLScalar(item)}\n`;
+      }
+    });
+
+    return yaml;
+  }
+
+  isNonEmptyObject(value) {
+    return (
+      typeof value === "object" &&
+      value !== null &&
+      !Array.isArray(value) &&
+      Object.keys(value).length > 0
+    );
+  }
+
+  formatYAMLScalar(value) {
+    if (value === null || value === undefined) return "null";
+    if (Array.isArray(value)) return "[]";
+    if (typeof value === "object") return "{}";
+    if (typeof value !== "string") return String(value);
+
+    // Quote anything YAML would read as another type or as syntax
+    const needsQuotes =
+      value === "" ||
+      /^\s|\s$|^[-?:,[\]{}#&*!|>'"%@`]|: | #|\n/.test(value) ||
+      /^(true|false|null|yes|no|on|off|~)$/i.test(value) ||
+      /^[-+]?(\d|\.\d)/.test(value);
+
+    return needsQuotes ? JSON.stringify(value) : value;
+  }
+
   async loadState() {
     try {
       const result = await chrome.storage.local.get([
         "isDiscovering",
+        "scope",
+        "sessions",
+        "activeSessionId",
+        "operations",
         "endpoints",
+        "webSockets",
+        "settings",
+        "captureRules",
       ]);
       this.isDiscovering = result.isDiscovering || false;
-      this.endpoints = result.endpoints || [];
+      this.scope = result.scope || null;
+      // Sessions saved before scoping existed had no scope at all
+      if (this.isDiscovering && !this.scope) {
+        this.scope = DiscoveryScope.create({ mode: "all" });
+      }
+      if (result.captureRules) {
+        this.captureRules = CaptureRules.normalize(result.captureRules).rules;
+      }
+
+      this.sessions = new SessionRegistry(
+        result.sessions || [],
+        result.activeSessionId
+      );
+      if (this.sessions.list().length === 0) {
+        // Before sessions existed, all traffic and settings were global
+        this.sessions.create("Default", {
+          id: "default",
+          settings: result.settings,
+        });
+        await chrome.storage.local.set({
+          ...this.sessions.toJSON(),
+          [this.getWebSocketsKey("default")]: result.webSockets || [],
+        });
+        await chrome.storage.local.remove(["webSockets", "settings"]);
+      }
+
+      await this.loadSession(this.sessions.getActive(), result);
+      await this.restoreTransactions();
     } catch (error) {
       console.error("Failed to load state:", error);
     }
   }
 
-  async saveState() {
+  /**
+   * Make a session the one shown and recorded into
+   */
+  async loadSession(session, legacy = {}) {
+    this.sessionId = session.id;
+    this.settings = { ...this.getDefaultSettings(), ...session.settings };
+
+    const key = this.getWebSocketsKey(session.id);
+    const candidatesKey = this.getCandidatesKey(session.id);
+    const stored = await chrome.storage.local.get([key, candidatesKey]);
+    this.webSockets = this.restoreWebSockets(stored[key]);
+    this.candidates.load(stored[candidatesKey]);
+    this.scannedScripts.clear();
+
+    // In-flight requests and streams belong to the session they started in
+    this.requestTracker.clear();
+    this.activeStreams.clear();
+    this.pendingResponseSamples = [];
+    await this.loadOperations(legacy);
+    await this.loadPublishedDocuments();
+  }
+
+  async loadPublishedDocuments() {
+    this.publishedDocuments = [];
+    if (!this.captureDBReady) {
+      return;
+    }
+
+    try {
+      this.publishedDocuments = await this.captureDB.getDocuments(
+        this.sessionId
+      );
+    } catch (error) {
+      console.error("Failed to load published API descriptions:", error);
+    }
+  }
+
+  async loadOperations(result) {
+    try {
+      this.operations.load(await this.captureDB.getOperations(this.sessionId));
+      this.captureDBReady = true;
+    } catch (error) {
+      // Keep capturing in memory; nothing survives a restart then
+      console.error("Failed to open capture storage:", error);
+      this.operations.load(result.operations || []);
+      return;
+    }
+
+    // Older versions kept traffic in chrome.storage.local; move it over once
+    if (result.operations || result.endpoints) {
+      if (this.operations.list().length === 0) {
+        if (result.operations) {
+          this.operations.load(result.operations);
+          this.operations.markAllChanged();
+        } else {
+          result.endpoints.forEach((endpoint) => this.operations.add(endpoint));
+        }
+      }
+      await this.flushOperations();
+      await chrome.storage.local.remove(["operations", "endpoints"]);
+    }
+  }
+
+  getDefaultSettings() {
+    return {
+      captureResponseBodies: false,
+      documentFailedRequests: true,
+      storageLimitMB: 50,
+      includeCandidates: false,
+    };
+  }
+
+  getWebSocketsKey(sessionId) {
+    return `webSockets:${sessionId}`;
+  }
+
+  getCandidatesKey(sessionId) {
+    return `candidates:${sessionId}`;
+  }
+
+  saveState() {
+    // Writes are batched, so a burst of requests costs one write
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => this.flushState(), 1000);
+    }
+  }
+
+  async flushState() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    // Saving before the sessions are loaded would overwrite them
+    await this.ready;
+    if (!this.sessionId) {
+      return;
+    }
+
     try {
+      this.sessions.update(this.sessionId, { settings: this.settings });
       await chrome.storage.local.set({
         isDiscovering: this.isDiscovering,
-        endpoints: this.endpoints,
+        scope: this.scope,
+        ...this.sessions.toJSON(),
+        [this.getWebSocketsKey(this.sessionId)]: this.webSockets,
+        [this.getCandidatesKey(this.sessionId)]: this.candidates.toJSON(),
       });
     } catch (error) {
       console.error("Failed to save state:", error);
     }
+
+    await this.flushOperations();
+  }
+
+  async flushOperations() {
+    // Evicting happens even without storage, so memory stays bounded too
+    const { updated, removed } = this.operations.takeChanges(
+      this.getStorageLimit()
+    );
+    if (!this.captureDBReady) {
+      return;
+    }
+
+    try {
+      await this.captureDB.putOperations(
+        this.sessionId,
+        updated.map((operation) => this.operations.serialize(operation))
+      );
+      await this.captureDB.deleteOperations(this.sessionId, removed);
+    } catch (error) {
+      console.error("Failed to save captured operations:", error);
+    }
+  }
+
+  getStorageLimit() {
+    return this.settings.storageLimitMB * 1024 * 1024;
+  }
+
+  getStorageUsage() {
+    return {
+      usedBytes: this.operations.getUsage(),
+      limitBytes: this.getStorageLimit(),
+      persistent: Boolean(this.captureDBReady),
+    };
   }
 }
 
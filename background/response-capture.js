@@ -0,0 +1,155 @@
+// Response Body Capture
+// webRequest never exposes response bodies, so this opt-in path attaches the
+// debugger to recorded tabs and reads bodies through the Network domain.
+class ResponseBodyCapture {
+  constructor({ onSample, maxBodyBytes = 64 * 1024, maxTrackedRequests = 500 } = {}) {
+    this.onSample = onSample;
+    this.maxBodyBytes = maxBodyBytes;
+    this.maxTrackedRequests = maxTrackedRequests;
+    this.attachedTabs = new Set();
+    this.requests = new Map();
+    this.listenersReady = false;
+  }
+
+  isAvailable() {
+    // chrome.debugger only exists once the optional permission is granted
+    return typeof chrome !== "undefined" && Boolean(chrome.debugger);
+  }
+
+  ensureListeners() {
+    if (this.listenersReady || !this.isAvailable()) {
+      return;
+    }
+
+    chrome.debugger.onEvent.addListener((source, method, params) =>
+      this.handleDebuggerEvent(source, method, params)
+    );
+    chrome.debugger.onDetach.addListener((source) => {
+      this.attachedTabs.delete(source.tabId);
+      this.forgetTab(source.tabId);
+    });
+
+    this.listenersReady = true;
+  }
+
+  async attach(tabId) {
+    if (!this.isAvailable() || this.attachedTabs.has(tabId)) {
+      return;
+    }
+
+    this.ensureListeners();
+
+    try {
+      await chrome.debugger.attach({ tabId }, "1.3");
+      this.attachedTabs.add(tabId);
+      await chrome.debugger.sendCommand({ tabId }, "Network.enable", {});
+    } catch (error) {
+      console.log("Could not attach debugger to tab:", tabId, error);
+    }
+  }
+
+  async detach(tabId) {
+    this.attachedTabs.delete(tabId);
+    this.forgetTab(tabId);
+
+    try {
+      await chrome.debugger.detach({ tabId });
+    } catch (error) {
+      // Tab was closed or the user already dismissed the debugger banner
+    }
+  }
+
+  async detachAll() {
+    await Promise.all(
+      Array.from(this.attachedTabs).map((tabId) => this.detach(tabId))
+    );
+  }
+
+  forgetTab(tabId) {
+    for (const key of this.requests.keys()) {
+      if (key.startsWith(`${tabId}:`)) {
+        this.requests.delete(key);
+      }
+    }
+  }
+
+  handleDebuggerEvent(source, method, params) {
+    const key = `${source.tabId}:${params.requestId}`;
+
+    switch (method) {
+      case "Network.requestWillBeSent":
+        // Redirects reuse the requestId, so the final URL wins
+        this.track(key, {
+          tabId: source.tabId,
+          url: params.request.url,
+          method: params.request.method,
+        });
+        break;
+      case "Network.responseReceived": {
+        const request = this.requests.get(key);
+        if (request) {
+          request.status = params.response.status;
+          request.mimeType = params.response.mimeType;
+        }
+        break;
+      }
+      case "Network.loadingFinished":
+        this.collectBody(source, key, params);
+        break;
+      case "Network.loadingFailed":
+        this.requests.delete(key);
+        break;
+    }
+  }
+
+  track(key, request) {
+    if (!this.requests.has(key) && this.requests.size >= this.maxTrackedRequests) {
+      // Drop the oldest request that never finished
+      this.requests.delete(this.requests.keys().next().value);
+    }
+    this.requests.set(key, request);
+  }
+
+  async collectBody(source, key, params) {
+    const request = this.requests.get(key);
+    this.requests.delete(key);
+
+    if (!request || !this.isCapturableMimeType(request.mimeType)) {
+      return;
+    }
+
+    try {
+      const result = await chrome.debugger.sendCommand(
+        source,
+        "Network.getResponseBody",
+        { requestId: params.requestId }
+      );
+
+      if (!result || result.base64Encoded) {
+        return;
+      }
+
+      const truncated = result.body.length > this.maxBodyBytes;
+
+      this.onSample({
+        tabId: request.tabId,
+        url: request.url,
+        method: request.method,
+        status: request.status,
+        body: {
+          mimeType: request.mimeType,
+          size: params.encodedDataLength || result.body.length,
+          truncated,
+          text: truncated ? result.body.slice(0, this.maxBodyBytes) : result.body,
+        },
+        capturedAt: Date.now(),
+      });
+    } catch (error) {
+      // Body was evicted from the debugger buffer or the tab went away
+    }
+  }
+
+  isCapturableMimeType(mimeType) {
+    return /json|text\/plain|text\/event-stream/i.test(mimeType || "");
+  }
+}
@@ -1,6 +1,8 @@
 class APIDiscoveryContent {
     constructor() {
         this.isActive = false;
+        this.bridgeNonce = null;
+        this.bridgePort = null;
         this.init();
     }
 
@@ -14,6 +16,9 @@ class APIDiscoveryContent {
         chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             if (message.type === 'CONTENT_SCRIPT_ACTIVATE') {
                 this.isActive = true;
+                if (message.bridgeNonce) {
+                    this.listenForPageBridge(message.bridgeNonce);
+                }
                 this.showIndicator();
                 sendResponse({ success: true });
             } else if (message.type === 'CONTENT_SCRIPT_DEACTIVATE') {
@@ -31,7 +36,8 @@ class APIDiscoveryContent {
                 this.sendContextHint('form_submit', {
                     action: event.target.action,
                     method: event.target.method,
-                    formData: this.extractFormData(event.target)
+                    name: this.describeForm(event.target),
+                    fields: this.extractFieldNames(event.target)
                 });
             }
         });
@@ -41,6 +47,7 @@ class APIDiscoveryContent {
             if (this.isActive && this.isSearchInput(event.target)) {
                 this.sendContextHint('search_input', {
                     query: event.target.value,
+                    name: event.target.name,
                     inputType: event.target.type,
                     placeholder: event.target.placeholder
                 });
@@ -58,10 +65,6 @@ class APIDiscoveryContent {
                 });
             }
         });
-
-        // Observe AJAX/fetch requests if possible
-        this.interceptFetchRequests();
-        this.interceptXHRRequests();
     }
 
     isSearchInput(input) {
@@ -82,62 +85,73 @@ class APIDiscoveryContent {
                navigationClasses.some(cls => element.className.includes(cls));
     }
 
-    extractFormData(form) {
-        const formData = new FormData(form);
-        const data = {};
-        
-        for (const [key, value] of formData.entries()) {
-            data[key] = value;
-        }
-        
-        return data;
+    // Field values can be passwords, so only their names leave the page
+    extractFieldNames(form) {
+        return Array.from(new Set(new FormData(form).keys()));
     }
 
-    interceptFetchRequests() {
-        const originalFetch = window.fetch;
-        
-        window.fetch = async (...args) => {
-            if (this.isActive) {
-                const [url, options = {}] = args;
-                
-                this.sendContextHint('fetch_request', {
-                    url: url,
-                    method: options.method || 'GET',
-                    headers: options.headers || {},
-                    body: options.body ? 'present' : 'none'
-                });
-            }
-            
-            return originalFetch.apply(this, args);
-        };
+    /**
+     * A human name for a form: its label, a heading inside it, or its submit button
+     */
+    describeForm(form) {
+        const heading = form.querySelector('h1, h2, h3, legend');
+        const submit = form.querySelector('button[type="submit"], input[type="submit"], button:not([type])');
+
+        return form.getAttribute('aria-label') ||
+               (heading && heading.textContent.trim()) ||
+               form.getAttribute('name') ||
+               form.getAttribute('id') ||
+               (submit && (submit.value || submit.textContent).trim()) ||
+               null;
     }
 
-    interceptXHRRequests() {
-        const originalOpen = XMLHttpRequest.prototype.open;
-        const originalSend = XMLHttpRequest.prototype.send;
-        
-        XMLHttpRequest.prototype.open = function(method, url, ...args) {
-            if (window.apiDiscoveryContent && window.apiDiscoveryContent.isActive) {
-                window.apiDiscoveryContent.sendContextHint('xhr_request', {
-                    method: method,
-                    url: url,
-                    async: args[0] !== false
-                });
+    // The page's own fetch/XHR calls are only visible from the MAIN world, so
+    // page-hook.js captures them and hands us a private MessageChannel port.
+    // Only a handshake carrying the nonce from the background is accepted.
+    listenForPageBridge(nonce) {
+        this.bridgeNonce = nonce;
+
+        if (this.bridgeListener) {
+            return;
+        }
+
+        this.bridgeListener = (event) => {
+            const data = event.data;
+            if (event.source !== window || !data || data.source !== 'api-discovery-hook') {
+                return;
             }
-            
-            return originalOpen.apply(this, [method, url, ...args]);
-        };
-        
-        XMLHttpRequest.prototype.send = function(data) {
-            if (window.apiDiscoveryContent && window.apiDiscoveryContent.isActive && data) {
-                window.apiDiscoveryContent.sendContextHint('xhr_data', {
-                    hasData: true,
-                    dataType: typeof data
-                });
+            if (data.nonce !== this.bridgeNonce || !event.ports || !event.ports[0]) {
+                return;
             }
-            
-            return originalSend.apply(this, [data]);
+
+            if (this.bridgePort) {
+                this.bridgePort.close();
+            }
+            this.bridgePort = event.ports[0];
+            this.bridgePort.onmessage = (message) => this.relayPageTraffic(message.data);
         };
+
+        window.addEventListener('message', this.bridgeListener);
+    }
+
+    relayPageTraffic(record) {
+        if (!this.isActive || !this.isValidTrafficRecord(record)) {
+            return;
+        }
+
+        try {
+            chrome.runtime.sendMessage({ type: 'PAGE_TRAFFIC', record: record });
+        } catch (error) {
+            // Ignore errors when extension is not available
+        }
+    }
+
+    isValidTrafficRecord(record) {
+        return Boolean(record) &&
+               typeof record.url === 'string' &&
+               /^(https?|wss?):/.test(record.url) &&
+               typeof record.method === 'string' &&
+               ['fetch', 'xhr', 'beacon', 'websocket', 'stream'].includes(record.kind);
     }
 
     sendContextHint(type, data) {
@@ -203,23 +217,17 @@ class APIDiscoveryContent {
         scripts.forEach(script => {
             const content = script.textContent || script.innerHTML;
             
-            // Look for API endpoints in JavaScript code
-            const apiRegex = /['"`](https?:\/\/[^'"`]+\/api\/[^'"`]+)['"`]/g;
-            let match;
-            while ((match = apiRegex.exec(content)) !== null) {
-                patterns.push({
-                    type: 'api_endpoint',
-                    value: match[1],
-                    source: 'script_content'
-                });
-            }
+            // Look for API calls and URLs in JavaScript code
+            patterns.push(...BundleScanner.scan(content, { source: 'script_content' }));
             
-            // Look for GraphQL queries
-            const graphqlRegex = /query\s+(\w+)\s*\{/g;
+            // Look for GraphQL operations (including ones that declare variables)
+            let match;
+            const graphqlRegex = /\b(query|mutation|subscription)\s+(\w+)\s*[({@]/g;
             while ((match = graphqlRegex.exec(content)) !== null) {
                 patterns.push({
                     type: 'graphql_query',
-                    value: match[1],
+                    value: match[2],
+                    operationType: match[1],
                     source: 'script_content'
                 });
             }
@@ -235,9 +243,15 @@ class APIDiscoveryContent {
             });
         });
         
-        if (patterns.length > 0) {
+        // Script files are fetched and scanned by the background
+        const scriptFiles = Array.from(document.querySelectorAll('script[src], link[rel="modulepreload"][href]'))
+            .map(element => element.src || element.href)
+            .filter(url => /^https?:/.test(url));
+        
+        if (patterns.length > 0 || scriptFiles.length > 0) {
             this.sendContextHint('page_patterns', {
                 patterns: patterns,
+                scripts: [...new Set(scriptFiles)],
                 pageUrl: window.location.href
             });
         }
@@ -266,8 +280,9 @@ const observer = new MutationObserver((mutations) => {
                 // Check if new API-related content was added
                 mutation.addedNodes.forEach(node => {
                     if (node.nodeType === Node.ELEMENT_NODE) {
+                        // Lazily loaded chunks arrive as new script elements
                         const apiLinks = node.querySelectorAll && node.querySelectorAll('a[href*="/api/"]');
-                        if (apiLinks && apiLinks.length > 0) {
+                        if ((apiLinks && apiLinks.length > 0) || (node.tagName === 'SCRIPT' && node.src)) {
                             window.apiDiscoveryContent.detectAPIPatterns();
                         }
                     }
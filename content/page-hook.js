@@ -0,0 +1,449 @@
+// Page traffic hook - runs in the page's MAIN world so it sees the page's own
+// fetch, XHR, sendBeacon, WebSocket and EventSource traffic. Records are
+// buffered until the isolated content script accepts a private
+// MessageChannel, which is offered only to the nonce the background handed
+// out for this activation.
+(() => {
+    if (window.__apiDiscoveryHook) {
+        return;
+    }
+
+    const MAX_BODY_CHARS = 64 * 1024;
+    const MAX_BUFFERED_RECORDS = 200;
+    const MAX_STREAM_CHARS = 256 * 1024;
+    const MAX_STREAM_EVENTS = 100;
+    const TEXTUAL_CONTENT = /json|text\/plain|x-www-form-urlencoded|xml/i;
+    const STREAMING_CONTENT = /text\/event-stream|ndjson|jsonl|x-json-stream|stream\+json/i;
+
+    class PageTrafficHook {
+        constructor() {
+            this.port = null;
+            this.buffer = [];
+            // Keep our own references in case the page patches these later
+            this.postMessage = window.postMessage.bind(window);
+            this.MessageChannel = window.MessageChannel;
+
+            this.wrapFetch();
+            this.wrapXHR();
+            this.wrapSendBeacon();
+            this.wrapWebSocket();
+            this.wrapEventSource();
+        }
+
+        connect(nonce) {
+            if (typeof nonce !== 'string' || nonce.length < 16) {
+                return;
+            }
+
+            if (this.port) {
+                this.port.close();
+            }
+
+            const channel = new this.MessageChannel();
+            this.port = channel.port1;
+
+            const targetOrigin = window.location.origin === 'null' ? '*' : window.location.origin;
+            this.postMessage({ source: 'api-discovery-hook', nonce }, targetOrigin, [channel.port2]);
+
+            this.buffer.splice(0).forEach(record => this.port.postMessage(record));
+        }
+
+        emit(record) {
+            if (this.port) {
+                this.port.postMessage(record);
+                return;
+            }
+
+            this.buffer.push(record);
+            if (this.buffer.length > MAX_BUFFERED_RECORDS) {
+                this.buffer.shift();
+            }
+        }
+
+        wrapFetch() {
+            const originalFetch = window.fetch;
+            if (typeof originalFetch !== 'function') return;
+
+            const hook = this;
+            window.fetch = function (input, init) {
+                const startTime = Date.now();
+                let request;
+                try {
+                    request = hook.describeFetchRequest(input, init);
+                } catch {
+                    // Arguments fetch itself rejects, such as malformed headers, are the page's error to see
+                    return originalFetch.apply(this, arguments);
+                }
+                const promise = originalFetch.apply(this, arguments);
+
+                promise.then(
+                    response => {
+                        hook.readResponseBody(response, request).then(responseBody => {
+                            hook.emit({
+                                ...request,
+                                status: response.status,
+                                responseBody,
+                                startTime,
+                                duration: Date.now() - startTime
+                            });
+                        });
+                    },
+                    error => {
+                        hook.emit({
+                            ...request,
+                            status: 0,
+                            error: String((error && error.message) || error),
+                            startTime,
+                            duration: Date.now() - startTime
+                        });
+                    }
+                );
+
+                return promise;
+            };
+        }
+
+        describeFetchRequest(input, init = {}) {
+            const isRequest = typeof Request !== 'undefined' && input instanceof Request;
+            const headers = new Headers((init && init.headers) || (isRequest ? input.headers : undefined));
+
+            return {
+                kind: 'fetch',
+                method: ((init && init.method) || (isRequest ? input.method : 'GET')).toUpperCase(),
+                url: this.resolveURL(isRequest ? input.url : input),
+                requestBody: this.describeBody(init && init.body, headers.get('content-type'))
+            };
+        }
+
+        wrapXHR() {
+            const proto = XMLHttpRequest.prototype;
+            const originalOpen = proto.open;
+            const originalSetRequestHeader = proto.setRequestHeader;
+            const originalSend = proto.send;
+            const requests = new WeakMap();
+            const hook = this;
+
+            proto.open = function (method, url) {
+                requests.set(this, {
+                    kind: 'xhr',
+                    method: String(method).toUpperCase(),
+                    url: hook.resolveURL(url),
+                    contentType: null
+                });
+                return originalOpen.apply(this, arguments);
+            };
+
+            proto.setRequestHeader = function (name, value) {
+                const request = requests.get(this);
+                if (request && String(name).toLowerCase() === 'content-type') {
+                    request.contentType = value;
+                }
+                return originalSetRequestHeader.apply(this, arguments);
+            };
+
+            proto.send = function (body) {
+                const request = requests.get(this);
+                if (request) {
+                    const startTime = Date.now();
+                    const requestBody = hook.describeBody(body, request.contentType);
+
+                    this.addEventListener('loadend', () => {
+                        hook.emit({
+                            kind: request.kind,
+                            method: request.method,
+                            url: request.url,
+                            requestBody,
+                            status: this.status,
+                            responseBody: hook.readXHRBody(this),
+                            error: this.status === 0 ? 'XHR failed' : undefined,
+                            startTime,
+                            duration: Date.now() - startTime
+                        });
+                    });
+                }
+                return originalSend.apply(this, arguments);
+            };
+        }
+
+        wrapSendBeacon() {
+            if (!navigator.sendBeacon) return;
+
+            const originalSendBeacon = navigator.sendBeacon.bind(navigator);
+            const hook = this;
+
+            navigator.sendBeacon = function (url, data) {
+                const queued = originalSendBeacon(url, data);
+                hook.emit({
+                    kind: 'beacon',
+                    method: 'POST',
+                    url: hook.resolveURL(url),
+                    requestBody: hook.describeBody(data, data && data.type),
+                    status: queued ? null : 0,
+                    startTime: Date.now(),
+                    duration: null
+                });
+                return queued;
+            };
+        }
+
+        wrapWebSocket() {
+            const OriginalWebSocket = window.WebSocket;
+            if (typeof OriginalWebSocket !== 'function') return;
+
+            const connections = new WeakMap();
+            const originalSend = OriginalWebSocket.prototype.send;
+            const hook = this;
+
+            const connectionOf = socket => {
+                if (!connections.has(socket)) {
+                    connections.set(socket, hook.createId());
+                }
+                return connections.get(socket);
+            };
+
+            const emitSocketEvent = (socket, event, extra) => {
+                hook.emit({
+                    kind: 'websocket',
+                    method: 'GET',
+                    url: socket.url,
+                    connectionId: connectionOf(socket),
+                    event,
+                    timestamp: Date.now(),
+                    ...extra
+                });
+            };
+
+            const WrappedWebSocket = function (url, protocols) {
+                const socket = arguments.length > 1
+                    ? new OriginalWebSocket(url, protocols)
+                    : new OriginalWebSocket(url);
+
+                socket.addEventListener('open', () => emitSocketEvent(socket, 'open', { protocol: socket.protocol }));
+                socket.addEventListener('message', event => {
+                    emitSocketEvent(socket, 'frame', { direction: 'received', data: hook.describeFrame(event.data) });
+                });
+                socket.addEventListener('close', event => emitSocketEvent(socket, 'close', { code: event.code }));
+
+                return socket;
+            };
+
+            // Keep instanceof checks and the static readyState constants working
+            WrappedWebSocket.prototype = OriginalWebSocket.prototype;
+            Object.setPrototypeOf(WrappedWebSocket, OriginalWebSocket);
+            window.WebSocket = WrappedWebSocket;
+
+            OriginalWebSocket.prototype.send = function (data) {
+                emitSocketEvent(this, 'frame', { direction: 'sent', data: hook.describeFrame(data) });
+                return originalSend.apply(this, arguments);
+            };
+        }
+
+        describeFrame(data) {
+            if (typeof data === 'string') {
+                const truncated = data.length > MAX_BODY_CHARS;
+                return {
+                    binary: false,
+                    size: data.length,
+                    truncated,
+                    text: truncated ? data.slice(0, MAX_BODY_CHARS) : data
+                };
+            }
+
+            return { binary: true, size: (data && (data.size || data.byteLength)) || 0, truncated: false };
+        }
+
+        describeBody(body, contentType) {
+            if (body === undefined || body === null) {
+                return null;
+            }
+
+            if (typeof body === 'string') {
+                return this.textBody(body, contentType || 'text/plain');
+            }
+
+            if (body instanceof URLSearchParams) {
+                return this.textBody(body.toString(), 'application/x-www-form-urlencoded');
+            }
+
+            if (body instanceof FormData) {
+                const fields = {};
+                const files = [];
+                for (const [key, value] of body.entries()) {
+                    if (typeof value === 'string') {
+                        (fields[key] = fields[key] || []).push(value);
+                    } else {
+                        files.push(key);
+                    }
+                }
+                return { mimeType: 'multipart/form-data', size: 0, truncated: false, fields, files };
+            }
+
+            // Blobs, buffers and streams are not decoded, only measured
+            const size = body.size || body.byteLength || 0;
+            return { mimeType: contentType || 'application/octet-stream', size, truncated: true };
+        }
+
+        textBody(text, mimeType) {
+            const truncated = text.length > MAX_BODY_CHARS;
+            return {
+                mimeType: String(mimeType).split(';')[0].trim(),
+                size: text.length,
+                truncated,
+                text: truncated ? text.slice(0, MAX_BODY_CHARS) : text
+            };
+        }
+
+        async readResponseBody(response, request) {
+            const mimeType = (response.headers.get('content-type') || '').split(';')[0].trim();
+            if (STREAMING_CONTENT.test(mimeType) && response.body) {
+                // Streams may never end, so relay them chunk by chunk instead
+                this.streamResponse(response, request, mimeType);
+                return null;
+            }
+
+            if (!TEXTUAL_CONTENT.test(mimeType) || !response.body) {
+                return null;
+            }
+
+            try {
+                // Read the clone incrementally so huge bodies are cut off early
+                const reader = response.clone().body.getReader();
+                const decoder = new TextDecoder();
+                let text = '';
+
+                while (text.length <= MAX_BODY_CHARS) {
+                    const { done, value } = await reader.read();
+                    if (done) {
+                        return this.textBody(text + decoder.decode(), mimeType);
+                    }
+                    text += decoder.decode(value, { stream: true });
+                }
+
+                reader.cancel();
+                return this.textBody(text, mimeType);
+            } catch (error) {
+                return null;
+            }
+        }
+
+        async streamResponse(response, request, mimeType) {
+            const streamId = this.createId();
+            const base = {
+                kind: 'stream',
+                streamId,
+                mimeType,
+                method: request.method,
+                url: request.url,
+                status: response.status
+            };
+
+            try {
+                const reader = response.clone().body.getReader();
+                const decoder = new TextDecoder();
+                let received = 0;
+
+                while (received < MAX_STREAM_CHARS) {
+                    const { done, value } = await reader.read();
+                    if (done) break;
+
+                    const chunk = decoder.decode(value, { stream: true });
+                    received += chunk.length;
+                    this.emit({ ...base, chunk, done: false });
+                }
+
+                // Stop teeing once we have enough; the page keeps its own branch
+                reader.cancel();
+            } catch (error) {
+                // Stream aborted by the page or the network
+            }
+
+            this.emit({ ...base, chunk: '', done: true });
+        }
+
+        wrapEventSource() {
+            const OriginalEventSource = window.EventSource;
+            if (typeof OriginalEventSource !== 'function') return;
+
+            const sources = new WeakMap();
+            const addEventListener = EventTarget.prototype.addEventListener;
+            const hook = this;
+
+            // Custom event types only fire for registered listeners, so
+            // record each type the page subscribes to
+            const recordType = (source, type) => {
+                const state = sources.get(source);
+                if (!state || state.types.has(type)) return;
+
+                state.types.add(type);
+                addEventListener.call(source, type, event => {
+                    if (state.count >= MAX_STREAM_EVENTS) return;
+                    state.count++;
+                    hook.emit({
+                        kind: 'stream',
+                        streamId: state.streamId,
+                        mimeType: 'text/event-stream',
+                        method: 'GET',
+                        url: source.url,
+                        event: { event: type, data: event.data, id: event.lastEventId || null }
+                    });
+                });
+            };
+
+            const WrappedEventSource = function (url, config) {
+                const source = new OriginalEventSource(url, config);
+                sources.set(source, { streamId: hook.createId(), types: new Set(), count: 0 });
+                recordType(source, 'message');
+                return source;
+            };
+
+            WrappedEventSource.prototype = OriginalEventSource.prototype;
+            Object.setPrototypeOf(WrappedEventSource, OriginalEventSource);
+            window.EventSource = WrappedEventSource;
+
+            OriginalEventSource.prototype.addEventListener = function (type) {
+                recordType(this, String(type));
+                return addEventListener.apply(this, arguments);
+            };
+        }
+
+        readXHRBody(xhr) {
+            const mimeType = ((xhr.getResponseHeader('content-type') || '').split(';')[0]).trim();
+            if (!TEXTUAL_CONTENT.test(mimeType)) {
+                return null;
+            }
+
+            try {
+                if (xhr.responseType === '' || xhr.responseType === 'text') {
+                    return this.textBody(xhr.responseText, mimeType);
+                }
+                if (xhr.responseType === 'json' && xhr.response !== null) {
+                    return this.textBody(JSON.stringify(xhr.response), mimeType);
+                }
+            } catch (error) {
+                // Response not readable (aborted or wrong responseType)
+            }
+            return null;
+        }
+
+        createId() {
+            return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+        }
+
+        resolveURL(url) {
+            try {
+                return new URL(String(url), window.location.href).href;
+            } catch {
+                return String(url);
+            }
+        }
+    }
+
+    const hook = new PageTrafficHook();
+
+    Object.defineProperty(window, '__apiDiscoveryHook', {
+        value: Object.freeze({ connect: nonce => hook.connect(nonce) }),
+        writable: false,
+        configurable: false,
+        enumerable: false
+    });
+})();
@@ -0,0 +1,86 @@
+class HARImportPage {
+    constructor() {
+        this.init();
+    }
+
+    init() {
+        this.bindEvents();
+        this.loadSessions();
+    }
+
+    bindEvents() {
+        document.getElementById('harFile').addEventListener('change', () => this.updateButton());
+        document.getElementById('importHar').addEventListener('click', () => this.importFile());
+    }
+
+    async loadSessions() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_STATE' });
+            const select = document.getElementById('sessionSelect');
+            select.replaceChildren();
+
+            (response.sessions || []).forEach(session => {
+                const option = document.createElement('option');
+                option.value = session.id;
+                option.textContent = session.id === response.sessionId ? `${session.name} (active)` : session.name;
+                select.appendChild(option);
+            });
+            select.value = response.sessionId || '';
+        } catch (error) {
+            console.error('Failed to load sessions:', error);
+            this.showStatus('Could not load sessions', true);
+        }
+    }
+
+    updateButton() {
+        document.getElementById('importHar').disabled = document.getElementById('harFile').files.length === 0;
+    }
+
+    async importFile() {
+        const file = document.getElementById('harFile').files[0];
+        if (!file) return;
+
+        const button = document.getElementById('importHar');
+        button.disabled = true;
+        this.showStatus(`Reading ${file.name}...`);
+
+        try {
+            let har;
+            try {
+                har = JSON.parse(await file.text());
+            } catch {
+                throw new Error(`${file.name} is not valid JSON`);
+            }
+
+            const response = await chrome.runtime.sendMessage({
+                type: 'IMPORT_HAR',
+                har,
+                sessionId: document.getElementById('sessionSelect').value
+            });
+            if (!response || !response.success) {
+                throw new Error(response && response.error ? response.error : 'Import failed');
+            }
+
+            const select = document.getElementById('sessionSelect');
+            const session = select.options[select.selectedIndex].textContent;
+            this.showStatus(`Imported ${response.imported} of ${response.total} entries into ${session}.` +
+                (response.skipped > 0 ? `\n${response.skipped} entries were skipped by the capture rules.` : ''));
+        } catch (error) {
+            console.error('Failed to import HAR:', error);
+            this.showStatus(error.message, true);
+        } finally {
+            this.updateButton();
+        }
+    }
+
+    showStatus(message, isError = false) {
+        const status = document.getElementById('importStatus');
+        status.className = `import-status ${isError ? 'error' : ''}`;
+        status.textContent = message;
+    }
+}
+
+// Initialize the import page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.harImportPage = new HARImportPage();
+});
@@ -0,0 +1,106 @@
+/**
+ * Action Hints - Links user actions in a tab to the API calls they trigger
+ * The content script reports form submits, search typing and navigation clicks
+ * as CONTEXT_HINT messages. A call that starts shortly after one of them on
+ * the same tab is attributed to it.
+ */
+
+class ActionHints {
+    constructor(options = {}) {
+        this.windowMs = options.windowMs || 2000;
+        this.maxPerTab = options.maxPerTab || 20;
+        this.hintsByTab = new Map();
+    }
+
+    /**
+     * Turn a CONTEXT_HINT message into an action, or null if it can't be used
+     */
+    static normalize(hint) {
+        const time = Date.parse(hint.timestamp);
+        const data = hint.data || {};
+        if (Number.isNaN(time)) {
+            return null;
+        }
+
+        switch (hint.hintType) {
+            case 'form_submit':
+                return { type: 'form_submit', time, label: this.clean(data.name) || this.getFormLabel(data.action) };
+            case 'search_input': {
+                const query = String(data.query || '').trim();
+                return query ? { type: 'search_input', time, label: this.clean(data.name), query } : null;
+            }
+            case 'navigation':
+                return { type: 'navigation', time, label: this.clean(data.text) || this.getFormLabel(data.href) };
+            default:
+                return null;
+        }
+    }
+
+    static clean(text) {
+        const value = String(text || '').replace(/\s+/g, ' ').trim();
+        return value ? value.slice(0, 60) : null;
+    }
+
+    /**
+     * Last path segment of a form action or link, e.g. "login" for /account/login
+     */
+    static getFormLabel(url) {
+        try {
+            const segments = new URL(url).pathname.split('/').filter(Boolean);
+            return segments.length > 0 ? this.clean(decodeURIComponent(segments[segments.length - 1])) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    record(tabId, hint) {
+        const action = ActionHints.normalize(hint);
+        if (!action) {
+            return null;
+        }
+
+        const actions = this.hintsByTab.get(tabId) || [];
+        // Typing reports every keystroke; only the latest query counts
+        const last = actions[actions.length - 1];
+        if (last && last.type === 'search_input' && action.type === 'search_input' && action.time - last.time <= this.windowMs) {
+            actions.pop();
+        }
+
+        actions.push(action);
+        if (actions.length > this.maxPerTab) {
+            actions.shift();
+        }
+        this.hintsByTab.set(tabId, actions);
+        return action;
+    }
+
+    /**
+     * The latest action on a tab that a call starting at time may come from.
+     * Pages often send the call from their own handler, just before the hint.
+     */
+    match(tabId, time, accepts = () => true) {
+        const actions = this.hintsByTab.get(tabId) || [];
+        for (let i = actions.length - 1; i >= 0; i--) {
+            const action = actions[i];
+            if (time >= action.time - 250 && time - action.time <= this.windowMs && accepts(action)) {
+                return action;
+            }
+        }
+        return null;
+    }
+
+    forgetTab(tabId) {
+        this.hintsByTab.delete(tabId);
+    }
+
+    clear() {
+        this.hintsByTab.clear();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ActionHints;
+} else if (typeof window !== 'undefined') {
+    window.ActionHints = ActionHints;
+}
@@ -287,10 +287,88 @@ class APIAnalyzer {
     stats.contentTypes = this.sortMapByValue(stats.contentTypes);
     stats.averageResponseSize =
       stats.totalEndpoints > 0 ? totalResponseSize / stats.totalEndpoints : 0;
+    stats.latency = this.summarizePerformance(endpoints).latency;
+    stats.failedRequests = endpoints.filter((endpoint) => endpoint.error).length;
 
     return stats;
   }
 
+  /**
+   * Aggregate latency and payload sizes per method and path template
+   */
+  generatePerformanceStats(
+    endpoints,
+    getTemplate = (endpoint) => this.normalizePath(endpoint.pathname)
+  ) {
+    const groups = new Map();
+
+    endpoints.forEach((endpoint) => {
+      const path = getTemplate(endpoint);
+      const key = `${endpoint.method} ${path}`;
+
+      if (!groups.has(key)) {
+        groups.set(key, { method: endpoint.method, path, endpoints: [] });
+      }
+      groups.get(key).endpoints.push(endpoint);
+    });
+
+    return Array.from(groups.values())
+      .map((group) => ({
+        method: group.method,
+        path: group.path,
+        ...this.summarizePerformance(group.endpoints),
+      }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  /**
+   * Summarize latency percentiles and average payload sizes of some samples
+   */
+  summarizePerformance(endpoints) {
+    // Cache hits and failures never got a full network answer and would skew latency
+    const durations = endpoints
+      .filter((endpoint) => typeof endpoint.duration === "number")
+      .filter((endpoint) => !endpoint.fromCache && !endpoint.error)
+      .map((endpoint) => endpoint.duration)
+      .sort((a, b) => a - b);
+
+    return {
+      count: endpoints.length,
+      latency:
+        durations.length > 0
+          ? {
+              samples: durations.length,
+              min: durations[0],
+              p50: this.percentile(durations, 50),
+              p95: this.percentile(durations, 95),
+              p99: this.percentile(durations, 99),
+              max: durations[durations.length - 1],
+            }
+          : null,
+      averageRequestSize: this.averageKnownSize(endpoints, "requestSize"),
+      averageResponseSize: this.averageKnownSize(endpoints, "responseSize"),
+    };
+  }
+
+  /**
+   * Nearest-rank percentile of an ascending list
+   */
+  percentile(sortedValues, p) {
+    const rank = Math.ceil((p / 100) * sortedValues.length);
+    return sortedValues[Math.min(sortedValues.length, Math.max(rank, 1)) - 1];
+  }
+
+  averageKnownSize(endpoints, field) {
+    // A size of 0 means it wasn't known (no body, or no Content-Length)
+    const sizes = endpoints
+      .map((endpoint) => endpoint[field])
+      .filter((size) => size > 0);
+    if (sizes.length === 0) {
+      return null;
+    }
+    return Math.round(sizes.reduce((total, size) => total + size, 0) / sizes.length);
+  }
+
   /**
    * Sort a Map by values in descending order
    */
@@ -0,0 +1,286 @@
+/**
+ * AsyncAPI Generator - Builds AsyncAPI 2.6 documents from captured WebSocket traffic
+ * Frames are classified into message types by their JSON shape, and each
+ * type gets an inferred payload schema plus a few example payloads
+ */
+
+class AsyncAPIGenerator {
+    constructor() {
+        this.schemaInferrer = new SchemaInferrer();
+        this.discriminatorKeys = ['type', 'event', 'op', 'action', 'kind', 'cmd', 'method', 'channel', 't'];
+        this.maxExamples = 3;
+    }
+
+    /**
+     * Generate a complete AsyncAPI document from captured connections
+     */
+    generateAsyncAPISpec(connections, options = {}) {
+        const servers = this.generateServers(connections);
+
+        return {
+            asyncapi: '2.6.0',
+            info: {
+                title: options.title || 'Discovered Realtime API',
+                version: options.version || '0.1.0',
+                description: options.description || 'WebSocket API discovered automatically by Chrome Extension'
+            },
+            servers,
+            ...this.generateChannelsAndComponents(connections, servers)
+        };
+    }
+
+    /**
+     * Generate one server per WebSocket host
+     */
+    generateServers(connections) {
+        const servers = {};
+
+        connections.forEach(connection => {
+            const url = this.parseURL(connection.url);
+            if (!url) return;
+
+            const name = this.getServerName(url);
+            if (!servers[name]) {
+                servers[name] = {
+                    url: url.host,
+                    protocol: url.protocol.replace(':', '')
+                };
+            }
+        });
+
+        return servers;
+    }
+
+    /**
+     * Generate channels, message components and payload schemas
+     */
+    generateChannelsAndComponents(connections, servers) {
+        const channels = {};
+        const messages = {};
+        const schemas = {};
+        const usedNames = new Set();
+
+        this.groupByChannel(connections).forEach((group, channelName) => {
+            const types = this.classifyFrames(group.frames);
+            const published = [];
+            const subscribed = [];
+
+            types.forEach(type => {
+                const messageName = this.uniqueName(type.name, usedNames);
+                const payloads = type.frames.map(frame => frame.payload);
+
+                schemas[`${messageName}Payload`] = this.toJSONSchema(
+                    type.binary ? { type: 'string', format: 'binary' } : this.schemaInferrer.inferFromSamples(payloads)
+                );
+
+                messages[messageName] = {
+                    name: messageName,
+                    title: type.label,
+                    contentType: type.binary ? 'application/octet-stream' : (type.json ? 'application/json' : 'text/plain'),
+                    payload: { $ref: `#/components/schemas/${messageName}Payload` }
+                };
+                if (!type.binary) {
+                    messages[messageName].examples = payloads
+                        .slice(0, this.maxExamples)
+                        .map(payload => ({ payload }));
+                }
+
+                const ref = { $ref: `#/components/messages/${messageName}` };
+                if (type.directions.has('sent')) published.push(ref);
+                if (type.directions.has('received')) subscribed.push(ref);
+            });
+
+            // AsyncAPI 2.x is written from the server's view: publish = client sends
+            const channel = {
+                description: `WebSocket channel observed on ${group.urls.size} connection(s)`,
+                servers: Array.from(group.servers).filter(name => servers[name])
+            };
+            if (published.length > 0) {
+                channel.publish = {
+                    operationId: this.uniqueName(`send${this.toPascalCase(channelName)}`, usedNames),
+                    message: published.length === 1 ? published[0] : { oneOf: published }
+                };
+            }
+            if (subscribed.length > 0) {
+                channel.subscribe = {
+                    operationId: this.uniqueName(`receive${this.toPascalCase(channelName)}`, usedNames),
+                    message: subscribed.length === 1 ? subscribed[0] : { oneOf: subscribed }
+                };
+            }
+
+            channels[channelName] = channel;
+        });
+
+        return { channels, components: { messages, schemas } };
+    }
+
+    /**
+     * Group connections that share a host and path into one channel
+     */
+    groupByChannel(connections) {
+        const groups = new Map();
+
+        connections.forEach(connection => {
+            const url = this.parseURL(connection.url);
+            if (!url) return;
+
+            const channelName = url.pathname || '/';
+            if (!groups.has(channelName)) {
+                groups.set(channelName, { urls: new Set(), servers: new Set(), frames: [] });
+            }
+
+            const group = groups.get(channelName);
+            group.urls.add(connection.url);
+            group.servers.add(this.getServerName(url));
+            group.frames.push(...(connection.frames || []));
+        });
+
+        return groups;
+    }
+
+    /**
+     * Classify frames into message types by discriminator value or JSON shape
+     */
+    classifyFrames(frames) {
+        const types = new Map();
+
+        frames.forEach(frame => {
+            const payload = this.parsePayload(frame);
+            const classification = this.classifyPayload(payload, frame);
+
+            if (!types.has(classification.key)) {
+                types.set(classification.key, { ...classification, directions: new Set(), frames: [] });
+            }
+
+            const type = types.get(classification.key);
+            type.directions.add(frame.direction);
+            type.frames.push({ ...frame, payload });
+        });
+
+        return Array.from(types.values());
+    }
+
+    /**
+     * Work out the message type of a single payload
+     */
+    classifyPayload(payload, frame) {
+        if (frame.binary) {
+            return { key: 'binary', name: 'BinaryMessage', label: 'Binary frame', binary: true, json: false };
+        }
+
+        if (payload === undefined || typeof payload === 'string') {
+            return { key: 'text', name: 'TextMessage', label: 'Text frame', binary: false, json: false };
+        }
+
+        if (payload && typeof payload === 'object' && !Array.isArray(payload)) {
+            const discriminator = this.discriminatorKeys.find(key => typeof payload[key] === 'string' && payload[key]);
+            if (discriminator) {
+                const value = payload[discriminator];
+                return {
+                    key: `${discriminator}=${value}`,
+                    name: `${this.toPascalCase(value)}Message`,
+                    label: `${discriminator}: ${value}`,
+                    binary: false,
+                    json: true
+                };
+            }
+
+            const shape = Object.keys(payload).sort().join(',');
+            return {
+                key: `shape:${shape}`,
+                name: `${this.toPascalCase(Object.keys(payload).sort()[0] || 'empty')}Message`,
+                label: `Object with ${shape || 'no fields'}`,
+                binary: false,
+                json: true
+            };
+        }
+
+        return { key: `json:${Array.isArray(payload) ? 'array' : typeof payload}`, name: 'JsonMessage', label: 'JSON value', binary: false, json: true };
+    }
+
+    /**
+     * Parse a captured frame's text as JSON when possible
+     */
+    parsePayload(frame) {
+        if (frame.binary || typeof frame.text !== 'string') {
+            return undefined;
+        }
+
+        try {
+            return JSON.parse(frame.text);
+        } catch {
+            return frame.text;
+        }
+    }
+
+    /**
+     * Convert OpenAPI-style nullable schemas into plain JSON Schema
+     */
+    toJSONSchema(schema) {
+        if (!schema || typeof schema !== 'object') {
+            return schema;
+        }
+
+        const { nullable, ...result } = schema;
+
+        if (result.properties) {
+            result.properties = Object.fromEntries(
+                Object.entries(result.properties).map(([key, value]) => [key, this.toJSONSchema(value)])
+            );
+        }
+        if (result.items) {
+            result.items = this.toJSONSchema(result.items);
+        }
+        if (result.oneOf) {
+            result.oneOf = result.oneOf.map(variant => this.toJSONSchema(variant));
+        }
+
+        if (nullable) {
+            if (result.type) {
+                result.type = [result.type, 'null'];
+            } else if (result.oneOf) {
+                result.oneOf.push({ type: 'null' });
+            } else {
+                result.type = 'null';
+            }
+        }
+
+        return result;
+    }
+
+    getServerName(url) {
+        return url.host.replace(/[^a-zA-Z0-9]+/g, '-');
+    }
+
+    parseURL(url) {
+        try {
+            return new URL(url);
+        } catch {
+            return null;
+        }
+    }
+
+    uniqueName(name, usedNames) {
+        let unique = name;
+        let counter = 1;
+        while (usedNames.has(unique)) {
+            unique = `${name}${counter}`;
+            counter++;
+        }
+        usedNames.add(unique);
+        return unique;
+    }
+
+    toPascalCase(value) {
+        const words = String(value).split(/[^a-zA-Z0-9]+/).filter(Boolean);
+        const name = words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+        return name || 'Root';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AsyncAPIGenerator;
+} else if (typeof window !== 'undefined') {
+    window.AsyncAPIGenerator = AsyncAPIGenerator;
+}
@@ -0,0 +1,268 @@
+/**
+ * Body Parser - Decodes captured request and response payloads
+ * Turns webRequest request bodies into storable body records and parses
+ * stored records back into plain values for schema inference
+ */
+
+class BodyParser {
+    /**
+     * Build a body record from webRequest's details.requestBody
+     */
+    static fromWebRequest(requestBody, maxBytes = 64 * 1024) {
+        if (!requestBody || requestBody.error) {
+            return null;
+        }
+
+        // Chrome already decodes urlencoded and multipart forms into formData
+        if (requestBody.formData) {
+            return {
+                mimeType: 'application/x-www-form-urlencoded',
+                size: JSON.stringify(requestBody.formData).length,
+                truncated: false,
+                fields: requestBody.formData
+            };
+        }
+
+        if (!Array.isArray(requestBody.raw)) {
+            return null;
+        }
+
+        const chunks = requestBody.raw
+            .filter(part => part.bytes)
+            .map(part => new Uint8Array(part.bytes));
+        const size = chunks.reduce((total, chunk) => total + chunk.byteLength, 0);
+
+        if (size === 0) {
+            return null;
+        }
+
+        const bytes = new Uint8Array(Math.min(size, maxBytes));
+        let offset = 0;
+        for (const chunk of chunks) {
+            if (offset >= bytes.length) break;
+            const slice = chunk.subarray(0, bytes.length - offset);
+            bytes.set(slice, offset);
+            offset += slice.length;
+        }
+
+        const text = new TextDecoder('utf-8').decode(bytes);
+        return {
+            mimeType: this.guessMimeType(text),
+            size,
+            truncated: size > maxBytes,
+            text
+        };
+    }
+
+    /**
+     * Guess a MIME type for a body sent without a Content-Type header
+     */
+    static guessMimeType(text) {
+        const trimmed = text.trim();
+
+        if (/^--\S+\r?\n/.test(text)) {
+            return 'multipart/form-data';
+        }
+
+        if (/^[[{]/.test(trimmed)) {
+            try {
+                JSON.parse(trimmed);
+                return 'application/json';
+            } catch {
+                // Fall through to the other guesses
+            }
+        }
+
+        if (/^[^=&\s]+=[^&\s]*(&[^=&\s]+=[^&\s]*)*$/.test(trimmed)) {
+            return 'application/x-www-form-urlencoded';
+        }
+
+        return 'text/plain';
+    }
+
+    /**
+     * Classify a MIME type into the encodings we know how to parse
+     */
+    static getEncoding(mimeType = '') {
+        const type = mimeType.toLowerCase();
+
+        if (type.includes('application/x-www-form-urlencoded')) return 'form';
+        if (type.includes('multipart/form-data')) return 'multipart';
+        if (/[/+]json\b/.test(type)) return 'json';
+        return 'text';
+    }
+
+    /**
+     * Parse a body record into a plain value, or undefined if it can't be read
+     */
+    static parse(body) {
+        if (!body || body.truncated) {
+            return undefined;
+        }
+
+        if (body.fields) {
+            return this.fieldsToObject(body.fields);
+        }
+
+        if (typeof body.text !== 'string') {
+            return undefined;
+        }
+
+        switch (this.getEncoding(body.mimeType)) {
+            case 'form':
+                return this.fieldsToObject(this.parseURLEncoded(body.text));
+            case 'multipart':
+                return this.fieldsToObject(this.parseMultipart(body.text).fields);
+            default:
+                try {
+                    return this.restoreRedactedTypes(JSON.parse(body.text), body.redactedTypes);
+                } catch {
+                    return undefined;
+                }
+        }
+    }
+
+    /**
+     * Put a placeholder of the original type (0 or false) back where a number
+     * or boolean was redacted, so schemas keep the field's type
+     */
+    static restoreRedactedTypes(value, redactedTypes) {
+        if (!redactedTypes) {
+            return value;
+        }
+
+        const placeholders = { number: 0, boolean: false };
+        const restore = (item, key) => {
+            if (Array.isArray(item)) return item.map(element => restore(element, key));
+            if (item && typeof item === 'object') {
+                return Object.fromEntries(Object.entries(item).map(([name, element]) => [name, restore(element, name)]));
+            }
+            return item === '[REDACTED]' && Object.prototype.hasOwnProperty.call(redactedTypes, key)
+                ? placeholders[redactedTypes[key]]
+                : item;
+        };
+        return restore(value, null);
+    }
+
+    /**
+     * Parse an urlencoded string into webRequest-style fields
+     */
+    static parseURLEncoded(text) {
+        const fields = {};
+        for (const [key, value] of new URLSearchParams(text)) {
+            (fields[key] = fields[key] || []).push(value);
+        }
+        return fields;
+    }
+
+    /**
+     * Parse a raw multipart body into fields and the names of file parts
+     */
+    static parseMultipart(text) {
+        const fields = {};
+        const files = [];
+        const boundary = text.split(/\r?\n/, 1)[0];
+
+        if (!boundary.startsWith('--')) {
+            return { fields, files };
+        }
+
+        text.split(boundary).slice(1).forEach(part => {
+            const separator = part.search(/\r?\n\r?\n/);
+            if (separator === -1) return;
+
+            const headers = part.slice(0, separator);
+            const nameMatch = headers.match(/name="([^"]*)"/i);
+            if (!nameMatch) return;
+
+            if (/filename="/i.test(headers)) {
+                files.push(nameMatch[1]);
+                return;
+            }
+
+            const value = part.slice(separator).replace(/^\r?\n\r?\n/, '').replace(/\r?\n$/, '');
+            (fields[nameMatch[1]] = fields[nameMatch[1]] || []).push(value);
+        });
+
+        return { fields, files };
+    }
+
+    /**
+     * Collapse webRequest-style fields ({ key: [values] }) into typed values
+     */
+    static fieldsToObject(fields) {
+        const result = {};
+
+        Object.entries(fields).forEach(([key, values]) => {
+            const list = (Array.isArray(values) ? values : [values]).map(value => this.coerceFormValue(value));
+            result[key] = list.length === 1 ? list[0] : list;
+        });
+
+        return result;
+    }
+
+    /**
+     * Coerce a form value only when the conversion round-trips exactly
+     */
+    static coerceFormValue(value) {
+        if (value === 'true' || value === 'false') return value === 'true';
+        if (value !== '' && String(Number(value)) === value) return Number(value);
+        return value;
+    }
+
+    /**
+     * Redact sensitive fields before a body record is stored
+     */
+    static sanitize(body) {
+        if (!body) {
+            return body;
+        }
+
+        const sanitized = { mimeType: body.mimeType, size: body.size, truncated: body.truncated };
+
+        // A truncated body can't be parsed, so it can't be redacted either
+        if (body.truncated) {
+            return sanitized;
+        }
+
+        if (body.fields) {
+            sanitized.fields = Utils.sanitizeSensitiveData(body.fields);
+            return sanitized;
+        }
+
+        if (typeof body.text !== 'string') {
+            return sanitized;
+        }
+
+        switch (this.getEncoding(body.mimeType)) {
+            case 'form':
+                sanitized.fields = Utils.sanitizeSensitiveData(this.parseURLEncoded(body.text));
+                break;
+            case 'multipart': {
+                const { fields, files } = this.parseMultipart(body.text);
+                sanitized.fields = Utils.sanitizeSensitiveData(fields);
+                sanitized.files = files;
+                break;
+            }
+            default:
+                try {
+                    const redactedTypes = {};
+                    sanitized.text = JSON.stringify(Utils.sanitizeSensitiveData(JSON.parse(body.text), [], redactedTypes));
+                    if (Object.keys(redactedTypes).length > 0) {
+                        sanitized.redactedTypes = redactedTypes;
+                    }
+                } catch {
+                    sanitized.text = body.text;
+                }
+        }
+
+        return sanitized;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BodyParser;
+} else if (typeof window !== 'undefined') {
+    window.BodyParser = BodyParser;
+}
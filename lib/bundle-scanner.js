@@ -0,0 +1,315 @@
+/**
+ * Bundle Scanner - Finds API calls in JavaScript source
+ * Looks for fetch(), axios and XMLHttpRequest.open call sites and for API-like
+ * URL strings and template literals. Values built from variables become
+ * placeholders, so `/api/users/${user.id}` is reported as /api/users/{id}.
+ * Works on plain source text and source maps; fetching them is up to the caller.
+ */
+
+class BundleScanner {
+    static getMethods() {
+        return ['get', 'post', 'put', 'patch', 'delete', 'head', 'options'];
+    }
+
+    /**
+     * Patterns in the shape of the content script's page_patterns, one per method and URL
+     */
+    static scan(source, options = {}) {
+        const text = String(source || '');
+        const found = new Map();
+        const add = (value, method, callSite) => {
+            const url = this.cleanURL(value, callSite !== 'literal');
+            if (!url) return;
+
+            const key = `${method || ''} ${url}`;
+            if (!found.has(key)) {
+                found.set(key, { type: 'api_endpoint', value: url, method: method || null, source: options.source || 'script_bundle', callSite });
+            }
+        };
+
+        const calls = [
+            ...this.findFetchCalls(text).map(call => ({ ...call, callSite: 'fetch' })),
+            ...this.findAxiosCalls(text).map(call => ({ ...call, callSite: 'axios' })),
+            ...this.findXHRCalls(text).map(call => ({ ...call, callSite: 'xhr' }))
+        ];
+        calls.filter(call => call.value).forEach(call => add(call.value, call.method, call.callSite));
+
+        // Strings that are part of a call's URL were reported with the call
+        const used = calls.map(call => [call.start, call.end]).sort((a, b) => a[0] - b[0]);
+        this.findLiterals(text, used).forEach(value => {
+            if (![...found.values()].some(pattern => pattern.value === this.cleanURL(value, false))) {
+                add(value, null, 'literal');
+            }
+        });
+
+        return Array.from(found.values());
+    }
+
+    static findFetchCalls(text) {
+        const calls = [];
+        const fetchRegex = /\bfetch\s*\(/g;
+        let match;
+        while ((match = fetchRegex.exec(text)) !== null) {
+            const argument = this.readExpression(text, fetchRegex.lastIndex);
+            if (argument) {
+                calls.push({ ...argument, method: this.readOptionMethod(text, argument.end) || 'GET' });
+            }
+        }
+        return calls;
+    }
+
+    /**
+     * axios.get(url), axios({ url, method }) and the same on axios.create() instances,
+     * whose baseURL is put in front of relative paths
+     */
+    static findAxiosCalls(text) {
+        const calls = [];
+        const clients = new Map([['axios', '']]);
+        const createRegex = /\b([A-Za-z_$][\w$]*)\s*=\s*(?:[\w$]+\.)?axios\.create\s*\(\s*\{/g;
+        let match;
+        while ((match = createRegex.exec(text)) !== null) {
+            const base = this.readProperty(text, createRegex.lastIndex, 'baseURL');
+            clients.set(match[1], base ? base.value.replace(/\/$/, '') : '');
+            if (base) {
+                // Only used as a prefix, so it isn't an endpoint of its own
+                calls.push({ ...base, value: null });
+            }
+        }
+
+        const withBase = (client, argument) => ({
+            ...argument,
+            value: /^\//.test(argument.value) ? `${clients.get(client) || ''}${argument.value}` : argument.value
+        });
+        const names = [...clients.keys()].map(name => name.replace(/\$/g, '\\$')).join('|');
+
+        const verbRegex = new RegExp(`(?:^|[^\\w$.])(${names})\\.(${this.getMethods().join('|')})\\s*\\(`, 'g');
+        while ((match = verbRegex.exec(text)) !== null) {
+            const argument = this.readExpression(text, verbRegex.lastIndex);
+            if (argument) {
+                calls.push({ ...withBase(match[1], argument), method: match[2].toUpperCase() });
+            }
+        }
+
+        const configRegex = new RegExp(`(?:^|[^\\w$.])(${names})(?:\\.request)?\\s*\\(\\s*\\{`, 'g');
+        while ((match = configRegex.exec(text)) !== null) {
+            const argument = this.readProperty(text, configRegex.lastIndex, 'url');
+            if (argument) {
+                const config = text.slice(configRegex.lastIndex, configRegex.lastIndex + 500);
+                calls.push({ ...withBase(match[1], argument), method: this.readMethodProperty(config) || 'GET' });
+            }
+        }
+
+        return calls;
+    }
+
+    /**
+     * The value of a property in the object literal starting at start
+     */
+    static readProperty(text, start, name) {
+        const propertyMatch = new RegExp(`\\b${name}\\s*:\\s*`).exec(text.slice(start, start + 500));
+        return propertyMatch ? this.readExpression(text, start + propertyMatch.index + propertyMatch[0].length) : null;
+    }
+
+    static findXHRCalls(text) {
+        const calls = [];
+        const openRegex = /\.open\s*\(\s*(['"`])([A-Za-z]+)\1\s*,\s*/g;
+        let match;
+        while ((match = openRegex.exec(text)) !== null) {
+            const method = match[2].toLowerCase();
+            const argument = this.getMethods().includes(method) && this.readExpression(text, openRegex.lastIndex);
+            if (argument) {
+                calls.push({ ...argument, method: method.toUpperCase() });
+            }
+        }
+        return calls;
+    }
+
+    /**
+     * Quoted strings and template literals that look like API URLs wherever they appear
+     */
+    static findLiterals(text, skipRanges = []) {
+        const values = [];
+        const literalRegex = /['"`]/g;
+        let range = 0;
+        let match;
+        while ((match = literalRegex.exec(text)) !== null) {
+            const literal = this.readLiteral(text, match.index);
+            if (!literal) continue;
+            literalRegex.lastIndex = literal.end;
+
+            // Ranges are sorted and literals come in order, so passed ranges can be dropped
+            while (range < skipRanges.length && skipRanges[range][1] <= match.index) range++;
+            const skipped = range < skipRanges.length && skipRanges[range][0] <= match.index;
+            if (!skipped && literal.value !== null && this.looksLikeAPI(literal.value)) {
+                values.push(literal.value);
+            }
+        }
+        return values;
+    }
+
+    static looksLikeAPI(value) {
+        return /^(?:https?:\/\/[^/\s]+|\{[\w$]+\})?\/(?:[^\s]*\/)?(?:api|rest|graphql|v\d+)(?:[/?]|$)/i.test(value);
+    }
+
+    /**
+     * Read a URL argument made of literals and variables joined with +
+     */
+    static readExpression(text, start) {
+        let value = '';
+        let position = start;
+        let hasLiteral = false;
+
+        for (;;) {
+            position = this.skipSpace(text, position);
+            const char = text[position];
+
+            if (char === '\'' || char === '"' || char === '`') {
+                const literal = this.readLiteral(text, position);
+                if (!literal || literal.value === null) return null;
+                value += literal.value;
+                position = literal.end;
+                hasLiteral = true;
+            } else {
+                const reference = /^[A-Za-z_$][\w$]*(?:\s*\.\s*[A-Za-z_$][\w$]*)*/.exec(text.slice(position, position + 200));
+                if (!reference) return null;
+                value += `{${this.placeholderName(reference[0])}}`;
+                position += reference[0].length;
+            }
+
+            position = this.skipSpace(text, position);
+            if (text[position] !== '+') break;
+            position++;
+        }
+
+        return hasLiteral ? { value, start, end: position } : null;
+    }
+
+    /**
+     * A quoted string or template literal starting at start; template expressions become placeholders.
+     * Strings too long to be a URL are skipped with a null value.
+     */
+    static readLiteral(text, start) {
+        const quote = text[start];
+        let value = '';
+        let position = start + 1;
+        // Stray quotes in regex literals and comments must not pull in the whole file
+        const limit = Math.min(text.length, start + 20000);
+
+        while (position < limit) {
+            const char = text[position];
+            if (char === quote) {
+                return { value: value.length > 500 ? null : value, end: position + 1 };
+            }
+            if (char === '\\') {
+                value += text[position + 1] || '';
+                position += 2;
+                continue;
+            }
+            if (quote !== '`' && char === '\n') {
+                return null;
+            }
+            if (quote === '`' && char === '$' && text[position + 1] === '{') {
+                const end = this.findClosingBrace(text, position + 2);
+                if (end === -1) return null;
+                value += `{${this.placeholderName(text.slice(position + 2, end))}}`;
+                position = end + 1;
+                continue;
+            }
+            if (value.length <= 500) {
+                value += char;
+            }
+            position++;
+        }
+        return null;
+    }
+
+    static findClosingBrace(text, start) {
+        let depth = 1;
+        for (let position = start; position < text.length && position < start + 500; position++) {
+            if (text[position] === '{') depth++;
+            if (text[position] === '}' && --depth === 0) return position;
+        }
+        return -1;
+    }
+
+    /**
+     * Name a placeholder after the last identifier in its expression, e.g. id for encodeURIComponent(user.id)
+     */
+    static placeholderName(expression) {
+        const names = (expression.match(/[A-Za-z_$][\w$]*/g) || [])
+            .filter(name => !['encodeURIComponent', 'encodeURI', 'String', 'toString', 'this'].includes(name));
+        const name = names[names.length - 1];
+        // Minified names say nothing
+        return name && name.length > 1 ? name.replace(/\$/g, '') || 'param' : 'param';
+    }
+
+    static readOptionMethod(text, position) {
+        const rest = text.slice(this.skipSpace(text, position));
+        if (rest[0] !== ',') return null;
+        // Only look inside this call's options, not at the next call
+        const options = rest.slice(1, 400).split(/\bfetch\s*\(/)[0];
+        return this.readMethodProperty(options);
+    }
+
+    static readMethodProperty(text) {
+        const match = /\bmethod\s*:\s*(['"`])([A-Za-z]+)\1/.exec(text);
+        return match && this.getMethods().includes(match[2].toLowerCase()) ? match[2].toUpperCase() : null;
+    }
+
+    /**
+     * Keep URLs and absolute paths; a leading base URL variable is dropped, so the path is relative to the page
+     */
+    static cleanURL(value, fromCallSite) {
+        let url = String(value).trim().replace(/^\{[\w$]+\}(?=\/)/, '');
+        if (!/^(https?:\/\/[^/\s{}]+)?\/[^\s]*$/.test(url) || /^\/\//.test(url)) {
+            return null;
+        }
+        if (/\.(?:m?js|css|png|jpe?g|gif|svg|webp|ico|woff2?|ttf|map|html?)(?:[?#]|$)/i.test(url)) {
+            return null;
+        }
+        if (!fromCallSite && !this.looksLikeAPI(url)) {
+            return null;
+        }
+
+        // Repeated placeholder names would clash as path parameters
+        const seen = new Map();
+        url = url.replace(/\{([\w$]+)\}/g, (match, name) => {
+            const count = (seen.get(name) || 0) + 1;
+            seen.set(name, count);
+            return count > 1 ? `{${name}${count}}` : match;
+        });
+        return url;
+    }
+
+    static skipSpace(text, position) {
+        while (position < text.length && /\s/.test(text[position])) position++;
+        return position;
+    }
+
+    /**
+     * The sourceMappingURL comment at the end of a bundle, if any
+     */
+    static findSourceMapURL(source) {
+        const matches = String(source || '').match(/\/\/[#@]\s*sourceMappingURL=(\S+)\s*$/);
+        return matches ? matches[1] : null;
+    }
+
+    /**
+     * Original sources embedded in a source map; dependencies are left out
+     */
+    static getSourcesContent(map) {
+        if (!map || !Array.isArray(map.sourcesContent)) {
+            return [];
+        }
+        return map.sourcesContent.filter((content, index) =>
+            typeof content === 'string' && !/node_modules/.test((map.sources || [])[index] || '')
+        );
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BundleScanner;
+} else if (typeof window !== 'undefined') {
+    window.BundleScanner = BundleScanner;
+}
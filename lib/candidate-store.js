@@ -0,0 +1,165 @@
+/**
+ * Candidate Store - Endpoints seen in page code that may not have been called
+ * The content script reports API URLs in scripts, links to API paths and
+ * GraphQL operation names as page_patterns hints, and the bundle scanner adds
+ * call sites from script files. They are kept apart from observed operations,
+ * keyed by method (when a call site shows it), host and path template, or by
+ * GraphQL operation name.
+ * URLs are stored as given; sanitizing them is up to the caller.
+ */
+
+class CandidateStore {
+    constructor(getTemplate, options = {}) {
+        this.getTemplate = getTemplate;
+        this.maxCandidates = options.maxCandidates || 500;
+        this.maxPages = options.maxPages || 5;
+        this.candidates = new Map();
+    }
+
+    /**
+     * Turn one reported pattern into a candidate, or null if it can't be used
+     */
+    toCandidate(pattern, pageUrl) {
+        if (!pattern || !pattern.value) {
+            return null;
+        }
+
+        if (pattern.type === 'graphql_query') {
+            const operationName = String(pattern.value);
+            return {
+                key: `graphql#${operationName}`,
+                kind: 'graphql',
+                operationType: pattern.operationType || 'query',
+                operationName
+            };
+        }
+
+        let url;
+        try {
+            url = new URL(String(pattern.value), pageUrl);
+        } catch {
+            return null;
+        }
+        if (!/^https?:$/.test(url.protocol)) {
+            return null;
+        }
+
+        // Template literals in script code leave placeholders like ${user.id} in the path
+        const pathname = url.pathname.replace(/\$?%7B(?:[\w$]+\.)*([\w$]*)%7D/gi, (match, name) => `{${name || 'param'}}`);
+        const path = this.getTemplate({ pathname, hostname: url.hostname });
+        // Links are followed with GET; a URL string alone doesn't tell
+        const method = pattern.method ? String(pattern.method).toUpperCase() : pattern.type === 'api_link' ? 'GET' : null;
+        return {
+            key: `${method || '*'} ${url.hostname}${path}`,
+            kind: 'http',
+            method,
+            origin: url.origin,
+            hostname: url.hostname,
+            pathname,
+            path,
+            url: url.href
+        };
+    }
+
+    /**
+     * Record the patterns from one page_patterns hint; returns the new candidates
+     */
+    add(patterns, pageUrl, timestamp) {
+        const added = [];
+
+        (patterns || []).forEach(pattern => {
+            const found = this.toCandidate(pattern, pageUrl);
+            if (!found) {
+                return;
+            }
+
+            let candidate = this.candidates.get(found.key);
+            if (!candidate) {
+                if (this.candidates.size >= this.maxCandidates) {
+                    return;
+                }
+                candidate = { ...found, sources: [], pages: [], firstSeen: timestamp, lastSeen: timestamp };
+                this.candidates.set(found.key, candidate);
+                added.push(candidate);
+            }
+
+            candidate.lastSeen = timestamp;
+            if (pattern.source && !candidate.sources.includes(pattern.source)) {
+                candidate.sources.push(pattern.source);
+            }
+            if (pageUrl && !candidate.pages.includes(pageUrl) && candidate.pages.length < this.maxPages) {
+                candidate.pages.push(pageUrl);
+            }
+        });
+
+        return added;
+    }
+
+    /**
+     * Whether an observed operation covers the candidate
+     */
+    static isObserved(candidate, operation) {
+        const [path, fragment] = operation.path.split('#');
+
+        if (candidate.kind === 'graphql') {
+            return Boolean(fragment) && fragment.split('+').includes(candidate.operationName);
+        }
+        return !fragment && path === candidate.path &&
+            (!candidate.method || candidate.method === operation.method) &&
+            (operation.hosts.length === 0 || operation.hosts.includes(candidate.hostname));
+    }
+
+    /**
+     * Candidates no observed operation covers yet
+     */
+    getPending(operations) {
+        return this.list().filter(candidate =>
+            !operations.some(operation => CandidateStore.isObserved(candidate, operation))
+        );
+    }
+
+    list() {
+        return Array.from(this.candidates.values());
+    }
+
+    /**
+     * Fold in a candidate recorded elsewhere, e.g. in a merged session
+     */
+    merge(record) {
+        const candidate = this.candidates.get(record.key);
+        if (!candidate) {
+            if (this.candidates.size < this.maxCandidates) {
+                this.candidates.set(record.key, { ...record, sources: [...record.sources], pages: [...record.pages] });
+            }
+            return;
+        }
+
+        candidate.firstSeen = record.firstSeen < candidate.firstSeen ? record.firstSeen : candidate.firstSeen;
+        candidate.lastSeen = record.lastSeen > candidate.lastSeen ? record.lastSeen : candidate.lastSeen;
+        record.sources.forEach(source => {
+            if (!candidate.sources.includes(source)) candidate.sources.push(source);
+        });
+        record.pages.forEach(page => {
+            if (!candidate.pages.includes(page) && candidate.pages.length < this.maxPages) candidate.pages.push(page);
+        });
+    }
+
+    toJSON() {
+        return this.list();
+    }
+
+    load(records) {
+        this.candidates = new Map((records || []).map(record => [record.key, record]));
+    }
+
+    clear() {
+        this.candidates.clear();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CandidateStore;
+} else if (typeof window !== 'undefined') {
+    window.CandidateStore = CandidateStore;
+}
@@ -0,0 +1,139 @@
+/**
+ * Capture DB - IndexedDB persistence for captured operations
+ * Records are keyed by [session, operation key] and indexed by session, by
+ * [session, host] and by [session, path template], so lookups stay within one
+ * session. Every call writes its records in one transaction.
+ * API descriptions a site publishes are kept alongside, keyed by [session, url].
+ */
+
+class CaptureDB {
+    constructor(name = 'api-discovery') {
+        this.name = name;
+        this.version = 1;
+        this.opening = null;
+    }
+
+    open() {
+        if (!this.opening) {
+            this.opening = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.name, this.version);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    const operations = db.createObjectStore('operations', { keyPath: ['session', 'key'] });
+                    operations.createIndex('session', 'session');
+                    // An operation seen on several hosts has one [session, host] entry per host
+                    operations.createIndex('host', 'sessionHosts', { multiEntry: true });
+                    operations.createIndex('path', ['session', 'path']);
+
+                    const documents = db.createObjectStore('documents', { keyPath: ['session', 'url'] });
+                    documents.createIndex('session', 'session');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            // Let a later call retry instead of failing forever
+            this.opening.catch(() => {
+                this.opening = null;
+            });
+        }
+        return this.opening;
+    }
+
+    async putOperations(session, operations) {
+        if (operations.length === 0) return;
+
+        const db = await this.open();
+        const transaction = db.transaction('operations', 'readwrite');
+        const store = transaction.objectStore('operations');
+        operations.forEach(operation => store.put({
+            ...operation,
+            session,
+            sessionHosts: (operation.hosts || []).map(host => [session, host])
+        }));
+        await this.complete(transaction);
+    }
+
+    async deleteOperations(session, keys) {
+        if (keys.length === 0) return;
+
+        const db = await this.open();
+        const transaction = db.transaction('operations', 'readwrite');
+        const store = transaction.objectStore('operations');
+        keys.forEach(key => store.delete([session, key]));
+        await this.complete(transaction);
+    }
+
+    /**
+     * Operations of a session, optionally only those seen on a host or for a path template
+     */
+    async getOperations(session, filter = {}) {
+        const db = await this.open();
+        const store = db.transaction('operations').objectStore('operations');
+
+        let request;
+        if (filter.host) {
+            request = store.index('host').getAll([session, filter.host]);
+        } else if (filter.path) {
+            request = store.index('path').getAll([session, filter.path]);
+        } else {
+            request = store.index('session').getAll(session);
+        }
+
+        const records = await this.result(request);
+        return records.map(({ session: _session, sessionHosts: _sessionHosts, ...operation }) => operation);
+    }
+
+    async putDocument(session, document) {
+        const db = await this.open();
+        const transaction = db.transaction('documents', 'readwrite');
+        transaction.objectStore('documents').put({ ...document, session });
+        await this.complete(transaction);
+    }
+
+    async getDocuments(session) {
+        const db = await this.open();
+        const store = db.transaction('documents').objectStore('documents');
+        const records = await this.result(store.index('session').getAll(session));
+        return records.map(({ session: _session, ...document }) => document);
+    }
+
+    async clearSession(session) {
+        const db = await this.open();
+        const transaction = db.transaction(['operations', 'documents'], 'readwrite');
+        ['operations', 'documents'].forEach(name => {
+            const store = transaction.objectStore(name);
+            store.index('session').getAllKeys(session).onsuccess = event => {
+                event.target.result.forEach(key => store.delete(key));
+            };
+        });
+        await this.complete(transaction);
+    }
+
+    complete(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+
+    result(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CaptureDB;
+} else if (typeof window !== 'undefined') {
+    window.CaptureDB = CaptureDB;
+}
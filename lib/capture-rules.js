@@ -0,0 +1,251 @@
+/**
+ * Capture Rules - Ordered include/exclude rules deciding which requests are recorded
+ * The first enabled rule whose conditions all match decides; when none match
+ * the request is skipped. Every decision carries a human-readable reason.
+ */
+
+class CaptureRules {
+    /**
+     * Rules used until the user saves their own
+     */
+    static getDefaultRules() {
+        return [
+            {
+                id: 'static-assets',
+                name: 'Static assets',
+                action: 'exclude',
+                enabled: true,
+                hosts: [],
+                pathPattern: '\\.(css|js|mjs|map|png|jpe?g|gif|svg|webp|avif|ico|woff2?|ttf|otf|eot|mp4|webm|mp3)$',
+                methods: [],
+                resourceTypes: [],
+                contentTypes: []
+            },
+            {
+                id: 'telemetry',
+                name: 'Analytics and telemetry',
+                action: 'exclude',
+                enabled: true,
+                hosts: ['*.google-analytics.com', '*.googletagmanager.com', '*.doubleclick.net', '*.sentry.io', '*.hotjar.com', '*.segment.io', '*.mixpanel.com'],
+                pathPattern: '',
+                methods: [],
+                resourceTypes: [],
+                contentTypes: []
+            },
+            {
+                id: 'xhr-fetch',
+                name: 'XHR and fetch',
+                action: 'include',
+                enabled: true,
+                hosts: [],
+                pathPattern: '',
+                methods: [],
+                resourceTypes: ['xmlhttprequest'],
+                contentTypes: []
+            },
+            {
+                id: 'api-paths',
+                name: 'API-like paths',
+                action: 'include',
+                enabled: true,
+                hosts: [],
+                pathPattern: '/(api|rest|graphql)(/|$)|/v\\d+(/|$)|\\.json$',
+                methods: [],
+                resourceTypes: [],
+                contentTypes: []
+            },
+            {
+                id: 'json-responses',
+                name: 'JSON and streamed responses',
+                action: 'include',
+                enabled: true,
+                hosts: [],
+                pathPattern: '',
+                methods: [],
+                resourceTypes: [],
+                contentTypes: ['json', 'text/event-stream']
+            },
+            {
+                id: 'websockets',
+                name: 'WebSockets',
+                action: 'include',
+                enabled: true,
+                hosts: [],
+                pathPattern: '',
+                methods: [],
+                resourceTypes: ['websocket'],
+                contentTypes: []
+            }
+        ];
+    }
+
+    /**
+     * Clean up rules from storage or the settings page.
+     * Returns the usable rules plus one error message per rejected rule.
+     */
+    static normalize(rules) {
+        const normalized = [];
+        const errors = [];
+        const usedIds = new Set();
+
+        (Array.isArray(rules) ? rules : []).forEach((rule, index) => {
+            const list = value => (Array.isArray(value) ? value : String(value || '').split(/[\s,]+/))
+                .map(item => String(item).trim())
+                .filter(Boolean);
+
+            let id = String(rule.id || `rule-${index + 1}`);
+            while (usedIds.has(id)) {
+                id = `${id}-${index + 1}`;
+            }
+
+            const candidate = {
+                id,
+                name: String(rule.name || `Rule ${index + 1}`).trim(),
+                action: rule.action === 'exclude' ? 'exclude' : 'include',
+                enabled: rule.enabled !== false,
+                hosts: list(rule.hosts).map(host => host.toLowerCase()),
+                pathPattern: String(rule.pathPattern || '').trim(),
+                methods: list(rule.methods).map(method => method.toUpperCase()),
+                resourceTypes: list(rule.resourceTypes).map(type => type.toLowerCase()),
+                contentTypes: list(rule.contentTypes).map(type => type.toLowerCase())
+            };
+
+            const error = this.validate(candidate);
+            if (error) {
+                errors.push(`${candidate.name}: ${error}`);
+                return;
+            }
+
+            usedIds.add(id);
+            normalized.push(candidate);
+        });
+
+        return { rules: normalized, errors };
+    }
+
+    /**
+     * Return an error message for an unusable rule, or null
+     */
+    static validate(rule) {
+        if (rule.pathPattern) {
+            try {
+                new RegExp(rule.pathPattern);
+            } catch (error) {
+                return `invalid path regex (${error.message})`;
+            }
+        }
+
+        const badHost = rule.hosts.find(host => !/^[a-z0-9*.:-]+$/.test(host));
+        if (badHost) {
+            return `invalid host glob "${badHost}"`;
+        }
+
+        return null;
+    }
+
+    /**
+     * Decide whether a request is captured.
+     * request: { url, method, type, contentType }. contentType is undefined
+     * until the response arrives; rules that depend on it can then only say
+     * "maybe", reported as captured: null.
+     */
+    static evaluate(rules, request) {
+        let url;
+        try {
+            url = new URL(request.url);
+        } catch {
+            return { captured: false, rule: null, reason: 'Not a valid URL' };
+        }
+
+        for (const rule of rules) {
+            if (!rule.enabled) continue;
+
+            const match = this.matchRule(rule, request, url);
+            if (match.matched === false) continue;
+
+            if (match.matched === null) {
+                // Can't rule an exclude out yet, but an include may still apply
+                if (rule.action === 'exclude') continue;
+                return { captured: null, rule: this.describeRule(rule), reason: `May match rule "${rule.name}" once the response type is known` };
+            }
+
+            return {
+                captured: rule.action === 'include',
+                rule: this.describeRule(rule),
+                reason: this.explain(rule, match.conditions)
+            };
+        }
+
+        return { captured: false, rule: null, reason: 'No capture rule matched' };
+    }
+
+    /**
+     * Match one rule; matched is null when it hinges on an unknown content type
+     */
+    static matchRule(rule, request, url) {
+        const conditions = [];
+
+        if (rule.hosts.length > 0) {
+            const host = rule.hosts.find(glob => this.globToRegExp(glob).test(url.hostname));
+            if (!host) return { matched: false };
+            conditions.push(`host matches ${host}`);
+        }
+
+        if (rule.pathPattern) {
+            if (!new RegExp(rule.pathPattern, 'i').test(url.pathname)) return { matched: false };
+            conditions.push(`path matches "${rule.pathPattern}"`);
+        }
+
+        if (rule.methods.length > 0) {
+            const method = (request.method || 'GET').toUpperCase();
+            if (!rule.methods.includes(method)) return { matched: false };
+            conditions.push(`method is ${method}`);
+        }
+
+        if (rule.resourceTypes.length > 0) {
+            if (!rule.resourceTypes.includes(request.type)) return { matched: false };
+            conditions.push(`resource type is ${request.type}`);
+        }
+
+        if (rule.contentTypes.length > 0) {
+            if (request.contentType === undefined) return { matched: null };
+
+            const contentType = (request.contentType || '').toLowerCase();
+            const type = rule.contentTypes.find(candidate => contentType.includes(candidate));
+            if (!type) return { matched: false };
+            conditions.push(`content type ${contentType} contains ${type}`);
+        }
+
+        return { matched: true, conditions };
+    }
+
+    static explain(rule, conditions) {
+        const verb = rule.action === 'include' ? 'Included' : 'Excluded';
+        const detail = conditions.length > 0 ? conditions.join('; ') : 'matches every request';
+        return `${verb} by rule "${rule.name}": ${detail}`;
+    }
+
+    static describeRule(rule) {
+        return { id: rule.id, name: rule.name, action: rule.action };
+    }
+
+    /**
+     * Turn a host glob such as *.example.com into a RegExp.
+     * "*." also matches the bare domain, so *.example.com covers example.com.
+     */
+    static globToRegExp(glob) {
+        const escaped = glob
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        const pattern = escaped.startsWith('.*\\.') ? `(.*\\.)?${escaped.slice(4)}` : escaped;
+        return new RegExp(`^${pattern}$`, 'i');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CaptureRules;
+} else if (typeof window !== 'undefined') {
+    window.CaptureRules = CaptureRules;
+}
@@ -0,0 +1,170 @@
+/**
+ * Discovery Scope - Decides which traffic a discovery session records
+ * A session is bound to one tab, to a set of origins, or to every tab.
+ * Requests made outside any tab (extensions, service workers) never count.
+ */
+
+class DiscoveryScope {
+    /**
+     * Build a scope from popup input, or throw if it can't be honoured
+     */
+    static create(options = {}) {
+        const mode = ['tab', 'origins', 'all'].includes(options.mode) ? options.mode : 'tab';
+
+        if (mode === 'tab' && typeof options.tabId !== 'number') {
+            throw new Error('No tab to record');
+        }
+
+        const origins = mode === 'origins' ? this.normalizeOrigins(options.origins) : [];
+        if (mode === 'origins' && origins.length === 0) {
+            throw new Error('No valid origins to record');
+        }
+
+        return {
+            mode,
+            tabId: mode === 'tab' ? options.tabId : null,
+            tabTitle: mode === 'tab' ? options.tabTitle || null : null,
+            tabURL: mode === 'tab' ? options.tabURL || null : null,
+            origins
+        };
+    }
+
+    /**
+     * Normalize popup input into origin patterns.
+     * "https://app.example.com" matches that exact origin, "example.com" matches
+     * the host over any scheme, and "*.example.com" adds its subdomains.
+     */
+    static normalizeOrigins(input) {
+        const entries = Array.isArray(input) ? input : String(input || '').split(/[\s,]+/);
+        const origins = new Set();
+
+        entries.forEach(entry => {
+            const value = entry.trim().toLowerCase();
+            if (!value) return;
+
+            if (/^https?:\/\//.test(value)) {
+                try {
+                    origins.add(new URL(value).origin);
+                } catch {
+                    // Not a usable origin
+                }
+                return;
+            }
+
+            const host = value.replace(/\/.*$/, '');
+            if (/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*(:\d+)?$/.test(host)) {
+                origins.add(host);
+            }
+        });
+
+        return Array.from(origins);
+    }
+
+    /**
+     * Check whether a URL belongs to one of the scope's origin patterns
+     */
+    static matchesOrigin(scope, url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            return false;
+        }
+
+        return scope.origins.some(pattern => {
+            if (pattern.includes('://')) {
+                return parsed.origin === pattern;
+            }
+            if (pattern.startsWith('*.')) {
+                const base = pattern.slice(2);
+                return parsed.host === base || parsed.host.endsWith(`.${base}`);
+            }
+            return parsed.host === pattern;
+        });
+    }
+
+    /**
+     * Check a webRequest-style request ({ tabId, url, initiator })
+     */
+    static matchesRequest(scope, request) {
+        if (!scope || typeof request.tabId !== 'number' || request.tabId < 0) {
+            return false;
+        }
+        if (request.initiator && !/^https?:/.test(request.initiator)) {
+            return false;
+        }
+
+        switch (scope.mode) {
+            case 'tab':
+                return request.tabId === scope.tabId;
+            case 'origins':
+                // Either the API lives on a chosen origin or a chosen page called it
+                return this.matchesOrigin(scope, request.url) ||
+                    Boolean(request.initiator && this.matchesOrigin(scope, request.initiator));
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Check whether a tab should get the page hook and response capture
+     */
+    static matchesTab(scope, tab) {
+        if (!scope || !tab || !tab.url || !/^https?:/.test(tab.url)) {
+            return false;
+        }
+
+        switch (scope.mode) {
+            case 'tab':
+                return tab.id === scope.tabId;
+            case 'origins':
+                return this.matchesOrigin(scope, tab.url);
+            default:
+                return true;
+        }
+    }
+
+    /**
+     * Content script match patterns covering the scope's pages
+     */
+    static toMatchPatterns(scope) {
+        if (scope.mode === 'origins') {
+            return scope.origins.map(pattern => {
+                // Match patterns can't carry ports
+                if (pattern.includes('://')) return `${pattern.replace(/:\d+$/, '')}/*`;
+                return `*://${pattern.replace(/:\d+$/, '')}/*`;
+            });
+        }
+        if (scope.mode === 'tab' && scope.tabURL) {
+            try {
+                return [`${new URL(scope.tabURL).origin.replace(/:\d+$/, '')}/*`];
+            } catch {
+                // Fall back to every page
+            }
+        }
+        return ['http://*/*', 'https://*/*'];
+    }
+
+    /**
+     * Short human-readable description for the popup
+     */
+    static describe(scope) {
+        if (!scope) return 'Nothing';
+
+        switch (scope.mode) {
+            case 'tab':
+                return `Tab: ${scope.tabTitle || Utils.extractHostname(scope.tabURL) || `#${scope.tabId}`}`;
+            case 'origins':
+                return scope.origins.join(', ');
+            default:
+                return 'All tabs';
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DiscoveryScope;
+} else if (typeof window !== 'undefined') {
+    window.DiscoveryScope = DiscoveryScope;
+}
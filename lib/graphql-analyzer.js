@@ -0,0 +1,795 @@
+/**
+ * GraphQL Analyzer - Recognizes GraphQL operations in captured traffic
+ * Parses operation documents from request bodies and query strings, and
+ * infers a partial SDL from the observed selections, variables and response data
+ */
+
+class GraphQLAnalyzer {
+    constructor() {
+        this.types = new Map();
+        this.scalars = new Set();
+        this.typenames = new Set();
+        this.builtinScalars = ['String', 'Int', 'Float', 'Boolean', 'ID'];
+        this.rootTypes = { query: 'Query', mutation: 'Mutation', subscription: 'Subscription' };
+    }
+
+    /**
+     * Extract every GraphQL operation carried by a captured endpoint.
+     * Batched requests yield one operation per array entry, in order.
+     */
+    static extractOperations(endpoint) {
+        const payloads = this.getRequestPayloads(endpoint);
+
+        return payloads
+            .map((payload, index) => this.describePayload(payload, index))
+            .filter(Boolean);
+    }
+
+    /**
+     * Find the GraphQL request payload(s) in a POST body or a GET query string
+     */
+    static getRequestPayloads(endpoint) {
+        const body = BodyParser.parse(endpoint.requestBody);
+        if (Array.isArray(body)) {
+            return body;
+        }
+        if (body && typeof body === 'object') {
+            return [body];
+        }
+
+        // GET requests carry the operation in the query string
+        const params = endpoint.searchParams || {};
+        if (!params.query && !params.extensions) {
+            return [];
+        }
+
+        return [{
+            query: params.query,
+            operationName: params.operationName,
+            variables: this.parseJSON(params.variables),
+            extensions: this.parseJSON(params.extensions)
+        }];
+    }
+
+    /**
+     * Describe one request payload, or return null if it isn't GraphQL
+     */
+    static describePayload(payload, index) {
+        if (!payload || typeof payload !== 'object') {
+            return null;
+        }
+
+        const persistedQuery = payload.extensions && payload.extensions.persistedQuery;
+        const persistedQueryHash = persistedQuery && persistedQuery.sha256Hash;
+        const query = typeof payload.query === 'string' ? payload.query : null;
+
+        if (!query && !persistedQueryHash) {
+            return null;
+        }
+
+        let document = null;
+        if (query) {
+            document = this.parseDocument(query);
+            if (!document) {
+                return null;
+            }
+        }
+
+        const definition = document ? this.selectOperation(document, payload.operationName) : null;
+
+        return {
+            index,
+            operationName: payload.operationName || (definition && definition.name) || null,
+            operationType: (definition && definition.operation) || this.guessOperationType(payload.operationName),
+            persistedQueryHash: persistedQueryHash || null,
+            query,
+            document,
+            variables: payload.variables && typeof payload.variables === 'object' ? payload.variables : {}
+        };
+    }
+
+    /**
+     * Persisted queries don't send the document; fall back to naming conventions
+     */
+    static guessOperationType(operationName) {
+        if (/^(create|update|delete|remove|add|set|upsert)/i.test(operationName || '')) {
+            return 'mutation';
+        }
+        return 'query';
+    }
+
+    /**
+     * Pick the executed operation from a parsed document
+     */
+    static selectOperation(document, operationName) {
+        const operations = document.definitions.filter(definition => definition.kind === 'operation');
+
+        if (operationName) {
+            return operations.find(operation => operation.name === operationName) || null;
+        }
+        return operations.length === 1 ? operations[0] : null;
+    }
+
+    static parseJSON(value) {
+        if (typeof value !== 'string') {
+            return value;
+        }
+
+        try {
+            return JSON.parse(value);
+        } catch {
+            return undefined;
+        }
+    }
+
+    /**
+     * Parse a GraphQL document, or return null if it isn't valid GraphQL
+     */
+    static parseDocument(source) {
+        try {
+            const parser = { tokens: this.tokenize(source), position: 0 };
+            const definitions = [];
+
+            while (parser.position < parser.tokens.length) {
+                definitions.push(this.parseDefinition(parser));
+            }
+
+            return definitions.length > 0 ? { definitions } : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Split a GraphQL document into punctuators, names, numbers and strings
+     */
+    static tokenize(source) {
+        const tokens = [];
+        const pattern = /[\s,\uFEFF]+|#[^\n\r]*|(\.\.\.|[!$&():=@[\]{|}])|("""[\s\S]*?"""|"(?:\\.|[^"\\\n])*")|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|([_A-Za-z][_0-9A-Za-z]*)/y;
+
+        while (pattern.lastIndex < source.length) {
+            const start = pattern.lastIndex;
+            const match = pattern.exec(source);
+            if (!match) {
+                throw new Error(`Unexpected character at ${start}`);
+            }
+
+            if (match[1]) tokens.push({ kind: 'punct', value: match[1] });
+            else if (match[2]) tokens.push({ kind: 'string', value: match[2] });
+            else if (match[3]) tokens.push({ kind: match[3].includes('.') || /e/i.test(match[3]) ? 'float' : 'int', value: match[3] });
+            else if (match[4]) tokens.push({ kind: 'name', value: match[4] });
+        }
+
+        return tokens;
+    }
+
+    static peek(parser, value) {
+        const token = parser.tokens[parser.position];
+        return Boolean(token) && (value === undefined || token.value === value);
+    }
+
+    static expect(parser, value) {
+        const token = parser.tokens[parser.position++];
+        if (!token || (value !== undefined && token.value !== value)) {
+            throw new Error(`Expected ${value || 'token'}`);
+        }
+        return token;
+    }
+
+    static expectName(parser) {
+        const token = this.expect(parser);
+        if (token.kind !== 'name') {
+            throw new Error('Expected name');
+        }
+        return token.value;
+    }
+
+    static parseDefinition(parser) {
+        if (this.peek(parser, '{')) {
+            return { kind: 'operation', operation: 'query', name: null, variables: [], selections: this.parseSelectionSet(parser) };
+        }
+
+        const keyword = this.expectName(parser);
+
+        if (keyword === 'fragment') {
+            const name = this.expectName(parser);
+            this.expect(parser, 'on');
+            const typeCondition = this.expectName(parser);
+            this.skipDirectives(parser);
+            return { kind: 'fragment', name, typeCondition, selections: this.parseSelectionSet(parser) };
+        }
+
+        if (!['query', 'mutation', 'subscription'].includes(keyword)) {
+            // Schema definitions and other documents are not executable operations
+            throw new Error(`Unsupported definition ${keyword}`);
+        }
+
+        const name = this.peek(parser) && parser.tokens[parser.position].kind === 'name' ? this.expectName(parser) : null;
+        const variables = this.peek(parser, '(') ? this.parseVariableDefinitions(parser) : [];
+        this.skipDirectives(parser);
+
+        return { kind: 'operation', operation: keyword, name, variables, selections: this.parseSelectionSet(parser) };
+    }
+
+    static parseVariableDefinitions(parser) {
+        const variables = [];
+        this.expect(parser, '(');
+
+        while (!this.peek(parser, ')')) {
+            this.expect(parser, '$');
+            const name = this.expectName(parser);
+            this.expect(parser, ':');
+            const type = this.parseTypeReference(parser);
+            if (this.peek(parser, '=')) {
+                this.expect(parser, '=');
+                this.parseValue(parser);
+            }
+            this.skipDirectives(parser);
+            variables.push({ name, type });
+        }
+
+        this.expect(parser, ')');
+        return variables;
+    }
+
+    static parseTypeReference(parser) {
+        let type;
+        if (this.peek(parser, '[')) {
+            this.expect(parser, '[');
+            type = `[${this.parseTypeReference(parser)}]`;
+            this.expect(parser, ']');
+        } else {
+            type = this.expectName(parser);
+        }
+
+        if (this.peek(parser, '!')) {
+            this.expect(parser, '!');
+            type += '!';
+        }
+        return type;
+    }
+
+    static parseSelectionSet(parser) {
+        const selections = [];
+        this.expect(parser, '{');
+
+        while (!this.peek(parser, '}')) {
+            selections.push(this.parseSelection(parser));
+        }
+
+        this.expect(parser, '}');
+        return selections;
+    }
+
+    static parseSelection(parser) {
+        if (this.peek(parser, '...')) {
+            this.expect(parser, '...');
+
+            if (this.peek(parser, 'on')) {
+                this.expect(parser, 'on');
+                const typeCondition = this.expectName(parser);
+                this.skipDirectives(parser);
+                return { kind: 'inlineFragment', typeCondition, selections: this.parseSelectionSet(parser) };
+            }
+            if (this.peek(parser, '{') || this.peek(parser, '@')) {
+                this.skipDirectives(parser);
+                return { kind: 'inlineFragment', typeCondition: null, selections: this.parseSelectionSet(parser) };
+            }
+
+            const name = this.expectName(parser);
+            this.skipDirectives(parser);
+            return { kind: 'fragmentSpread', name };
+        }
+
+        let name = this.expectName(parser);
+        let alias = null;
+        if (this.peek(parser, ':')) {
+            this.expect(parser, ':');
+            alias = name;
+            name = this.expectName(parser);
+        }
+
+        const args = this.peek(parser, '(') ? this.parseArguments(parser) : [];
+        this.skipDirectives(parser);
+        const selections = this.peek(parser, '{') ? this.parseSelectionSet(parser) : null;
+
+        return { kind: 'field', name, alias, args, selections };
+    }
+
+    static parseArguments(parser) {
+        const args = [];
+        this.expect(parser, '(');
+
+        while (!this.peek(parser, ')')) {
+            const name = this.expectName(parser);
+            this.expect(parser, ':');
+            args.push({ name, value: this.parseValue(parser) });
+        }
+
+        this.expect(parser, ')');
+        return args;
+    }
+
+    static parseValue(parser) {
+        if (this.peek(parser, '$')) {
+            this.expect(parser, '$');
+            return { kind: 'variable', name: this.expectName(parser) };
+        }
+
+        if (this.peek(parser, '[')) {
+            this.expect(parser, '[');
+            const values = [];
+            while (!this.peek(parser, ']')) {
+                values.push(this.parseValue(parser));
+            }
+            this.expect(parser, ']');
+            return { kind: 'list', values };
+        }
+
+        if (this.peek(parser, '{')) {
+            this.expect(parser, '{');
+            const fields = [];
+            while (!this.peek(parser, '}')) {
+                const name = this.expectName(parser);
+                this.expect(parser, ':');
+                fields.push({ name, value: this.parseValue(parser) });
+            }
+            this.expect(parser, '}');
+            return { kind: 'object', fields };
+        }
+
+        const token = this.expect(parser);
+        switch (token.kind) {
+            case 'int':
+                return { kind: 'Int' };
+            case 'float':
+                return { kind: 'Float' };
+            case 'string':
+                return { kind: 'String' };
+            case 'name':
+                if (token.value === 'true' || token.value === 'false') return { kind: 'Boolean' };
+                if (token.value === 'null') return { kind: 'null' };
+                return { kind: 'enum', value: token.value };
+            default:
+                throw new Error(`Unexpected ${token.value}`);
+        }
+    }
+
+    static skipDirectives(parser) {
+        while (this.peek(parser, '@')) {
+            this.expect(parser, '@');
+            this.expectName(parser);
+            if (this.peek(parser, '(')) {
+                this.parseArguments(parser);
+            }
+        }
+    }
+
+    /**
+     * Record one observed operation and its response data in the inferred schema
+     */
+    addOperation(operation, data) {
+        const rootType = this.rootTypes[operation.operationType] || 'Query';
+        const definition = operation.document
+            ? GraphQLAnalyzer.selectOperation(operation.document, operation.operationName)
+            : null;
+
+        this.getType(rootType, 'type');
+        this.collectTypenames(data);
+
+        if (!definition) {
+            // Persisted queries only leave the response shape to go on
+            this.addDataFields(rootType, data);
+            return;
+        }
+
+        const fragments = new Map(
+            operation.document.definitions
+                .filter(item => item.kind === 'fragment')
+                .map(fragment => [fragment.name, fragment])
+        );
+        const variableTypes = new Map(definition.variables.map(variable => [variable.name, variable.type]));
+
+        definition.variables.forEach(variable => {
+            this.addInputType(variable.type, operation.variables[variable.name]);
+        });
+
+        this.addSelections(rootType, definition.selections, [data], { fragments, variableTypes });
+    }
+
+    /**
+     * Walk a selection set against every response object observed for it
+     */
+    addSelections(typeName, selections, values, context) {
+        const objects = values.filter(value => value && typeof value === 'object' && !Array.isArray(value));
+
+        selections.forEach(selection => {
+            if (selection.kind === 'field') {
+                this.addField(typeName, selection, objects, context);
+                return;
+            }
+
+            const fragment = selection.kind === 'fragmentSpread'
+                ? context.fragments.get(selection.name)
+                : selection;
+            if (!fragment) return;
+
+            const condition = fragment.typeCondition || typeName;
+            if (condition === typeName) {
+                this.addSelections(typeName, fragment.selections, objects, context);
+                return;
+            }
+
+            // A fragment on another type means the parent is an interface or union
+            this.getType(condition, 'type');
+            const matching = objects.filter(object => object.__typename === condition);
+            this.addSelections(condition, fragment.selections, matching, context);
+        });
+    }
+
+    addField(typeName, selection, objects, context) {
+        if (selection.name === '__typename') return;
+
+        const key = selection.alias || selection.name;
+        const values = objects.map(object => object[key]).filter(value => value !== undefined);
+        const field = this.getField(typeName, selection.name);
+
+        selection.args.forEach(arg => {
+            if (!field.args.has(arg.name)) {
+                field.args.set(arg.name, this.describeArgument(arg.value, context.variableTypes));
+            }
+        });
+
+        if (!selection.selections) {
+            this.mergeFieldType(field, this.describeScalarValues(selection.name, values));
+            return;
+        }
+
+        const items = this.flattenLists(values);
+        const typename = items.map(item => item && item.__typename).find(Boolean);
+        const childType = typename || field.type.name || this.guessTypeName(typeName, selection.name);
+
+        this.getType(childType, 'type');
+        this.mergeFieldType(field, { name: childType, listDepth: this.getListDepth(values) });
+        this.addSelections(childType, selection.selections, items, context);
+    }
+
+    /**
+     * Infer fields straight from response data when no document was sent
+     */
+    addDataFields(typeName, data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) return;
+
+        Object.entries(data).forEach(([key, value]) => {
+            if (key === '__typename') return;
+
+            const field = this.getField(typeName, key);
+            const items = this.flattenLists([value]);
+            const objects = items.filter(item => item && typeof item === 'object');
+
+            if (objects.length === 0) {
+                this.mergeFieldType(field, this.describeScalarValues(key, [value]));
+                return;
+            }
+
+            const childType = objects[0].__typename || field.type.name || this.guessTypeName(typeName, key);
+            this.getType(childType, 'type');
+            this.mergeFieldType(field, { name: childType, listDepth: this.getListDepth([value]) });
+            objects.forEach(object => this.addDataFields(childType, object));
+        });
+    }
+
+    /**
+     * Record an input object type from a variable's declared type and observed value
+     */
+    addInputType(typeReference, value) {
+        const typeName = typeReference.replace(/[[\]!]/g, '');
+        if (this.builtinScalars.includes(typeName)) return;
+
+        const objects = this.flattenLists([value]).filter(item => item && typeof item === 'object');
+        if (objects.length === 0) {
+            // Without a value to look at, it could be an enum or a custom scalar
+            if (!this.types.has(typeName)) {
+                this.scalars.add(typeName);
+            }
+            return;
+        }
+
+        this.scalars.delete(typeName);
+        this.getType(typeName, 'input');
+
+        objects.forEach(object => {
+            Object.entries(object).forEach(([key, fieldValue]) => {
+                const field = this.getField(typeName, key);
+                const nested = this.flattenLists([fieldValue]).filter(item => item && typeof item === 'object');
+
+                if (nested.length === 0) {
+                    this.mergeFieldType(field, this.describeScalarValues(key, [fieldValue]));
+                    return;
+                }
+
+                const nestedType = field.type.name || `${this.toTypeName(key)}Input`;
+                this.mergeFieldType(field, { name: nestedType, listDepth: this.getListDepth([fieldValue]) });
+                this.addInputType(nestedType, fieldValue);
+            });
+        });
+    }
+
+    describeArgument(value, variableTypes) {
+        if (value.kind === 'variable') {
+            return variableTypes.get(value.name) || 'String';
+        }
+        if (value.kind === 'list') {
+            return `[${value.values.length > 0 ? this.describeArgument(value.values[0], variableTypes) : 'String'}]`;
+        }
+        if (value.kind === 'object') {
+            return 'JSON';
+        }
+        if (value.kind === 'enum' || value.kind === 'null') {
+            return 'String';
+        }
+        return value.kind;
+    }
+
+    describeScalarValues(fieldName, values) {
+        const items = this.flattenLists(values).filter(item => item !== null && item !== undefined);
+        const listDepth = this.getListDepth(values);
+
+        if (items.length === 0) {
+            return { name: null, listDepth };
+        }
+
+        const names = new Set(items.map(item => this.describeScalar(fieldName, item)));
+        if (names.size === 1) {
+            return { name: names.values().next().value, listDepth };
+        }
+        if (names.size === 2 && names.has('Int') && names.has('Float')) {
+            return { name: 'Float', listDepth };
+        }
+        return { name: 'JSON', listDepth };
+    }
+
+    describeScalar(fieldName, value) {
+        if (typeof value === 'boolean') return 'Boolean';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'Int' : 'Float';
+        if (typeof value === 'string') return fieldName === 'id' || /[a-z]Id$/.test(fieldName) ? 'ID' : 'String';
+        return 'JSON';
+    }
+
+    mergeFieldType(field, type) {
+        if (!field.type.name) {
+            field.type = type;
+        } else if (type.name && field.type.name !== type.name) {
+            const numeric = ['Int', 'Float'];
+            if (numeric.includes(field.type.name) && numeric.includes(type.name)) {
+                field.type.name = 'Float';
+            }
+        }
+    }
+
+    flattenLists(values) {
+        return values.flatMap(value => (Array.isArray(value) ? this.flattenLists(value) : [value]));
+    }
+
+    getListDepth(values) {
+        const list = values.find(Array.isArray);
+        if (!list) return 0;
+        return 1 + this.getListDepth(list);
+    }
+
+    getType(name, kind) {
+        if (!this.types.has(name)) {
+            this.types.set(name, { name, kind, fields: new Map() });
+        }
+        return this.types.get(name);
+    }
+
+    getField(typeName, fieldName) {
+        const type = this.getType(typeName, 'type');
+        if (!type.fields.has(fieldName)) {
+            type.fields.set(fieldName, { type: { name: null, listDepth: 0 }, args: new Map() });
+        }
+        return type.fields.get(fieldName);
+    }
+
+    /**
+     * Remember every __typename in a response so guessed names can't clash with them
+     */
+    collectTypenames(value) {
+        if (Array.isArray(value)) {
+            value.forEach(item => this.collectTypenames(item));
+        } else if (value && typeof value === 'object') {
+            if (typeof value.__typename === 'string') {
+                this.typenames.add(value.__typename);
+            }
+            Object.values(value).forEach(item => this.collectTypenames(item));
+        }
+    }
+
+    /**
+     * Name an object type that the response didn't identify with __typename
+     */
+    guessTypeName(parentType, fieldName) {
+        const name = this.toTypeName(fieldName);
+        const origin = `${parentType}.${fieldName}`;
+        const existing = this.types.get(name);
+
+        if (!this.typenames.has(name) && (!existing || existing.origin === origin)) {
+            this.getType(name, 'type').origin = origin;
+            return name;
+        }
+        return `${parentType}${name}`;
+    }
+
+    toTypeName(fieldName) {
+        // Plural list fields usually hold singular types: users -> User
+        const singular = fieldName
+            .replace(/ies$/, 'y')
+            .replace(/([^su])s$/, '$1');
+        const words = singular.split(/[^a-zA-Z0-9]+/).filter(Boolean);
+        return words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('') || 'Object';
+    }
+
+    /**
+     * Serialize everything observed so far as SDL
+     */
+    toSDL() {
+        const roots = Object.values(this.rootTypes);
+        // A type with no observed fields can't be written as SDL; it becomes a scalar below
+        const types = Array.from(this.types.values()).filter(type => type.fields.size > 0).sort((a, b) => {
+            const rank = type => (roots.includes(type.name) ? roots.indexOf(type.name) : roots.length + (type.kind === 'input' ? 1 : 0));
+            return rank(a) - rank(b) || a.name.localeCompare(b.name);
+        });
+        const blocks = types.map(type => this.typeToSDL(type));
+        const referenced = new Set(this.scalars);
+
+        this.types.forEach(type => {
+            type.fields.forEach(field => {
+                if (field.type.name) referenced.add(field.type.name);
+                field.args.forEach(arg => referenced.add(arg.replace(/[[\]!]/g, '')));
+            });
+        });
+
+        Array.from(referenced)
+            .filter(name => !this.builtinScalars.includes(name) && !types.some(type => type.name === name))
+            .sort()
+            .forEach(name => blocks.push(`scalar ${name}`));
+
+        return [
+            '# Partial schema inferred from observed GraphQL traffic.',
+            '# Only fields that were selected or sent are listed, and nullability is not known.',
+            '',
+            blocks.join('\n\n'),
+            ''
+        ].join('\n');
+    }
+
+    typeToSDL(type) {
+        const lines = Array.from(type.fields.entries()).map(([name, field]) => {
+            const args = Array.from(field.args.entries()).map(([argName, argType]) => `${argName}: ${argType}`);
+            const signature = args.length > 0 ? `${name}(${args.join(', ')})` : name;
+            const comment = field.type.name ? '' : ' # type not observed';
+
+            return `  ${signature}: ${this.formatType(field.type)}${comment}`;
+        });
+
+        return `${type.kind} ${type.name} {\n${lines.join('\n')}\n}`;
+    }
+
+    formatType(type) {
+        let result = type.name || 'String';
+        for (let depth = 0; depth < type.listDepth; depth++) {
+            result = `[${result}]`;
+        }
+        return result;
+    }
+
+    /**
+     * Root fields seen in traffic so far, by operation type
+     */
+    getObservedRootFields() {
+        return Object.fromEntries(Object.entries(this.rootTypes).map(([operationType, name]) => [
+            operationType,
+            new Set(this.types.has(name) ? this.types.get(name).fields.keys() : [])
+        ]));
+    }
+
+    /**
+     * Query asking an endpoint for its full schema
+     */
+    static getIntrospectionQuery() {
+        const typeRef = 'kind name ofType { kind name ofType { kind name ofType { kind name ofType { kind name ofType { kind name } } } } }';
+        return `query IntrospectionQuery { __schema {
+            queryType { name } mutationType { name } subscriptionType { name }
+            types {
+                kind name description
+                fields(includeDeprecated: true) {
+                    name description isDeprecated deprecationReason
+                    args { name description defaultValue type { ${typeRef} } }
+                    type { ${typeRef} }
+                }
+                inputFields { name description defaultValue type { ${typeRef} } }
+                interfaces { ${typeRef} }
+                enumValues(includeDeprecated: true) { name description isDeprecated deprecationReason }
+                possibleTypes { ${typeRef} }
+            }
+        } }`;
+    }
+
+    /**
+     * Serialize a published introspection result as SDL, marking which root
+     * fields captured traffic used
+     */
+    static introspectionToSDL(schema, observedFields = {}) {
+        const builtins = ['String', 'Int', 'Float', 'Boolean', 'ID'];
+        const roots = {};
+        ['query', 'mutation', 'subscription'].forEach(operationType => {
+            const root = schema[`${operationType}Type`];
+            if (root) roots[root.name] = operationType;
+        });
+
+        const description = (text, indent = '') => (text
+            ? `${indent}"""${String(text).replace(/"""/g, '\\"""')}"""\n`
+            : '');
+        const deprecated = item => (item.isDeprecated
+            ? ` @deprecated(reason: ${JSON.stringify(item.deprecationReason || 'No longer supported')})`
+            : '');
+        const argument = arg => `${arg.name}: ${this.formatTypeRef(arg.type)}${arg.defaultValue !== null && arg.defaultValue !== undefined ? ` = ${arg.defaultValue}` : ''}`;
+
+        const blocks = schema.types
+            .filter(type => !type.name.startsWith('__') && !builtins.includes(type.name))
+            .map(type => {
+                const head = description(type.description);
+                switch (type.kind) {
+                    case 'SCALAR':
+                        return `${head}scalar ${type.name}`;
+                    case 'UNION':
+                        return `${head}union ${type.name} = ${(type.possibleTypes || []).map(member => member.name).join(' | ')}`;
+                    case 'ENUM': {
+                        const values = (type.enumValues || []).map(value => `${description(value.description, '  ')}  ${value.name}${deprecated(value)}`);
+                        return `${head}enum ${type.name} {\n${values.join('\n')}\n}`;
+                    }
+                    case 'INPUT_OBJECT': {
+                        const fields = (type.inputFields || []).map(field => `${description(field.description, '  ')}  ${argument(field)}`);
+                        return `${head}input ${type.name} {\n${fields.join('\n')}\n}`;
+                    }
+                    default: {
+                        const operationType = roots[type.name];
+                        const observed = observedFields[operationType] || new Set();
+                        const fields = (type.fields || []).map(field => {
+                            const args = (field.args || []).map(argument);
+                            const signature = args.length > 0 ? `${field.name}(${args.join(', ')})` : field.name;
+                            const mark = operationType ? (observed.has(field.name) ? ' # observed' : ' # published only') : '';
+                            return `${description(field.description, '  ')}  ${signature}: ${this.formatTypeRef(field.type)}${deprecated(field)}${mark}`;
+                        });
+                        const interfaces = (type.interfaces || []).map(item => item.name);
+                        const keyword = type.kind === 'INTERFACE' ? 'interface' : 'type';
+                        const implementsClause = interfaces.length > 0 ? ` implements ${interfaces.join(' & ')}` : '';
+                        return `${head}${keyword} ${type.name}${implementsClause} {\n${fields.join('\n')}\n}`;
+                    }
+                }
+            });
+
+        return [
+            '# Schema published by the endpoint through introspection.',
+            '# Root fields are marked "observed" when captured traffic used them, "published only" otherwise.',
+            '',
+            blocks.join('\n\n'),
+            ''
+        ].join('\n');
+    }
+
+    static formatTypeRef(type) {
+        if (!type) return 'String';
+        if (type.kind === 'NON_NULL') return `${this.formatTypeRef(type.ofType)}!`;
+        if (type.kind === 'LIST') return `[${this.formatTypeRef(type.ofType)}]`;
+        return type.name;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GraphQLAnalyzer;
+} else if (typeof window !== 'undefined') {
+    window.GraphQLAnalyzer = GraphQLAnalyzer;
+}
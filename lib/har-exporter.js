@@ -0,0 +1,190 @@
+/**
+ * HAR Exporter - Writes captured endpoint records as a HAR 1.2 document
+ * Records are already sanitized when captured, final URLs and redirect hops
+ * included. Location headers are only rewritten on hops, so a 3xx response
+ * that wasn't followed has its redirectURL sanitized here.
+ * Redirect hops become entries of their own, as DevTools writes them.
+ */
+
+class HARExporter {
+    static generate(endpoints, options = {}) {
+        const entries = endpoints
+            .flatMap(endpoint => [...this.generateRedirectEntries(endpoint), this.generateEntry(endpoint)])
+            .sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime));
+
+        return {
+            log: {
+                version: '1.2',
+                creator: {
+                    name: options.creatorName || 'API Discovery Extension',
+                    version: options.creatorVersion || '0.1.0'
+                },
+                pages: [],
+                entries
+            }
+        };
+    }
+
+    static generateEntry(endpoint) {
+        const duration = typeof endpoint.duration === 'number' ? endpoint.duration : 0;
+        const hops = endpoint.redirects || [];
+        // The final request starts when the last redirect answered
+        const startedDateTime = hops.length > 0
+            ? this.getStartedDateTime(hops[hops.length - 1].timestamp, 0)
+            : this.getStartedDateTime(endpoint.timestamp, duration);
+
+        const entry = {
+            startedDateTime,
+            time: duration,
+            request: this.generateRequest(endpoint.method, endpoint.url, endpoint.headers, endpoint.requestBody),
+            response: this.generateResponse(endpoint),
+            cache: {},
+            timings: { send: 0, wait: duration, receive: 0 }
+        };
+
+        if (endpoint.error) {
+            entry.response._error = endpoint.error.message;
+        }
+        return entry;
+    }
+
+    /**
+     * One entry per redirect hop; only their URL, status and response headers are known
+     */
+    static generateRedirectEntries(endpoint) {
+        return (endpoint.redirects || []).map(hop => ({
+            startedDateTime: this.getStartedDateTime(hop.timestamp, 0),
+            time: 0,
+            request: this.generateRequest(hop.method, hop.url, endpoint.headers, hop.requestBody),
+            response: {
+                status: hop.status,
+                statusText: '',
+                httpVersion: 'HTTP/1.1',
+                cookies: [],
+                headers: this.toNameValueList(hop.responseHeaders),
+                content: { size: 0, mimeType: '' },
+                redirectURL: hop.location || '',
+                headersSize: -1,
+                bodySize: 0
+            },
+            cache: {},
+            timings: { send: 0, wait: 0, receive: 0 }
+        }));
+    }
+
+    /**
+     * Records are stamped when a call finishes; HAR wants the start
+     */
+    static getStartedDateTime(timestamp, duration) {
+        const time = Date.parse(timestamp);
+        return Number.isNaN(time) ? new Date(0).toISOString() : new Date(time - duration).toISOString();
+    }
+
+    static generateRequest(method, url, headers, body) {
+        let queryString = [];
+        try {
+            queryString = Array.from(new URL(url).searchParams, ([name, value]) => ({ name, value }));
+        } catch {
+            // Not a URL; nothing to list
+        }
+
+        const request = {
+            method,
+            url,
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers: this.toNameValueList(headers),
+            queryString,
+            headersSize: -1,
+            bodySize: body ? body.size || 0 : 0
+        };
+
+        if (body) {
+            request.postData = this.generatePostData(body);
+        }
+        return request;
+    }
+
+    static generatePostData(body) {
+        const postData = { mimeType: body.mimeType || '' };
+
+        if (body.fields) {
+            postData.params = [];
+            Object.entries(body.fields).forEach(([name, values]) => {
+                [].concat(values).forEach(value => postData.params.push({ name, value: String(value) }));
+            });
+            (body.files || []).forEach(name => postData.params.push({ name, fileName: '' }));
+        } else {
+            postData.text = typeof body.text === 'string' ? body.text : '';
+        }
+
+        if (body.truncated) {
+            postData.comment = 'Body was too large to keep';
+        }
+        return postData;
+    }
+
+    static generateResponse(endpoint) {
+        const headers = this.toNameValueList(endpoint.responseHeaders);
+        const location = headers.find(header => header.name.toLowerCase() === 'location');
+        const content = {
+            size: endpoint.responseSize || 0,
+            mimeType: endpoint.contentType === 'unknown' ? '' : endpoint.contentType
+        };
+
+        const text = this.getResponseText(endpoint);
+        if (text !== null) {
+            content.text = text;
+        }
+        if (endpoint.responseBody && endpoint.responseBody.truncated) {
+            content.comment = 'Body was too large to keep';
+        }
+
+        return {
+            status: endpoint.status || 0,
+            statusText: '',
+            httpVersion: 'HTTP/1.1',
+            cookies: [],
+            headers,
+            content,
+            redirectURL: location ? Utils.sanitizeURL(location.value) : '',
+            headersSize: -1,
+            bodySize: endpoint.responseSize || -1
+        };
+    }
+
+    /**
+     * The kept response body, or a stream rebuilt from its kept events
+     */
+    static getResponseText(endpoint) {
+        if (endpoint.responseBody && typeof endpoint.responseBody.text === 'string') {
+            return endpoint.responseBody.text;
+        }
+
+        if (!endpoint.stream) {
+            return null;
+        }
+
+        if (endpoint.stream.format === 'ndjson') {
+            return endpoint.stream.events.map(event => `${event.data}\n`).join('');
+        }
+        return endpoint.stream.events.map(event => {
+            const lines = [];
+            if (event.event && event.event !== 'message') lines.push(`event: ${event.event}`);
+            if (event.id) lines.push(`id: ${event.id}`);
+            String(event.data || '').split('\n').forEach(line => lines.push(`data: ${line}`));
+            return `${lines.join('\n')}\n\n`;
+        }).join('');
+    }
+
+    static toNameValueList(headers) {
+        return Object.entries(headers || {}).map(([name, value]) => ({ name, value: String(value) }));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HARExporter;
+} else if (typeof window !== 'undefined') {
+    window.HARExporter = HARExporter;
+}
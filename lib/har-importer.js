@@ -0,0 +1,226 @@
+/**
+ * HAR Importer - Reads HAR 1.2 captures from DevTools or a proxy
+ * Each log entry becomes a request transaction shaped like RequestTracker's,
+ * so imported calls take the same path into endpoint records as live ones.
+ * Entries that redirect are folded into the entry they lead to as redirect
+ * hops, the way the browser reports a redirect chain under one request.
+ * Values are returned as found in the file; sanitizing them is up to the caller.
+ */
+
+class HARImporter {
+    /**
+     * The entries of a parsed HAR file, or throw if it isn't one
+     */
+    static getEntries(har) {
+        if (!har || typeof har !== 'object' || !har.log || !Array.isArray(har.log.entries)) {
+            throw new Error('Not a HAR file: log.entries is missing');
+        }
+        return har.log.entries.filter(entry => entry && entry.request && entry.request.url);
+    }
+
+    static getRedirectStatuses() {
+        return [301, 302, 303, 307, 308];
+    }
+
+    /**
+     * Transactions for all entries, with each redirect chain ending in one
+     * transaction whose redirects list the hops in order
+     */
+    static toTransactions(entries, maxBytes) {
+        const transactions = entries.map((entry, index) => this.toTransaction(entry, index, maxBytes));
+        const folded = new Set();
+
+        transactions.forEach((transaction, index) => {
+            const location = this.getRedirectLocation(entries[index]);
+            if (!location) return;
+
+            // The follow-up request is the next one to that URL which isn't part of another chain
+            const nextIndex = transactions.findIndex((candidate, candidateIndex) =>
+                candidateIndex > index &&
+                !folded.has(candidateIndex) &&
+                candidate.redirects.length === 0 &&
+                this.isSameURL(candidate.url, location)
+            );
+            if (nextIndex === -1) return;
+
+            const next = transactions[nextIndex];
+            next.redirects = [...transaction.redirects, {
+                url: transaction.url,
+                method: transaction.method,
+                status: transaction.statusCode,
+                location,
+                responseHeaders: transaction.responseHeaders,
+                timestamp: transaction.timestamp
+            }];
+            // Live chains are timed from the first hop and keep its body unless a hop resends one
+            next.startTime = transaction.startTime;
+            next.requestBody = next.requestBody || transaction.requestBody;
+            folded.add(index);
+        });
+
+        return transactions.filter((transaction, index) => !folded.has(index));
+    }
+
+    /**
+     * Absolute URL a redirect entry points to, or null if the entry isn't a redirect
+     */
+    static getRedirectLocation(entry) {
+        const response = entry.response || {};
+        if (!this.getRedirectStatuses().includes(Number(response.status))) {
+            return null;
+        }
+
+        const header = (response.headers || []).find(h => String(h.name).toLowerCase() === 'location');
+        const location = response.redirectURL || (header && header.value);
+        if (!location) {
+            return null;
+        }
+
+        try {
+            return new URL(location, entry.request.url).href;
+        } catch {
+            return null;
+        }
+    }
+
+    static isSameURL(a, b) {
+        try {
+            return new URL(a).href === new URL(b).href;
+        } catch {
+            return a === b;
+        }
+    }
+
+    /**
+     * Turn one entry into a finished transaction, plus its response body when the file has one
+     */
+    static toTransaction(entry, index, maxBytes = 64 * 1024) {
+        const request = entry.request;
+        const response = entry.response || {};
+        const started = Date.parse(entry.startedDateTime);
+        const finished = Number.isNaN(started) ? Date.now() : started + (Number(entry.time) || 0);
+        const status = Number(response.status) || 0;
+
+        return {
+            requestId: `har-${index}`,
+            tabId: null,
+            type: this.getResourceType(entry),
+            initiator: null,
+            url: request.url,
+            method: String(request.method || 'GET').toUpperCase(),
+            // Live calls are stamped when they finish
+            timestamp: new Date(finished).toISOString(),
+            startTime: Number.isNaN(started) ? null : started,
+            endTime: Number.isNaN(started) || typeof entry.time !== 'number' ? null : started + entry.time,
+            requestBody: this.toRequestBody(request.postData, maxBytes),
+            requestHeaders: this.getHeaders(request.headers),
+            statusCode: status || null,
+            contentType: this.getContentType(response),
+            responseHeaders: this.getHeaders(response.headers),
+            responseBody: this.toResponseBody(response.content, maxBytes),
+            redirects: [],
+            fromCache: Boolean(entry._fromCache),
+            // DevTools writes status 0 and _error for requests that never got a response
+            error: status ? null : response._error || 'net::ERR_FAILED'
+        };
+    }
+
+    /**
+     * Map DevTools' _resourceType to a webRequest resource type; proxies don't record one
+     */
+    static getResourceType(entry) {
+        const types = {
+            xhr: 'xmlhttprequest',
+            fetch: 'xmlhttprequest',
+            eventsource: 'xmlhttprequest',
+            document: 'main_frame',
+            websocket: 'websocket',
+            script: 'script',
+            stylesheet: 'stylesheet',
+            image: 'image',
+            font: 'font',
+            media: 'media',
+            ping: 'ping'
+        };
+        const type = String(entry._resourceType || '').toLowerCase();
+        return type ? types[type] || 'other' : 'xmlhttprequest';
+    }
+
+    /**
+     * Headers without HTTP/2 and HTTP/3 pseudo-headers (:authority, :path, ...),
+     * which aren't real header names and can't be sent again
+     */
+    static getHeaders(headers) {
+        return Array.isArray(headers)
+            ? headers.filter(header => header && !String(header.name).startsWith(':'))
+            : [];
+    }
+
+    static getContentType(response) {
+        const header = (response.headers || []).find(h => String(h.name).toLowerCase() === 'content-type');
+        const value = header ? header.value : response.content && response.content.mimeType;
+        return value ? String(value).split(';')[0].trim() : '';
+    }
+
+    /**
+     * Body record from postData, in the shape BodyParser.fromWebRequest produces
+     */
+    static toRequestBody(postData, maxBytes) {
+        if (!postData) {
+            return null;
+        }
+
+        if (typeof postData.text === 'string' && postData.text.length > 0) {
+            const mimeType = String(postData.mimeType || '').split(';')[0].trim();
+            return {
+                mimeType: mimeType || BodyParser.guessMimeType(postData.text),
+                size: postData.text.length,
+                truncated: postData.text.length > maxBytes,
+                text: postData.text.slice(0, maxBytes)
+            };
+        }
+
+        if (Array.isArray(postData.params) && postData.params.length > 0) {
+            const fields = {};
+            postData.params.forEach(param => {
+                (fields[param.name] = fields[param.name] || []).push(param.value || '');
+            });
+            return {
+                mimeType: 'application/x-www-form-urlencoded',
+                size: JSON.stringify(fields).length,
+                truncated: false,
+                fields
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Body record from response content; like debugger capture, only text payloads are kept
+     */
+    static toResponseBody(content, maxBytes) {
+        if (!content || typeof content.text !== 'string' || content.encoding === 'base64') {
+            return null;
+        }
+
+        const mimeType = String(content.mimeType || '').split(';')[0].trim();
+        if (!/json|text\/plain|text\/event-stream/i.test(mimeType)) {
+            return null;
+        }
+
+        return {
+            mimeType,
+            size: content.size > 0 ? content.size : content.text.length,
+            truncated: content.text.length > maxBytes,
+            text: content.text.slice(0, maxBytes)
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HARImporter;
+} else if (typeof window !== 'undefined') {
+    window.HARImporter = HARImporter;
+}
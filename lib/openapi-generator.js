@@ -7,6 +7,10 @@ class OpenAPIGenerator {
     constructor() {
         this.schemaCache = new Map();
         this.operationIdCache = new Set();
+        this.schemaInferrer = new SchemaInferrer();
+        this.apiAnalyzer = new APIAnalyzer();
+        this.includeObservedErrors = true;
+        this.operationStats = new Map();
     }
 
     /**
@@ -17,14 +21,26 @@ class OpenAPIGenerator {
             return this.generateEmptySpec();
         }
 
+        this.includeObservedErrors = options.includeObservedErrors !== false;
+        // Aggregated records from the operation store, when the samples came from one
+        this.operationStats = new Map((options.operations || []).map(operation => [operation.key, operation]));
+        if (!this.includeObservedErrors) {
+            // Calls that never got a response have nothing else to document
+            endpoints = endpoints.filter(endpoint => endpoint.status > 0);
+            if (endpoints.length === 0) {
+                return this.generateEmptySpec();
+            }
+        }
+
         const analysis = this.analyzeEndpoints(endpoints);
         const baseURL = this.determineBaseURL(endpoints);
+        const servers = this.generateServers(baseURL, endpoints);
         
         return {
             openapi: '3.0.3',
             info: this.generateInfo(options),
-            servers: this.generateServers(baseURL, endpoints),
-            paths: this.generatePaths(endpoints, analysis),
+            servers,
+            paths: this.addCandidatePaths(this.generatePaths(endpoints, analysis), options.candidates || [], servers),
             components: this.generateComponents(endpoints, analysis),
             tags: this.generateTags(analysis),
             ...this.generateExtensions(endpoints, options)
@@ -116,20 +132,181 @@ class OpenAPIGenerator {
     generatePaths(endpoints, analysis) {
         const paths = {};
         
-        endpoints.forEach(endpoint => {
-            const path = this.normalizePath(endpoint.pathname);
-            const method = endpoint.method.toLowerCase();
-            
-            if (!paths[path]) {
-                paths[path] = {};
+        this.groupOperations(endpoints).forEach(group => {
+            if (!paths[group.path]) {
+                paths[group.path] = {};
             }
             
-            paths[path][method] = this.generateOperation(endpoint, analysis);
+            paths[group.path][group.method] = group.graphql
+                ? this.generateGraphQLOperation(group)
+                : this.generateOperation(group.endpoint, analysis, group.samples);
         });
         
         return paths;
     }
 
+    /**
+     * Add endpoints only seen in page code, marked x-discovery-source: static.
+     * Nothing was called, so the method is guessed and no response is known.
+     */
+    addCandidatePaths(paths, candidates, servers) {
+        const graphqlPath = Object.keys(paths).find(path => path.includes('#'));
+        const graphqlBase = graphqlPath ? graphqlPath.split('#')[0] : '/graphql';
+
+        candidates.forEach(candidate => {
+            const graphql = candidate.kind === 'graphql';
+            const path = graphql ? `${graphqlBase}#${candidate.operationName}` : candidate.path;
+            const method = graphql ? 'post' : (candidate.method || 'GET').toLowerCase();
+            // Several hosts may share a template; observed calls always win
+            if (paths[path] && (paths[path][method] || (!graphql && !candidate.method))) {
+                return;
+            }
+
+            const operation = graphql
+                ? this.generateGraphQLCandidateOperation(candidate)
+                : this.generateCandidateOperation(candidate);
+            if (!graphql && !servers.some(server => server.url === candidate.origin)) {
+                operation.servers = [{ url: candidate.origin }];
+            }
+            paths[path] = { ...paths[path], [method]: operation };
+        });
+
+        return paths;
+    }
+
+    generateCandidateOperation(candidate) {
+        const method = candidate.method || 'GET';
+        const template = candidate.path.replace(/\/\{[^}]+\}/g, '');
+        let searchParams = {};
+        try {
+            searchParams = Object.fromEntries(new URL(candidate.url).searchParams);
+        } catch {
+            // Stored without a usable URL; the path is all there is
+        }
+
+        const parameters = [
+            ...(candidate.path.match(/\{[^}]+\}/g) || []).map(placeholder => {
+                const name = placeholder.slice(1, -1);
+                return { name, in: 'path', required: true, schema: { type: name === 'id' ? 'integer' : 'string' } };
+            }),
+            ...this.generateParameters({ pathname: '', searchParams }).filter(parameter => parameter.in === 'query')
+        ];
+
+        const guess = candidate.method ? 'the method is taken from the call site' : 'the method is assumed';
+        return {
+            operationId: this.generateUniqueOperationId(method, template),
+            tags: this.generateOperationTags(template),
+            summary: this.generateOperationSummary({ method, pathname: template }),
+            description: `${this.describeCandidateSources(candidate)} No call was captured, so ${guess}.`,
+            parameters,
+            responses: { default: { description: 'No response observed' } },
+            'x-discovery-source': 'static'
+        };
+    }
+
+    generateGraphQLCandidateOperation(candidate) {
+        const name = candidate.operationName;
+        let operationId = name.charAt(0).toLowerCase() + name.slice(1);
+        let counter = 1;
+        while (this.operationIdCache.has(operationId)) {
+            operationId = `${name.charAt(0).toLowerCase() + name.slice(1)}${counter}`;
+            counter++;
+        }
+        this.operationIdCache.add(operationId);
+
+        return {
+            operationId,
+            tags: ['graphql'],
+            summary: `GraphQL ${candidate.operationType} ${name}`,
+            description: `${this.describeCandidateSources(candidate)} No call was captured, so its variables and result are unknown.`,
+            responses: { default: { description: 'No response observed' } },
+            'x-graphql': {
+                operationType: candidate.operationType,
+                operationName: name
+            },
+            'x-discovery-source': 'static'
+        };
+    }
+
+    describeCandidateSources(candidate) {
+        const names = { script_bundle: 'script files', script_content: 'page scripts', page_link: 'page links' };
+        const where = candidate.sources.map(source => names[source] || source).join(' and ') || 'page code';
+        return candidate.pages.length > 0
+            ? `Seen in ${where} on ${candidate.pages.join(', ')}.`
+            : `Seen in ${where}.`;
+    }
+
+    /**
+     * Group endpoints that share a method and normalized path
+     */
+    groupOperations(endpoints) {
+        const groups = new Map();
+
+        // Each redirect hop answers its own URL, so it documents its own operation
+        endpoints.flatMap(endpoint => [...this.expandRedirects(endpoint), endpoint]).forEach(endpoint => {
+            const path = this.normalizePath(endpoint.pathname);
+            const method = endpoint.method.toLowerCase();
+
+            // Every GraphQL operation shares one URL, so each gets its own fragment path
+            const graphqlOperations = GraphQLAnalyzer.extractOperations(endpoint);
+            if (graphqlOperations.length > 0) {
+                graphqlOperations.forEach(operation => {
+                    const operationPath = `${path}#${operation.operationName || operation.operationType}`;
+                    const key = `${method} ${operationPath}`;
+
+                    if (!groups.has(key)) {
+                        groups.set(key, { path: operationPath, method, endpoint, samples: [], graphql: true });
+                    }
+
+                    const group = groups.get(key);
+                    group.endpoint = endpoint;
+                    group.samples.push({ endpoint, operation });
+                });
+                return;
+            }
+
+            const key = `${method} ${path}`;
+
+            if (!groups.has(key)) {
+                groups.set(key, { path, method, endpoint, samples: [] });
+            }
+
+            const group = groups.get(key);
+            group.endpoint = endpoint;
+            group.samples.push(endpoint);
+        });
+
+        return Array.from(groups.values());
+    }
+
+    /**
+     * Turn the redirect hops recorded on an endpoint into samples answered with a 3xx
+     */
+    expandRedirects(endpoint) {
+        return (endpoint.redirects || []).map(hop => {
+            let url;
+            try {
+                url = new URL(hop.url);
+            } catch {
+                return null;
+            }
+
+            return {
+                url: hop.url,
+                method: hop.method,
+                status: hop.status,
+                contentType: 'unknown',
+                timestamp: hop.timestamp,
+                hostname: url.hostname,
+                pathname: url.pathname,
+                searchParams: Object.fromEntries(url.searchParams),
+                headers: endpoint.headers,
+                requestBody: hop.requestBody,
+                responseHeaders: hop.responseHeaders || { Location: hop.location }
+            };
+        }).filter(Boolean);
+    }
+
     /**
      * Normalize path by replacing IDs with parameters
      */
@@ -149,22 +326,44 @@ class OpenAPIGenerator {
     /**
      * Generate operation object for a specific endpoint
      */
-    generateOperation(endpoint, analysis) {
+    generateOperation(endpoint, analysis, samples = [endpoint]) {
+        // Name operations after the path template so IDs stay stable across samples
+        const template = this.normalizePath(endpoint.pathname).replace(/\/\{[^}]+\}/g, '');
+        const operationId = this.generateUniqueOperationId(endpoint.method, template);
+        // Calls that failed before any response only show up in x-observed-errors
+        const answered = samples.filter(sample => sample.status > 0);
+        // What the user did before these calls says more than the method and path
+        const trigger = this.selectTrigger(samples);
+        const triggerText = trigger ? this.describeTrigger(trigger, endpoint) : null;
         const operation = {
-            operationId: this.generateUniqueOperationId(endpoint.method, endpoint.pathname),
+            operationId,
             tags: this.generateOperationTags(endpoint.pathname),
-            summary: this.generateOperationSummary(endpoint),
-            description: this.generateOperationDescription(endpoint),
+            summary: triggerText ? triggerText.summary : this.generateOperationSummary(endpoint),
+            description: triggerText ? triggerText.description : this.generateOperationDescription(endpoint),
             parameters: this.generateParameters(endpoint),
-            responses: this.generateResponses(endpoint),
+            responses: answered.length > 0
+                ? this.generateResponses(answered[answered.length - 1], answered, operationId)
+                : this.generateUnansweredResponses(),
             security: this.generateSecurity(endpoint)
         };
 
         // Add request body for POST/PUT/PATCH methods
         if (['post', 'put', 'patch'].includes(endpoint.method.toLowerCase())) {
-            operation.requestBody = this.generateRequestBody(endpoint);
+            operation.requestBody = this.generateRequestBody(endpoint, samples, operationId);
         }
 
+        const performance = this.generatePerformanceExtension(samples);
+        if (performance) {
+            operation['x-performance'] = performance;
+        }
+
+        const observedErrors = this.generateObservedErrors(samples);
+        if (observedErrors) {
+            operation['x-observed-errors'] = observedErrors;
+        }
+
+        this.applyOperationStats(operation, OperationStore.getKey(endpoint.method, this.normalizePath(endpoint.pathname)));
+
         return operation;
     }
 
@@ -198,6 +397,218 @@ class OpenAPIGenerator {
         return operationId;
     }
 
+    /**
+     * Summarize observed latency and payload sizes, or null if nothing was measured
+     */
+    generatePerformanceExtension(samples) {
+        const summary = this.apiAnalyzer.summarizePerformance(samples);
+        if (!summary.latency && summary.averageRequestSize === null && summary.averageResponseSize === null) {
+            return null;
+        }
+
+        const performance = { sampleCount: summary.count };
+        if (summary.latency) {
+            performance.latencyMs = { ...summary.latency };
+        }
+        if (summary.averageRequestSize !== null) {
+            performance.averageRequestBytes = summary.averageRequestSize;
+        }
+        if (summary.averageResponseSize !== null) {
+            performance.averageResponseBytes = summary.averageResponseSize;
+        }
+        return performance;
+    }
+
+    /**
+     * Add hit counts and any status codes the sample reservoir no longer holds
+     */
+    applyOperationStats(operation, key) {
+        const stats = this.operationStats.get(key);
+        if (!stats) {
+            return;
+        }
+
+        Object.keys(stats.statusCodes).forEach(status => {
+            if (Number(status) > 0 && !operation.responses[status]) {
+                operation.responses[status] = { description: this.getStatusDescription(Number(status)) };
+                delete operation.responses.default;
+            }
+        });
+
+        operation['x-observed'] = {
+            hits: stats.hits,
+            firstSeen: stats.firstSeen,
+            lastSeen: stats.lastSeen,
+            statusCodes: { ...stats.statusCodes }
+        };
+    }
+
+    /**
+     * Summarize failed calls by error, or null if none failed
+     */
+    generateObservedErrors(samples) {
+        if (!this.includeObservedErrors) {
+            return null;
+        }
+
+        const byError = new Map();
+        samples.filter(sample => sample.error).forEach(sample => {
+            const key = `${sample.error.kind} ${sample.error.message}`;
+            if (!byError.has(key)) {
+                byError.set(key, { error: sample.error.message, kind: sample.error.kind, count: 0 });
+            }
+
+            const entry = byError.get(key);
+            entry.count++;
+            entry.lastSeen = sample.timestamp;
+        });
+
+        return byError.size > 0 ? Array.from(byError.values()) : null;
+    }
+
+    /**
+     * OpenAPI requires a response, even when every call failed without one
+     */
+    generateUnansweredResponses() {
+        return {
+            default: { description: 'No response observed; every captured call failed' }
+        };
+    }
+
+    /**
+     * Generate a per-operation view of a GraphQL call
+     */
+    generateGraphQLOperation(group) {
+        const { endpoint, samples } = group;
+        const latest = samples[samples.length - 1].operation;
+        const name = latest.operationName || `anonymous${this.capitalize(latest.operationType)}`;
+
+        let operationId = name.charAt(0).toLowerCase() + name.slice(1);
+        let counter = 1;
+        while (this.operationIdCache.has(operationId)) {
+            operationId = `${name.charAt(0).toLowerCase() + name.slice(1)}${counter}`;
+            counter++;
+        }
+        this.operationIdCache.add(operationId);
+
+        const baseName = this.toSchemaName(operationId);
+        const operation = {
+            operationId,
+            tags: ['graphql'],
+            summary: `GraphQL ${latest.operationType} ${name}`,
+            description: this.generateGraphQLDescription(latest, endpoint, samples),
+            parameters: this.generateParameters(endpoint),
+            responses: this.generateGraphQLResponses(samples, baseName),
+            security: this.generateSecurity(endpoint),
+            'x-graphql': {
+                operationType: latest.operationType,
+                operationName: latest.operationName
+            }
+        };
+
+        if (latest.persistedQueryHash) {
+            operation['x-graphql'].persistedQueryHash = latest.persistedQueryHash;
+        }
+
+        if (endpoint.method.toUpperCase() !== 'GET') {
+            operation.requestBody = this.generateGraphQLRequestBody(samples, baseName);
+        }
+
+        const performance = this.generatePerformanceExtension(samples.map(sample => sample.endpoint));
+        if (performance) {
+            operation['x-performance'] = performance;
+        }
+
+        const observedErrors = this.generateObservedErrors(samples.map(sample => sample.endpoint));
+        if (observedErrors) {
+            operation['x-observed-errors'] = observedErrors;
+        }
+
+        this.applyOperationStats(operation, OperationStore.getKey(endpoint.method, group.path));
+
+        return operation;
+    }
+
+    generateGraphQLRequestBody(samples, baseName) {
+        const latest = samples[samples.length - 1].operation;
+        const properties = {};
+
+        if (latest.query) {
+            properties.query = { type: 'string', example: latest.query };
+        }
+        if (latest.operationName) {
+            properties.operationName = { type: 'string', enum: [latest.operationName] };
+        }
+
+        const variables = samples
+            .map(sample => sample.operation.variables)
+            .filter(value => Object.keys(value).length > 0);
+        if (variables.length > 0) {
+            this.schemaCache.set(`${baseName}Variables`, this.schemaInferrer.inferFromSamples(variables));
+            properties.variables = { $ref: `#/components/schemas/${baseName}Variables` };
+        }
+
+        if (latest.persistedQueryHash) {
+            properties.extensions = {
+                type: 'object',
+                properties: {
+                    persistedQuery: {
+                        type: 'object',
+                        properties: {
+                            version: { type: 'integer' },
+                            sha256Hash: { type: 'string', example: latest.persistedQueryHash }
+                        }
+                    }
+                }
+            };
+        }
+
+        return {
+            required: true,
+            content: {
+                'application/json': {
+                    schema: { type: 'object', properties }
+                }
+            }
+        };
+    }
+
+    generateGraphQLResponses(samples, baseName) {
+        const answered = samples.filter(sample => sample.endpoint.status > 0);
+        if (answered.length === 0) {
+            return this.generateUnansweredResponses();
+        }
+
+        const responses = {};
+        const byStatus = this.groupSamplesByStatus(answered.map(sample => ({ ...sample, status: sample.endpoint.status })));
+
+        byStatus.forEach((statusSamples, status) => {
+            // Batched responses are arrays in request order
+            const bodies = statusSamples
+                .map(sample => {
+                    const body = BodyParser.parse(sample.endpoint.responseBody);
+                    return Array.isArray(body) ? body[sample.operation.index] : body;
+                })
+                .filter(value => value !== undefined);
+
+            let schema = this.describeUnreadBodies(statusSamples.map(sample => sample.endpoint), 'responseBody');
+            if (bodies.length > 0) {
+                const isSuccess = status >= 200 && status < 300;
+                const schemaName = isSuccess ? `${baseName}Response` : `${baseName}${status}Response`;
+                this.schemaCache.set(schemaName, this.schemaInferrer.inferFromSamples(bodies));
+                schema = { $ref: `#/components/schemas/${schemaName}` };
+            }
+
+            responses[status] = {
+                description: this.getStatusDescription(status),
+                ...this.generateResponseHeaders(statusSamples.map(sample => sample.endpoint)),
+                content: { 'application/json': { schema } }
+            };
+        });
+
+        return responses;
+    }
+
     /**
      * Generate operation tags
      */
@@ -234,6 +645,65 @@ class OpenAPIGenerator {
         }
     }
 
+    /**
+     * The user action most samples followed, if any; ties go to the latest
+     */
+    selectTrigger(samples) {
+        const counts = new Map();
+        samples.forEach(sample => {
+            if (!sample.trigger) return;
+            const key = JSON.stringify(sample.trigger);
+            const entry = counts.get(key) || { trigger: sample.trigger, count: 0 };
+            entry.count++;
+            entry.trigger = sample.trigger;
+            counts.set(key, entry);
+        });
+
+        let best = null;
+        counts.forEach(entry => {
+            if (!best || entry.count >= best.count) best = entry;
+        });
+        return best ? best.trigger : null;
+    }
+
+    /**
+     * Summary and description for calls made in response to a user action
+     */
+    describeTrigger(trigger, endpoint) {
+        const resource = this.extractResourceName(endpoint.pathname);
+        const label = trigger.label;
+
+        switch (trigger.type) {
+            case 'form_submit':
+                return {
+                    summary: label ? `Submit ${label} form` : `Submit ${resource} form`,
+                    description: label ? `Called when submitting the ${label} form.` : 'Called when submitting a form.'
+                };
+            case 'search_input':
+                return {
+                    summary: `Search ${resource}`,
+                    description: trigger.parameter
+                        ? `Search as you type with query '${trigger.parameter}'.`
+                        : 'Search as you type.'
+                };
+            case 'navigation':
+                return {
+                    summary: label ? `Open "${label}"` : `Retrieve ${resource}`,
+                    description: label ? `Called when clicking "${label}".` : 'Called when following a link.'
+                };
+            default:
+                return null;
+        }
+    }
+
+    generateGraphQLDescription(latest, endpoint, samples) {
+        const trigger = this.selectTrigger(samples.map(sample => sample.endpoint));
+        const triggerText = trigger ? this.describeTrigger(trigger, endpoint) : null;
+        return triggerText
+            ? triggerText.description
+            : `GraphQL ${latest.operationType} sent to ${endpoint.pathname}. Discovered automatically by API Discovery extension.`;
+    }
+
     /**
      * Generate operation description
      */
@@ -349,14 +819,21 @@ class OpenAPIGenerator {
     /**
      * Generate responses section
      */
-    generateResponses(endpoint) {
+    generateResponses(endpoint, samples = [endpoint], operationId = null) {
         const responses = {};
         
-        // Add the actual response status
-        responses[endpoint.status] = {
-            description: this.getStatusDescription(endpoint.status),
-            content: this.generateResponseContent(endpoint)
-        };
+        // Add every response status that was actually observed
+        this.groupSamplesByStatus(samples).forEach((statusSamples, status) => {
+            responses[status] = {
+                description: this.getStatusDescription(status),
+                ...this.generateResponseHeaders(statusSamples)
+            };
+
+            // Redirects are documented by their Location header, not a body
+            if (!this.isRedirectStatus(status) || statusSamples.some(sample => sample.responseBody)) {
+                responses[status].content = this.generateResponseContent(statusSamples[statusSamples.length - 1], statusSamples, operationId);
+            }
+        });
         
         // Add common error responses
         if (endpoint.status >= 400) {
@@ -384,20 +861,117 @@ class OpenAPIGenerator {
         return responses;
     }
 
+    /**
+     * Document the response headers seen on every sample of one status.
+     * Returns { headers } to spread into a response, or {} if there are none.
+     */
+    generateResponseHeaders(samples) {
+        const withHeaders = samples.filter(sample => sample.responseHeaders && Object.keys(sample.responseHeaders).length > 0);
+        if (withHeaders.length === 0) {
+            return {};
+        }
+
+        const byName = new Map();
+        withHeaders.forEach(sample => {
+            Object.entries(sample.responseHeaders).forEach(([name, value]) => {
+                const key = name.toLowerCase();
+                if (this.isTransportHeader(key)) return;
+
+                if (!byName.has(key)) {
+                    byName.set(key, { name, values: [] });
+                }
+                byName.get(key).values.push(value);
+            });
+        });
+
+        const headers = {};
+        byName.forEach(({ name, values }) => {
+            // Only headers the server sends every time are part of the contract
+            if (values.length < withHeaders.length) return;
+
+            const redacted = values.includes('[REDACTED]');
+            const schema = !redacted && values.every(value => /^\d+$/.test(value))
+                ? { type: 'integer' }
+                : { type: 'string' };
+            if (!redacted) {
+                schema.example = schema.type === 'integer' ? Number(values[values.length - 1]) : values[values.length - 1];
+            }
+
+            headers[this.formatHeaderName(name)] = {
+                description: `Sent on all ${values.length} observed response(s)${redacted ? '; value redacted' : ''}`,
+                schema
+            };
+        });
+
+        return Object.keys(headers).length > 0 ? { headers } : {};
+    }
+
+    /**
+     * Headers that describe the connection or the body encoding rather than the API
+     */
+    isTransportHeader(name) {
+        const transport = [
+            'content-type', 'content-length', 'content-encoding', 'transfer-encoding',
+            'connection', 'keep-alive', 'date', 'via', 'alt-svc', 'server-timing', 'nel', 'report-to',
+            'strict-transport-security', 'x-content-type-options', 'x-frame-options', 'x-xss-protection',
+            'referrer-policy', 'permissions-policy'
+        ];
+
+        return transport.includes(name) ||
+            name.startsWith('content-security-policy') ||
+            name.startsWith('cross-origin-') ||
+            name.startsWith('access-control-');
+    }
+
+    formatHeaderName(name) {
+        if (name !== name.toLowerCase()) {
+            return name;
+        }
+
+        // HTTP/2 lowercases everything; show the conventional form instead
+        const special = { etag: 'ETag', 'www-authenticate': 'WWW-Authenticate' };
+        return special[name] || name.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('-');
+    }
+
+    isRedirectStatus(status) {
+        return [301, 302, 303, 307, 308].includes(Number(status));
+    }
+
+    /**
+     * Group samples by their response status, in the order they were seen
+     */
+    groupSamplesByStatus(samples) {
+        const byStatus = new Map();
+
+        samples.forEach(sample => {
+            if (!byStatus.has(sample.status)) {
+                byStatus.set(sample.status, []);
+            }
+            byStatus.get(sample.status).push(sample);
+        });
+
+        return byStatus;
+    }
+
     /**
      * Generate response content
      */
-    generateResponseContent(endpoint) {
+    generateResponseContent(endpoint, samples = [endpoint], operationId = null) {
         const content = {};
         
+        const streamed = samples.filter(sample => sample.stream);
+        if (streamed.length > 0) {
+            return this.generateStreamContent(streamed);
+        }
+        
         if (endpoint.contentType && endpoint.contentType !== 'unknown') {
             content[endpoint.contentType] = {
-                schema: this.generateResponseSchema(endpoint)
+                schema: this.generateResponseSchema(endpoint, samples, operationId)
             };
         } else {
             // Default to JSON if content type is unknown
             content['application/json'] = {
-                schema: this.generateResponseSchema(endpoint)
+                schema: this.generateResponseSchema(endpoint, samples, operationId)
             };
         }
         
@@ -405,45 +979,140 @@ class OpenAPIGenerator {
     }
 
     /**
-     * Generate response schema
+     * Generate response schema from the captured response bodies
      */
-    generateResponseSchema(endpoint) {
-        const resource = this.extractResourceName(endpoint.pathname);
-        const schemaName = this.capitalize(resource);
-        
-        // Try to use existing schema
-        if (this.schemaCache.has(schemaName)) {
-            return { $ref: `#/components/schemas/${schemaName}` };
+    generateResponseSchema(endpoint, samples = [endpoint], operationId = null) {
+        const bodies = this.collectBodies(samples, 'responseBody');
+
+        // Without a captured body there is nothing honest to describe
+        if (bodies.length === 0) {
+            return this.describeUnreadBodies(samples, 'responseBody');
         }
-        
-        // Generate new schema
-        const schema = {
+
+        const baseName = this.toSchemaName(operationId || this.generateUniqueOperationId(endpoint.method, endpoint.pathname));
+        const isSuccess = endpoint.status >= 200 && endpoint.status < 300;
+        const schemaName = isSuccess ? `${baseName}Response` : `${baseName}${endpoint.status}Response`;
+
+        this.schemaCache.set(schemaName, this.schemaInferrer.inferFromSamples(bodies));
+        return { $ref: `#/components/schemas/${schemaName}` };
+    }
+
+    /**
+     * Placeholder schema when no body could be parsed; bodies cut off at the
+     * capture limit are flagged so the schema isn't mistaken for a complete one
+     */
+    describeUnreadBodies(samples, field) {
+        if (!samples.some(sample => sample[field] && sample[field].truncated)) {
+            return { type: 'object' };
+        }
+        return {
             type: 'object',
-            properties: {
-                id: { type: 'string', example: '123' },
-                name: { type: 'string', example: `Example ${resource}` }
-            }
+            description: 'Not inferred: captured bodies were larger than the capture limit',
+            'x-body-truncated': true
         };
-        
-        this.schemaCache.set(schemaName, schema);
-        return { $ref: `#/components/schemas/${schemaName}` };
     }
 
     /**
-     * Generate request body for POST/PUT/PATCH operations
+     * Document a streamed response: the body is a string on the wire, and each
+     * observed event type gets its own data schema under x-stream-events
      */
-    generateRequestBody(endpoint) {
-        const resource = this.extractResourceName(endpoint.pathname);
-        
+    generateStreamContent(samples) {
+        const format = samples[samples.length - 1].stream.format;
+        const byEvent = new Map();
+
+        samples.forEach(sample => {
+            sample.stream.events.forEach(event => {
+                if (!byEvent.has(event.event)) {
+                    byEvent.set(event.event, []);
+                }
+                byEvent.get(event.event).push(this.parseStreamData(event.data));
+            });
+        });
+
+        const events = Array.from(byEvent.entries()).map(([event, values]) => ({
+            event,
+            schema: this.schemaInferrer.inferFromSamples(values)
+        }));
+
         return {
-            required: true,
-            content: {
-                'application/json': {
-                    schema: {
-                        $ref: `#/components/schemas/${this.capitalize(resource)}Input`
+            [StreamParser.getMimeType(format)]: {
+                schema: { type: 'string' },
+                'x-stream-events': events
+            }
+        };
+    }
+
+    parseStreamData(data) {
+        try {
+            return JSON.parse(data);
+        } catch {
+            return data;
+        }
+    }
+
+    /**
+     * Parse the complete bodies captured on a set of samples
+     */
+    collectBodies(samples, field) {
+        return samples
+            .map(sample => BodyParser.parse(sample[field]))
+            .filter(value => value !== undefined);
+    }
+
+    /**
+     * Generate request body for POST/PUT/PATCH operations from captured payloads
+     */
+    generateRequestBody(endpoint, samples = [endpoint], operationId = null) {
+        const byMimeType = new Map();
+
+        samples.forEach(sample => {
+            const value = BodyParser.parse(sample.requestBody);
+            if (value === undefined) return;
+
+            const mimeType = sample.requestBody.mimeType;
+            if (!byMimeType.has(mimeType)) {
+                byMimeType.set(mimeType, { values: [], files: new Set() });
+            }
+
+            const entry = byMimeType.get(mimeType);
+            entry.values.push(value);
+            (sample.requestBody.files || []).forEach(name => entry.files.add(name));
+        });
+
+        if (byMimeType.size === 0) {
+            return {
+                content: {
+                    'application/json': {
+                        schema: this.describeUnreadBodies(samples, 'requestBody')
                     }
                 }
-            }
+            };
+        }
+
+        const baseName = this.toSchemaName(operationId || this.generateUniqueOperationId(endpoint.method, endpoint.pathname));
+        const content = {};
+
+        byMimeType.forEach((entry, mimeType) => {
+            const schema = this.schemaInferrer.inferFromSamples(entry.values);
+
+            // File parts are never decoded, only their field names are known
+            entry.files.forEach(name => {
+                schema.type = 'object';
+                schema.properties = { ...schema.properties, [name]: { type: 'string', format: 'binary' } };
+            });
+
+            const encoding = BodyParser.getEncoding(mimeType);
+            const schemaName = encoding === 'json' ? `${baseName}Input` : `${baseName}${this.capitalize(encoding)}Input`;
+            this.schemaCache.set(schemaName, schema);
+
+            content[mimeType] = {
+                schema: { $ref: `#/components/schemas/${schemaName}` }
+            };
+        });
+
+        return {
+            required: samples.every(sample => sample.requestBody),
+            content
         };
     }
 
@@ -479,27 +1148,9 @@ class OpenAPIGenerator {
     generateSchemas(endpoints, analysis) {
         const schemas = {};
         
-        // Generate schemas for discovered resources
-        analysis.groups.forEach(group => {
-            const resourceName = this.extractResourceName(group.patterns[0]);
-            const schemaName = this.capitalize(resourceName);
-            
-            schemas[schemaName] = {
-                type: 'object',
-                properties: {
-                    id: { type: 'string', example: '123' },
-                    name: { type: 'string', example: `Example ${resourceName}` }
-                }
-            };
-            
-            // Add input schema for POST/PUT operations
-            schemas[`${schemaName}Input`] = {
-                type: 'object',
-                properties: {
-                    name: { type: 'string', example: `Example ${resourceName}` }
-                },
-                required: ['name']
-            };
+        // Add schemas inferred from captured bodies
+        this.schemaCache.forEach((schema, name) => {
+            schemas[name] = schema;
         });
         
         // Add common schemas
@@ -576,6 +1227,12 @@ class OpenAPIGenerator {
             200: 'OK',
             201: 'Created',
             204: 'No Content',
+            301: 'Moved Permanently',
+            302: 'Found',
+            303: 'See Other',
+            304: 'Not Modified',
+            307: 'Temporary Redirect',
+            308: 'Permanent Redirect',
             400: 'Bad Request',
             401: 'Unauthorized',
             403: 'Forbidden',
@@ -591,6 +1248,13 @@ class OpenAPIGenerator {
         return descriptions[status] || 'Response';
     }
 
+    /**
+     * Turn an operation ID into a valid component schema name
+     */
+    toSchemaName(operationId) {
+        return this.capitalize(operationId.replace(/[^a-zA-Z0-9._-]/g, ''));
+    }
+
     /**
      * Capitalize first letter of string
      */
@@ -0,0 +1,320 @@
+/**
+ * Operation Store - Aggregates captured calls by method and path template
+ * Repeated calls bump one record's counters instead of adding rows. Each record
+ * keeps a bounded reservoir of raw samples for schema inference and export.
+ * Changed and removed records are tracked so they can be persisted in batches.
+ */
+
+class OperationStore {
+    constructor(getTemplate, options = {}) {
+        this.getTemplate = getTemplate;
+        this.maxSamples = options.maxSamples || 20;
+        this.maxRecent = options.maxRecent || 100;
+        this.operations = new Map();
+        // Newest calls, whether or not the reservoir kept them, for late bodies and streams
+        this.recent = [];
+        this.keysByEndpoint = new WeakMap();
+        this.changed = new Set();
+        this.removed = new Set();
+    }
+
+    static getKey(method, path) {
+        return `${method.toUpperCase()} ${path}`;
+    }
+
+    keyFor(endpoint) {
+        let path = this.getTemplate(endpoint);
+
+        // GraphQL calls share one URL, so their operation names tell them apart
+        if (endpoint.graphql && endpoint.graphql.length > 0) {
+            path += `#${endpoint.graphql.map(operation => operation.operationName || operation.operationType).join('+')}`;
+        }
+
+        return { key: OperationStore.getKey(endpoint.method, path), path };
+    }
+
+    /**
+     * Count a captured call and offer it to the operation's reservoir
+     */
+    add(endpoint) {
+        const { key, path } = this.keyFor(endpoint);
+        let operation = this.operations.get(key);
+
+        if (!operation) {
+            operation = {
+                key,
+                method: endpoint.method.toUpperCase(),
+                path,
+                hits: 0,
+                firstSeen: endpoint.timestamp,
+                lastSeen: endpoint.timestamp,
+                statusCodes: {},
+                hosts: [],
+                samples: [],
+                size: 0
+            };
+            this.operations.set(key, operation);
+            this.removed.delete(key);
+        }
+
+        operation.hits++;
+        if (endpoint.hostname && !operation.hosts.includes(endpoint.hostname)) {
+            operation.hosts.push(endpoint.hostname);
+        }
+        operation.lastSeen = endpoint.timestamp;
+        operation.statusCodes[endpoint.status] = (operation.statusCodes[endpoint.status] || 0) + 1;
+        operation.latest = endpoint;
+        this.addSample(operation, endpoint);
+        this.keysByEndpoint.set(endpoint, key);
+        this.changed.add(key);
+
+        this.recent.push(endpoint);
+        if (this.recent.length > this.maxRecent) {
+            this.recent.shift();
+        }
+
+        return operation;
+    }
+
+    /**
+     * Reservoir sampling (Algorithm R), so early and late calls are equally likely
+     * to be kept, except that every status code keeps at least one sample
+     */
+    addSample(operation, endpoint) {
+        const samples = operation.samples;
+        if (samples.length < this.maxSamples) {
+            samples.push(endpoint);
+            return;
+        }
+
+        if (!samples.some(sample => sample.status === endpoint.status)) {
+            const index = samples.findIndex((sample, i) => !this.isOnlySampleOfStatus(samples, i));
+            if (index !== -1) {
+                samples[index] = endpoint;
+                return;
+            }
+        }
+
+        const slot = Math.floor(Math.random() * operation.hits);
+        if (slot < this.maxSamples && !this.isOnlySampleOfStatus(samples, slot)) {
+            samples[slot] = endpoint;
+        }
+    }
+
+    isOnlySampleOfStatus(samples, index) {
+        const status = samples[index].status;
+        return samples.every((sample, i) => i === index || sample.status !== status);
+    }
+
+    get(key) {
+        return this.operations.get(key) || null;
+    }
+
+    /**
+     * Mark the operation holding a call as changed after the call was updated in place
+     */
+    touch(endpoint) {
+        const key = this.keysByEndpoint.get(endpoint);
+        if (key && this.operations.has(key)) {
+            this.changed.add(key);
+        }
+    }
+
+    remove(key) {
+        if (!this.operations.delete(key)) return;
+
+        this.changed.delete(key);
+        this.removed.add(key);
+        this.recent = this.recent.filter(endpoint => this.keysByEndpoint.get(endpoint) !== key);
+    }
+
+    /**
+     * Hand over what changed since the last call: { updated: records, removed: keys }.
+     * Changed records are measured first, then the store is evicted down to limitBytes.
+     */
+    takeChanges(limitBytes = Infinity) {
+        this.changed.forEach(key => this.measure(this.operations.get(key)));
+        this.evict(limitBytes);
+
+        const updated = Array.from(this.changed)
+            .map(key => this.operations.get(key))
+            .filter(Boolean);
+        const removed = Array.from(this.removed);
+
+        this.changed.clear();
+        this.removed.clear();
+        return { updated, removed };
+    }
+
+    /**
+     * Estimate an operation's stored size in bytes and remember it on the record
+     */
+    measure(operation) {
+        operation.size = 0;
+        operation.size = JSON.stringify(this.serialize(operation)).length;
+        return operation.size;
+    }
+
+    getUsage() {
+        return this.list().reduce((total, operation) => total + (operation.size || 0), 0);
+    }
+
+    /**
+     * Drop the least recently seen operations until usage fits the limit.
+     * The newest operation always stays. Returns the removed keys.
+     */
+    evict(limitBytes) {
+        let usage = this.getUsage();
+        const candidates = this.list().sort((a, b) => String(a.lastSeen).localeCompare(String(b.lastSeen)));
+        const evicted = [];
+
+        while (usage > limitBytes && candidates.length > 1) {
+            const operation = candidates.shift();
+            usage -= operation.size || 0;
+            this.remove(operation.key);
+            evicted.push(operation.key);
+        }
+
+        return evicted;
+    }
+
+    list() {
+        return Array.from(this.operations.values());
+    }
+
+    /**
+     * Every kept sample across operations, oldest first
+     */
+    getSamples() {
+        return this.list()
+            .flatMap(operation => operation.samples)
+            .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+    }
+
+    /**
+     * Newest recent call matching the predicate
+     */
+    findRecent(predicate) {
+        for (let i = this.recent.length - 1; i >= 0; i--) {
+            if (predicate(this.recent[i])) {
+                return this.recent[i];
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Lightweight view of an operation for the popup, without sample bodies
+     */
+    summarize(operation) {
+        const latest = operation.latest || operation.samples[operation.samples.length - 1];
+        const { requestBody, responseBody, ...call } = latest;
+
+        return {
+            key: operation.key,
+            method: operation.method,
+            path: operation.path,
+            hits: operation.hits,
+            firstSeen: operation.firstSeen,
+            lastSeen: operation.lastSeen,
+            statusCodes: { ...operation.statusCodes },
+            sampleCount: operation.samples.length,
+            latest: call
+        };
+    }
+
+    /**
+     * Record to persist; the latest call is only kept in memory
+     */
+    serialize(operation) {
+        const { latest, ...record } = operation;
+        return record;
+    }
+
+    toJSON() {
+        return this.list().map(operation => this.serialize(operation));
+    }
+
+    load(operations = []) {
+        this.clear();
+        operations.forEach(operation => {
+            this.operations.set(operation.key, { hosts: [], size: 0, ...operation });
+        });
+
+        this.list().forEach(operation => {
+            const samples = [...operation.samples].sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+            operation.latest = samples[samples.length - 1];
+            samples.forEach(sample => this.keysByEndpoint.set(sample, operation.key));
+        });
+        this.recent = this.getSamples().slice(-this.maxRecent);
+    }
+
+    /**
+     * Fold in a stored record, e.g. from another session. Counters add up; the
+     * samples keep one per status code, then the newest.
+     */
+    merge(record) {
+        const operation = this.operations.get(record.key);
+        if (!operation) {
+            const merged = { hosts: [], size: 0, ...record, samples: [...record.samples] };
+            this.operations.set(record.key, merged);
+            merged.latest = merged.samples[merged.samples.length - 1];
+            merged.samples.forEach(sample => this.keysByEndpoint.set(sample, record.key));
+            this.removed.delete(record.key);
+            this.changed.add(record.key);
+            return merged;
+        }
+
+        operation.hits += record.hits;
+        if (String(record.firstSeen).localeCompare(String(operation.firstSeen)) < 0) {
+            operation.firstSeen = record.firstSeen;
+        }
+        if (String(record.lastSeen).localeCompare(String(operation.lastSeen)) > 0) {
+            operation.lastSeen = record.lastSeen;
+        }
+        Object.entries(record.statusCodes).forEach(([status, count]) => {
+            operation.statusCodes[status] = (operation.statusCodes[status] || 0) + count;
+        });
+        (record.hosts || []).forEach(host => {
+            if (!operation.hosts.includes(host)) operation.hosts.push(host);
+        });
+
+        const samples = [...operation.samples, ...record.samples]
+            .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+        const kept = new Set();
+        const statuses = new Set();
+        for (let i = samples.length - 1; i >= 0; i--) {
+            if (!statuses.has(samples[i].status)) {
+                statuses.add(samples[i].status);
+                kept.add(samples[i]);
+            }
+        }
+        for (let i = samples.length - 1; i >= 0 && kept.size < this.maxSamples; i--) {
+            kept.add(samples[i]);
+        }
+        operation.samples = samples.filter(sample => kept.has(sample));
+        operation.samples.forEach(sample => this.keysByEndpoint.set(sample, operation.key));
+        operation.latest = samples[samples.length - 1];
+        this.changed.add(operation.key);
+        return operation;
+    }
+
+    markAllChanged() {
+        this.operations.forEach((operation, key) => this.changed.add(key));
+    }
+
+    clear() {
+        this.operations.clear();
+        this.recent = [];
+        this.keysByEndpoint = new WeakMap();
+        this.changed.clear();
+        this.removed.clear();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OperationStore;
+} else if (typeof window !== 'undefined') {
+    window.OperationStore = OperationStore;
+}
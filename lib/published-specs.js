@@ -0,0 +1,362 @@
+/**
+ * Published Specs - API descriptions a site publishes itself
+ * Lists the well-known locations worth probing, reads OpenAPI 3 and Swagger 2
+ * documents (Swagger is converted to OpenAPI 3), and merges them into a spec
+ * generated from traffic. Merged operations say whether real traffic confirmed
+ * them. Fetching the documents is up to the caller.
+ */
+
+class PublishedSpecs {
+    /**
+     * Paths where sites commonly publish an OpenAPI or Swagger document
+     */
+    static getProbePaths() {
+        return [
+            '/openapi.json',
+            '/swagger.json',
+            '/v3/api-docs',
+            '/v2/api-docs',
+            '/api-docs',
+            '/api/openapi.json',
+            '/api/swagger.json',
+            '/swagger/v1/swagger.json',
+            '/.well-known/openapi.json',
+            '/.well-known/api-catalog'
+        ];
+    }
+
+    /**
+     * Paths where a GraphQL endpoint may answer an introspection query
+     */
+    static getGraphQLPaths() {
+        return ['/graphql', '/api/graphql'];
+    }
+
+    static getMethods() {
+        return ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+    }
+
+    /**
+     * API description links in an RFC 9727 api-catalog linkset
+     */
+    static getCatalogLinks(catalog, baseURL) {
+        const links = [];
+        ((catalog && catalog.linkset) || []).forEach(context => {
+            ['service-desc', 'describedby'].forEach(relation => {
+                (context[relation] || []).forEach(link => {
+                    try {
+                        links.push(new URL(link.href, baseURL).href);
+                    } catch {
+                        // Not a usable link
+                    }
+                });
+            });
+        });
+        return [...new Set(links)];
+    }
+
+    /**
+     * An OpenAPI 3 document with absolute server URLs, or null if the parsed response isn't one
+     */
+    static toOpenAPI(document, url) {
+        if (!document || typeof document !== 'object' || !document.paths || typeof document.paths !== 'object') {
+            return null;
+        }
+
+        if (/^3\./.test(String(document.openapi))) {
+            const servers = Array.isArray(document.servers) && document.servers.length > 0 ? document.servers : [{ url: '/' }];
+            return {
+                ...document,
+                servers: servers.map(server => ({ ...server, url: this.resolveServerURL(server, url) }))
+            };
+        }
+
+        if (String(document.swagger) === '2.0') {
+            return this.fromSwagger(document, url);
+        }
+        return null;
+    }
+
+    /**
+     * Fill in server variables with their defaults and resolve against the document URL
+     */
+    static resolveServerURL(server, documentURL) {
+        const variables = server.variables || {};
+        const url = String(server.url || '/').replace(/\{([^}]+)\}/g, (match, name) =>
+            variables[name] && variables[name].default !== undefined ? variables[name].default : ''
+        );
+        try {
+            return new URL(url, documentURL).href.replace(/\/$/, '');
+        } catch {
+            return new URL(documentURL).origin;
+        }
+    }
+
+    static fromSwagger(document, url) {
+        const location = new URL(url);
+        const scheme = (document.schemes || [])[0] || location.protocol.replace(':', '');
+        const host = document.host || location.host;
+        const basePath = (document.basePath || '').replace(/\/$/, '');
+        const resolve = value => (value && value.$ref ? this.lookup(document, value.$ref) || {} : value);
+
+        const paths = {};
+        Object.entries(document.paths).forEach(([path, item]) => {
+            const shared = item.parameters || [];
+            paths[path] = {};
+            this.getMethods().forEach(method => {
+                if (item[method]) {
+                    paths[path][method] = this.fromSwaggerOperation(item[method], shared, document, resolve);
+                }
+            });
+        });
+
+        const securitySchemes = {};
+        Object.entries(document.securityDefinitions || {}).forEach(([name, definition]) => {
+            securitySchemes[name] = definition.type === 'basic'
+                ? { type: 'http', scheme: 'basic', description: definition.description }
+                : definition.type === 'apiKey'
+                    ? { type: 'apiKey', name: definition.name, in: definition.in, description: definition.description }
+                    : { type: 'oauth2', description: definition.description, flows: {} };
+        });
+
+        const converted = {
+            openapi: '3.0.3',
+            info: document.info || { title: host, version: '' },
+            servers: [{ url: `${scheme}://${host}${basePath}` }],
+            paths,
+            components: { schemas: document.definitions || {}, securitySchemes }
+        };
+        if (document.tags) converted.tags = document.tags;
+        if (document.security) converted.security = document.security;
+
+        // Definitions live under components in OpenAPI 3
+        return JSON.parse(JSON.stringify(converted).replace(/"#\/definitions\//g, '"#/components/schemas/'));
+    }
+
+    static fromSwaggerOperation(operation, shared, document, resolve) {
+        const consumes = operation.consumes || document.consumes || ['application/json'];
+        const produces = operation.produces || document.produces || ['application/json'];
+        const converted = { parameters: [], responses: {} };
+        ['operationId', 'summary', 'description', 'tags', 'deprecated', 'security'].forEach(field => {
+            if (operation[field] !== undefined) converted[field] = operation[field];
+        });
+
+        const formFields = {};
+        const requiredFields = [];
+        [...shared, ...(operation.parameters || [])].map(resolve).forEach(parameter => {
+            if (parameter.in === 'body') {
+                converted.requestBody = {
+                    required: Boolean(parameter.required),
+                    content: Object.fromEntries(consumes.map(type => [type, { schema: parameter.schema || {} }]))
+                };
+                if (parameter.description) converted.requestBody.description = parameter.description;
+            } else if (parameter.in === 'formData') {
+                formFields[parameter.name] = this.toSchema(parameter);
+                if (parameter.required) requiredFields.push(parameter.name);
+            } else if (parameter.in) {
+                const schemaFields = ['type', 'format', 'items', 'enum', 'default', 'collectionFormat'];
+                const rest = Object.fromEntries(Object.entries(parameter).filter(([field]) => !schemaFields.includes(field)));
+                converted.parameters.push({ ...rest, schema: this.toSchema(parameter) });
+            }
+        });
+
+        if (Object.keys(formFields).length > 0) {
+            const type = consumes.find(contentType => /form/.test(contentType)) || 'application/x-www-form-urlencoded';
+            const schema = { type: 'object', properties: formFields };
+            if (requiredFields.length > 0) schema.required = requiredFields;
+            converted.requestBody = { content: { [type]: { schema } } };
+        }
+
+        Object.entries(operation.responses || {}).forEach(([status, value]) => {
+            const response = resolve(value);
+            converted.responses[status] = { description: response.description || '' };
+            if (response.schema) {
+                converted.responses[status].content = Object.fromEntries(produces.map(type => [type, { schema: response.schema }]));
+            }
+        });
+        return converted;
+    }
+
+    static toSchema(parameter) {
+        const schema = {};
+        ['type', 'format', 'items', 'enum', 'default'].forEach(field => {
+            if (parameter[field] !== undefined) schema[field] = parameter[field];
+        });
+        return schema.type === 'file' ? { type: 'string', format: 'binary' } : schema;
+    }
+
+    static lookup(document, ref) {
+        if (!/^#\//.test(ref)) return null;
+        return ref.slice(2).split('/').reduce((value, key) => (value ? value[key.replace(/~1/g, '/').replace(/~0/g, '~')] : null), document);
+    }
+
+    /**
+     * Merge published documents into a spec generated from traffic. Published
+     * operations bring their names, descriptions, parameters and schemas, and
+     * observed ones keep their measurements. Every operation gets
+     * x-discovery-source; published ones also get x-confirmed-by-traffic.
+     */
+    static merge(spec, documents) {
+        const merged = JSON.parse(JSON.stringify(spec));
+        merged.paths = merged.paths || {};
+        merged.components = merged.components || {};
+        // A spec without traffic only has a placeholder server
+        merged.servers = Object.keys(merged.paths).length > 0 ? merged.servers || [] : [];
+
+        Object.values(merged.paths).forEach(item => {
+            Object.values(item).forEach(operation => {
+                operation['x-discovery-source'] = operation['x-discovery-source'] || 'traffic';
+            });
+        });
+
+        documents.forEach(({ document }) => {
+            const published = this.renameComponents(document, merged.components);
+            Object.entries(published.components || {}).forEach(([section, entries]) => {
+                merged.components[section] = { ...(merged.components[section] || {}), ...entries };
+            });
+
+            const server = new URL(published.servers[0].url);
+            const prefix = server.pathname.replace(/\/$/, '');
+            if (!merged.servers.some(existing => existing.url === server.origin)) {
+                merged.servers.push({ url: server.origin, description: published.info && published.info.title });
+            }
+
+            // Literal paths first, so /users/me claims its calls before /users/{id} does
+            const paths = Object.entries(published.paths)
+                .sort(([a], [b]) => (a.match(/\{/g) || []).length - (b.match(/\{/g) || []).length);
+            paths.forEach(([path, item]) => {
+                const fullPath = `${prefix}${path}`;
+                this.getMethods().forEach(method => {
+                    if (item[method]) {
+                        this.mergeOperation(merged.paths, fullPath, method, {
+                            ...item[method],
+                            parameters: this.mergeParameters(item[method].parameters || [], item.parameters || [])
+                        });
+                    }
+                });
+            });
+        });
+
+        merged['x-published-documents'] = documents.map(({ url, document }) => ({
+            url,
+            title: document.info && document.info.title,
+            version: document.info && document.info.version
+        }));
+        return merged;
+    }
+
+    static mergeOperation(paths, path, method, published) {
+        const matches = Object.keys(paths).filter(observedPath =>
+            paths[observedPath][method] && this.pathsMatch(path, observedPath) &&
+            paths[observedPath][method]['x-discovery-source'] === 'traffic'
+        );
+        const existing = paths[path] && paths[path][method];
+
+        let operation;
+        if (matches.length > 0) {
+            const observed = matches.map(observedPath => paths[observedPath][method]);
+            operation = this.mergeObserved(published, observed);
+            if (matches.some(observedPath => observedPath !== path)) {
+                operation['x-observed-paths'] = matches;
+            }
+            matches.forEach(observedPath => {
+                delete paths[observedPath][method];
+                if (Object.keys(paths[observedPath]).length === 0) delete paths[observedPath];
+            });
+        } else if (existing && existing['x-discovery-source'] !== 'static') {
+            // Already documented by an earlier published document
+            return;
+        } else {
+            operation = { ...published, 'x-discovery-source': 'published', 'x-confirmed-by-traffic': false };
+        }
+
+        paths[path] = { ...(paths[path] || {}), [method]: operation };
+    }
+
+    /**
+     * Published names, descriptions and schemas on top of what traffic showed
+     */
+    static mergeObserved(published, observed) {
+        const [first, ...others] = observed;
+        const operation = { ...first };
+        ['operationId', 'summary', 'description', 'tags', 'deprecated', 'security', 'requestBody'].forEach(field => {
+            if (published[field] !== undefined) operation[field] = published[field];
+        });
+
+        // Path parameters are named after the published template now
+        const observedParameters = observed.flatMap(item => item.parameters || []).filter(parameter => parameter.in !== 'path');
+        operation.parameters = this.mergeParameters(published.parameters || [], observedParameters);
+
+        const responses = {};
+        [...others.reverse(), first].forEach(item => Object.assign(responses, item.responses));
+        Object.entries(published.responses || {}).forEach(([status, response]) => {
+            const seen = responses[status];
+            responses[status] = seen
+                ? { ...seen, ...response, content: response.content || seen.content }
+                : response;
+        });
+        operation.responses = responses;
+
+        operation['x-discovery-source'] = 'published';
+        operation['x-confirmed-by-traffic'] = true;
+        return operation;
+    }
+
+    /**
+     * Parameters from the first list, then those from the second it doesn't have
+     */
+    static mergeParameters(preferred, others) {
+        const key = parameter => (parameter.$ref ? parameter.$ref : `${parameter.in}:${parameter.name}`);
+        const keys = new Set(preferred.map(key));
+        return [...preferred, ...others.filter(parameter => !keys.has(key(parameter)) && keys.add(key(parameter)))];
+    }
+
+    /**
+     * Whether a published template covers an observed path, e.g. /users/{userId} and /users/{id} or /users/alice
+     */
+    static pathsMatch(publishedPath, observedPath) {
+        if (observedPath.includes('#')) return false;
+        const published = publishedPath.split('/');
+        const observed = observedPath.split('/');
+        return published.length === observed.length &&
+            published.every((segment, index) => segment === observed[index] || /^\{[^}]+\}$/.test(segment));
+    }
+
+    /**
+     * Rename published components whose names are taken, and the references to them
+     */
+    static renameComponents(document, existing) {
+        const renamed = new Map();
+        const components = {};
+
+        Object.entries(document.components || {}).forEach(([section, entries]) => {
+            components[section] = {};
+            Object.entries(entries || {}).forEach(([name, value]) => {
+                let newName = name;
+                for (let counter = 1; existing[section] && existing[section][newName]; counter++) {
+                    newName = counter === 1 ? `${name}Published` : `${name}Published${counter}`;
+                }
+                if (newName !== name) {
+                    renamed.set(`#/components/${section}/${name}`, `#/components/${section}/${newName}`);
+                }
+                components[section][newName] = value;
+            });
+        });
+
+        const rewrite = value => {
+            if (Array.isArray(value)) return value.map(rewrite);
+            if (!value || typeof value !== 'object') return value;
+            return Object.fromEntries(Object.entries(value).map(([key, item]) =>
+                [key, key === '$ref' && renamed.has(item) ? renamed.get(item) : rewrite(item)]
+            ));
+        };
+        return rewrite({ ...document, components });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PublishedSpecs;
+} else if (typeof window !== 'undefined') {
+    window.PublishedSpecs = PublishedSpecs;
+}
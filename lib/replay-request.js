@@ -0,0 +1,186 @@
+/**
+ * Replay Request - Editable copies of captured calls for the replay page
+ * A stored sample becomes a request with method, URL, query parameters, headers
+ * and body text. Values redacted at capture time stay "[REDACTED]" and block the
+ * replay until they are replaced or removed, so credentials are only sent when
+ * the user types them in.
+ */
+
+class ReplayRequest {
+    static getRedactedValue() {
+        return '[REDACTED]';
+    }
+
+    /**
+     * Headers the browser sets itself; fetch drops them
+     */
+    static getBrowserHeaders() {
+        return [
+            'accept-charset', 'accept-encoding', 'access-control-request-headers',
+            'access-control-request-method', 'connection', 'content-length', 'cookie',
+            'date', 'dnt', 'expect', 'host', 'keep-alive', 'origin', 'referer', 'te',
+            'trailer', 'transfer-encoding', 'upgrade', 'user-agent', 'via'
+        ];
+    }
+
+    static isBrowserHeader(name) {
+        const lowerName = name.trim().toLowerCase();
+        // HTTP/2 pseudo-headers like :authority come in with imported HARs
+        return this.getBrowserHeaders().includes(lowerName) || /^(sec-|proxy-|:)/.test(lowerName);
+    }
+
+    /**
+     * Editable request from a stored endpoint record
+     */
+    static fromSample(sample) {
+        // Older records kept tokens in the query string as sent
+        const url = new URL(Utils.sanitizeURL(sample.url));
+        const query = Array.from(url.searchParams.entries());
+        url.search = '';
+        url.hash = '';
+
+        // Cookies go along only through sendCookies
+        const headers = Object.entries(sample.headers || {}).filter(([name]) => !this.isBrowserHeader(name));
+        const body = this.getBodyText(sample.requestBody, headers);
+        if (body.contentType) {
+            headers.push(['Content-Type', body.contentType]);
+        }
+
+        return {
+            method: sample.method,
+            url: url.href,
+            query,
+            headers,
+            body: body.text,
+            bodyIncomplete: body.incomplete,
+            sendCookies: false
+        };
+    }
+
+    /**
+     * Body text to resend; incomplete when the record was truncated or held files.
+     * contentType is set when the request headers don't carry a usable one.
+     */
+    static getBodyText(body, headers) {
+        if (!body) {
+            return { text: '', incomplete: false };
+        }
+        if (body.truncated) {
+            return { text: '', incomplete: true };
+        }
+        if (typeof body.text === 'string') {
+            return { text: body.text, incomplete: false };
+        }
+        if (!body.fields) {
+            return { text: '', incomplete: true };
+        }
+
+        const pairs = [];
+        Object.entries(body.fields).forEach(([name, values]) => {
+            (Array.isArray(values) ? values : [values]).forEach(value => pairs.push([name, String(value)]));
+        });
+        const incomplete = Array.isArray(body.files) && body.files.length > 0;
+
+        if (BodyParser.getEncoding(body.mimeType) !== 'multipart') {
+            // Keep redacted values readable so they are caught before sending
+            const text = new URLSearchParams(pairs).toString().replace(/%5BREDACTED%5D/g, this.getRedactedValue());
+            return { text, incomplete };
+        }
+
+        const header = headers.find(([name]) => name.toLowerCase() === 'content-type');
+        const match = header && /boundary=("?)([^";]+)\1/i.exec(header[1]);
+        const boundary = match ? match[2] : 'replay-boundary';
+        const text = pairs.map(([name, value]) =>
+            `--${boundary}\r\nContent-Disposition: form-data; name="${name}"\r\n\r\n${value}\r\n`
+        ).join('') + `--${boundary}--\r\n`;
+
+        return { text, incomplete, contentType: match ? null : `multipart/form-data; boundary=${boundary}` };
+    }
+
+    /**
+     * Where redacted values are still in the request, e.g. "header Authorization"
+     */
+    static findRedacted(request) {
+        const redacted = this.getRedactedValue();
+        const found = [];
+
+        (request.headers || []).forEach(([name, value]) => {
+            if (String(value).includes(redacted)) found.push(`header ${name}`);
+        });
+        (request.query || []).forEach(([name, value]) => {
+            if (String(value).includes(redacted)) found.push(`query parameter ${name}`);
+        });
+        if (String(request.url || '').includes(redacted)) {
+            found.push('URL');
+        }
+        if (String(request.body || '').includes(redacted)) {
+            found.push('body');
+        }
+        return found;
+    }
+
+    /**
+     * fetch() arguments for the request, or throw if it can't be sent as edited
+     */
+    static build(request) {
+        const redacted = this.findRedacted(request);
+        if (redacted.length > 0) {
+            throw new Error(`Replace or remove the redacted ${redacted.join(', ')}`);
+        }
+
+        let url;
+        try {
+            url = new URL(String(request.url || '').trim());
+        } catch {
+            throw new Error(`Not a valid URL: ${request.url}`);
+        }
+        if (!/^https?:$/.test(url.protocol)) {
+            throw new Error('Only http and https URLs can be replayed');
+        }
+        (request.query || [])
+            .filter(([name]) => name.trim())
+            .forEach(([name, value]) => url.searchParams.append(name.trim(), value));
+
+        const method = String(request.method || 'GET').trim().toUpperCase();
+        if (!/^[A-Z]+$/.test(method)) {
+            throw new Error(`Not a valid method: ${request.method}`);
+        }
+
+        const headers = {};
+        const ignoredHeaders = [];
+        (request.headers || [])
+            .filter(([name]) => name.trim())
+            .forEach(([name, value]) => {
+                if (this.isBrowserHeader(name)) {
+                    ignoredHeaders.push(name.trim());
+                } else {
+                    headers[name.trim()] = value;
+                }
+            });
+
+        const body = typeof request.body === 'string' && request.body !== '' ? request.body : undefined;
+        if (body !== undefined && ['GET', 'HEAD'].includes(method)) {
+            throw new Error(`${method} requests can't have a body`);
+        }
+
+        return {
+            url: url.href,
+            init: {
+                method,
+                headers,
+                body,
+                // The browser's cookies for the site only go along when asked for
+                credentials: request.sendCookies ? 'include' : 'omit',
+                cache: 'no-store'
+            },
+            ignoredHeaders
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReplayRequest;
+} else if (typeof window !== 'undefined') {
+    window.ReplayRequest = ReplayRequest;
+}
@@ -0,0 +1,148 @@
+/**
+ * Request Tracker - Collects the webRequest lifecycle of each request by requestId
+ * Every event of one request (redirect hops included) lands in the same
+ * transaction, which is handed back once the request completes or fails.
+ * Values are stored as given; sanitizing them is up to the caller.
+ */
+
+class RequestTracker {
+    constructor(maxOpen = 500) {
+        this.maxOpen = maxOpen;
+        this.transactions = new Map();
+    }
+
+    /**
+     * Get the open transaction for a request, starting one if needed
+     */
+    open(details) {
+        let transaction = this.transactions.get(details.requestId);
+
+        if (!transaction) {
+            // Requests that never complete would otherwise pile up here
+            if (this.transactions.size >= this.maxOpen) {
+                this.transactions.delete(this.transactions.keys().next().value);
+            }
+
+            transaction = {
+                requestId: details.requestId,
+                tabId: details.tabId,
+                type: details.type,
+                initiator: details.initiator,
+                startTime: null,
+                endTime: null,
+                requestBody: null,
+                requestHeaders: null,
+                statusCode: null,
+                contentType: null,
+                responseHeaders: null,
+                redirects: [],
+                fromCache: false,
+                error: null
+            };
+            this.transactions.set(details.requestId, transaction);
+        }
+
+        // Redirects change the URL, and a 303 the method, under the same requestId
+        transaction.url = details.url;
+        transaction.method = details.method;
+        return transaction;
+    }
+
+    get(requestId) {
+        return this.transactions.get(requestId) || null;
+    }
+
+    beforeRequest(details, requestBody) {
+        const transaction = this.open(details);
+        // Redirect hops start again; time the whole chain
+        if (transaction.startTime === null) {
+            transaction.startTime = details.timeStamp;
+        }
+        if (requestBody) {
+            transaction.requestBody = requestBody;
+        }
+        return transaction;
+    }
+
+    sendHeaders(details, requestHeaders) {
+        const transaction = this.open(details);
+        transaction.requestHeaders = requestHeaders;
+        return transaction;
+    }
+
+    headersReceived(details, responseHeaders, contentType) {
+        const transaction = this.open(details);
+        transaction.statusCode = details.statusCode;
+        transaction.contentType = contentType;
+        transaction.responseHeaders = responseHeaders;
+        return transaction;
+    }
+
+    /**
+     * Record a redirect hop; the hop's response doesn't describe where the request ends up
+     */
+    redirect(details, hop) {
+        const transaction = this.open(details);
+        transaction.redirects.push(hop);
+        transaction.statusCode = null;
+        transaction.contentType = null;
+        transaction.responseHeaders = null;
+        return transaction;
+    }
+
+    /**
+     * Close a request that got its response and hand back its transaction
+     */
+    complete(details) {
+        const transaction = this.open(details);
+        this.transactions.delete(details.requestId);
+
+        transaction.endTime = details.timeStamp;
+        transaction.statusCode = details.statusCode;
+        transaction.fromCache = Boolean(details.fromCache);
+        return transaction;
+    }
+
+    /**
+     * Close a request that failed, was blocked or was cancelled
+     */
+    fail(details) {
+        const transaction = this.open(details);
+        this.transactions.delete(details.requestId);
+
+        transaction.endTime = details.timeStamp;
+        transaction.fromCache = Boolean(details.fromCache);
+        transaction.error = details.error || 'net::ERR_FAILED';
+        return transaction;
+    }
+
+    /**
+     * The newest open transactions, to be saved across a worker restart
+     */
+    toJSON(limit = 100) {
+        return Array.from(this.transactions.values()).slice(-limit);
+    }
+
+    load(transactions = []) {
+        transactions.forEach(transaction => {
+            if (!this.transactions.has(transaction.requestId)) {
+                this.transactions.set(transaction.requestId, transaction);
+            }
+        });
+    }
+
+    discard(requestId) {
+        this.transactions.delete(requestId);
+    }
+
+    clear() {
+        this.transactions.clear();
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RequestTracker;
+} else if (typeof window !== 'undefined') {
+    window.RequestTracker = RequestTracker;
+}
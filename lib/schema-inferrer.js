@@ -0,0 +1,232 @@
+/**
+ * Schema Inferrer - Builds JSON Schemas from captured payload samples
+ * Many samples are merged into one schema, so optional, nullable and
+ * mixed-type fields are described the way they were actually observed
+ */
+
+class SchemaInferrer {
+    constructor(options = {}) {
+        this.maxDepth = options.maxDepth || 10;
+        this.maxArrayItems = options.maxArrayItems || 50;
+        this.formats = [
+            ['date-time', /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/i],
+            ['date', /^\d{4}-\d{2}-\d{2}$/],
+            ['uuid', /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i],
+            ['email', /^[^\s@]+@[^\s@]+\.[^\s@]+$/],
+            ['uri', /^[a-z][a-z0-9+.-]*:\/\/\S+$/i],
+            ['ipv4', /^(25[0-5]|2[0-4]\d|1?\d?\d)(\.(25[0-5]|2[0-4]\d|1?\d?\d)){3}$/]
+        ];
+    }
+
+    /**
+     * Infer one schema that describes every sample
+     */
+    inferFromSamples(samples) {
+        if (!Array.isArray(samples) || samples.length === 0) {
+            return {};
+        }
+
+        const merged = samples
+            .map(sample => this.inferSchema(sample))
+            .reduce((result, schema) => this.mergeSchemas(result, schema));
+
+        return this.finalizeSchema(merged);
+    }
+
+    /**
+     * Infer the schema of a single value
+     */
+    inferSchema(value, depth = 0) {
+        if (value === null || value === undefined) {
+            return { type: 'null' };
+        }
+
+        if (depth >= this.maxDepth) {
+            return {};
+        }
+
+        if (Array.isArray(value)) {
+            const items = value
+                .slice(0, this.maxArrayItems)
+                .map(item => this.inferSchema(item, depth + 1));
+
+            // Empty arrays say nothing about their items, so leave them open
+            return items.length > 0
+                ? { type: 'array', items: items.reduce((a, b) => this.mergeSchemas(a, b)) }
+                : { type: 'array' };
+        }
+
+        switch (typeof value) {
+            case 'object': {
+                const properties = {};
+                Object.entries(value).forEach(([key, child]) => {
+                    properties[key] = this.inferSchema(child, depth + 1);
+                });
+                return { type: 'object', properties, required: Object.keys(properties) };
+            }
+            case 'string': {
+                const format = this.detectFormat(value);
+                return format ? { type: 'string', format } : { type: 'string' };
+            }
+            case 'number':
+                return { type: Number.isInteger(value) ? 'integer' : 'number' };
+            case 'boolean':
+                return { type: 'boolean' };
+            default:
+                return {};
+        }
+    }
+
+    /**
+     * Merge two schemas into one that accepts both
+     */
+    mergeSchemas(a, b) {
+        if (!this.hasType(a)) return b;
+        if (!this.hasType(b)) return a;
+
+        if (a.type === 'null' || b.type === 'null') {
+            const other = a.type === 'null' ? b : a;
+            return other.type === 'null' ? other : { ...other, nullable: true };
+        }
+
+        if (a.oneOf || b.oneOf || !this.isCompatible(a, b)) {
+            return this.mergeVariants(a, b);
+        }
+
+        const merged = a.type === b.type
+            ? this.mergeSameType(a, b)
+            : { type: 'number' };
+
+        if (a.nullable || b.nullable) {
+            merged.nullable = true;
+        }
+
+        return merged;
+    }
+
+    /**
+     * Merge two schemas that share a type
+     */
+    mergeSameType(a, b) {
+        switch (a.type) {
+            case 'object': {
+                const properties = { ...a.properties };
+                Object.entries(b.properties || {}).forEach(([key, schema]) => {
+                    properties[key] = properties[key]
+                        ? this.mergeSchemas(properties[key], schema)
+                        : schema;
+                });
+
+                // A field is only required if every sample carried it
+                const required = (a.required || []).filter(key => (b.required || []).includes(key));
+                return { type: 'object', properties, required };
+            }
+            case 'array': {
+                if (!a.items || !b.items) {
+                    const items = a.items || b.items;
+                    return items ? { type: 'array', items } : { type: 'array' };
+                }
+                return { type: 'array', items: this.mergeSchemas(a.items, b.items) };
+            }
+            case 'string':
+                return a.format && a.format === b.format
+                    ? { type: 'string', format: a.format }
+                    : { type: 'string' };
+            default:
+                return { type: a.type };
+        }
+    }
+
+    /**
+     * Combine incompatible schemas into a oneOf
+     */
+    mergeVariants(a, b) {
+        let nullable = Boolean(a.nullable || b.nullable);
+        const variants = [];
+
+        [...(a.oneOf || [a]), ...(b.oneOf || [b])].forEach(variant => {
+            const { nullable: variantNullable, oneOf, ...schema } = variant;
+            if (variantNullable) {
+                nullable = true;
+            }
+
+            const index = variants.findIndex(existing => this.isCompatible(existing, schema));
+            if (index === -1) {
+                variants.push(schema);
+            } else {
+                variants[index] = this.mergeSchemas(variants[index], schema);
+            }
+        });
+
+        const merged = variants.length === 1 ? variants[0] : { oneOf: variants };
+        if (nullable) {
+            merged.nullable = true;
+        }
+
+        return merged;
+    }
+
+    /**
+     * Check whether two schemas can be merged without a oneOf
+     */
+    isCompatible(a, b) {
+        const numeric = ['integer', 'number'];
+        return a.type === b.type || (numeric.includes(a.type) && numeric.includes(b.type));
+    }
+
+    /**
+     * Check whether a schema carries any type information
+     */
+    hasType(schema) {
+        return Boolean(schema && (schema.type || schema.oneOf));
+    }
+
+    /**
+     * Convert the working representation into OpenAPI 3.0 schema objects
+     */
+    finalizeSchema(schema) {
+        if (!schema || typeof schema !== 'object') {
+            return {};
+        }
+
+        if (schema.type === 'null') {
+            return { nullable: true };
+        }
+
+        const result = { ...schema };
+
+        if (result.oneOf) {
+            result.oneOf = result.oneOf.map(variant => this.finalizeSchema(variant));
+        }
+
+        if (result.type === 'object') {
+            result.properties = Object.fromEntries(
+                Object.entries(result.properties || {}).map(([key, value]) => [key, this.finalizeSchema(value)])
+            );
+            if (!result.required || result.required.length === 0) {
+                delete result.required;
+            }
+        }
+
+        if (result.type === 'array') {
+            result.items = result.items ? this.finalizeSchema(result.items) : {};
+        }
+
+        return result;
+    }
+
+    /**
+     * Detect a well-known string format
+     */
+    detectFormat(value) {
+        const match = this.formats.find(([, pattern]) => pattern.test(value));
+        return match ? match[0] : null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SchemaInferrer;
+} else if (typeof window !== 'undefined') {
+    window.SchemaInferrer = SchemaInferrer;
+}
@@ -0,0 +1,125 @@
+/**
+ * Session Registry - Named discovery sessions (projects)
+ * Each session owns its captured traffic, settings and export metadata; the
+ * registry holds the list of sessions and which one is recording.
+ * Captured data itself is stored elsewhere under the session id.
+ */
+
+class SessionRegistry {
+    constructor(sessions = [], activeId = null) {
+        this.sessions = sessions.map(session => ({ settings: {}, metadata: {}, ...session }));
+        this.activeId = this.sessions.some(session => session.id === activeId)
+            ? activeId
+            : (this.sessions[0] ? this.sessions[0].id : null);
+    }
+
+    static createId() {
+        return `session-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Trim a session name, or throw if it is empty or already taken
+     */
+    normalizeName(name, exceptId = null) {
+        const value = String(name || '').trim().slice(0, 80);
+        if (!value) {
+            throw new Error('Session name is empty');
+        }
+        if (this.sessions.some(session => session.id !== exceptId && session.name.toLowerCase() === value.toLowerCase())) {
+            throw new Error(`A session named "${value}" already exists`);
+        }
+        return value;
+    }
+
+    list() {
+        return this.sessions;
+    }
+
+    /**
+     * Look up a session, or throw if there is none with that id
+     */
+    get(id) {
+        const session = this.sessions.find(candidate => candidate.id === id);
+        if (!session) {
+            throw new Error('Unknown session');
+        }
+        return session;
+    }
+
+    getActive() {
+        return this.activeId ? this.get(this.activeId) : null;
+    }
+
+    create(name, options = {}) {
+        const session = {
+            id: options.id || SessionRegistry.createId(),
+            name: this.normalizeName(name),
+            createdAt: new Date().toISOString(),
+            settings: { ...options.settings },
+            metadata: { ...options.metadata }
+        };
+        this.sessions.push(session);
+        if (!this.activeId) {
+            this.activeId = session.id;
+        }
+        return session;
+    }
+
+    rename(id, name) {
+        const session = this.get(id);
+        session.name = this.normalizeName(name, id);
+        return session;
+    }
+
+    /**
+     * A free name for a copy: "Shop", then "Shop (copy)", "Shop (copy 2)" ...
+     */
+    copyName(name) {
+        const taken = new Set(this.sessions.map(session => session.name.toLowerCase()));
+        let candidate = `${name} (copy)`;
+        for (let i = 2; taken.has(candidate.toLowerCase()); i++) {
+            candidate = `${name} (copy ${i})`;
+        }
+        return candidate;
+    }
+
+    update(id, changes) {
+        const session = this.get(id);
+        if (changes.settings) {
+            session.settings = { ...changes.settings };
+        }
+        if (changes.metadata) {
+            session.metadata = { ...session.metadata, ...changes.metadata };
+        }
+        return session;
+    }
+
+    activate(id) {
+        this.activeId = this.get(id).id;
+    }
+
+    /**
+     * Remove a session; the last one can't go
+     */
+    remove(id) {
+        this.get(id);
+        if (this.sessions.length === 1) {
+            throw new Error('The last session cannot be deleted');
+        }
+        if (id === this.activeId) {
+            throw new Error('Switch to another session before deleting this one');
+        }
+        this.sessions = this.sessions.filter(session => session.id !== id);
+    }
+
+    toJSON() {
+        return { sessions: this.sessions, activeSessionId: this.activeId };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionRegistry;
+} else if (typeof window !== 'undefined') {
+    window.SessionRegistry = SessionRegistry;
+}
@@ -0,0 +1,275 @@
+/**
+ * Snippet Generator - Runnable code for a captured call
+ * Renders a request in ReplayRequest's shape as cURL, JavaScript fetch, Node
+ * axios, Python requests or HTTPie. Values redacted at capture time become
+ * environment variables named after their header, parameter or field, e.g.
+ * $AUTHORIZATION or os.environ["PASSWORD"], listed in a comment on top.
+ */
+
+class SnippetGenerator {
+    static getFormats() {
+        return [
+            { id: 'curl', label: 'cURL' },
+            { id: 'fetch', label: 'JavaScript fetch' },
+            { id: 'axios', label: 'Node axios' },
+            { id: 'python', label: 'Python requests' },
+            { id: 'httpie', label: 'HTTPie' }
+        ];
+    }
+
+    /**
+     * Snippet for a request in the given format
+     */
+    static generate(request, format) {
+        const prepared = this.prepare(request);
+        switch (format) {
+            case 'curl':
+                return this.toCurl(prepared);
+            case 'fetch':
+                return this.toFetch(prepared);
+            case 'axios':
+                return this.toAxios(prepared);
+            case 'python':
+                return this.toPython(prepared);
+            case 'httpie':
+                return this.toHTTPie(prepared);
+            default:
+                throw new Error(`Unknown snippet format: ${format}`);
+        }
+    }
+
+    /**
+     * Stands in for an environment variable inside a string until a format renders it
+     */
+    static envMarker(name) {
+        return `\u0001ENV:${name}\u0001`;
+    }
+
+    static toEnvName(name) {
+        const envName = String(name).replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '').toUpperCase();
+        return /^[A-Z_]/.test(envName) ? envName : `SECRET_${envName}`;
+    }
+
+    /**
+     * Method, full URL, headers and body with redacted values swapped for markers
+     */
+    static prepare(request) {
+        const redacted = ReplayRequest.getRedactedValue();
+        const variables = new Set();
+        const secret = (value, name) => {
+            if (value !== redacted) return value;
+            const envName = this.toEnvName(name);
+            variables.add(envName);
+            return this.envMarker(envName);
+        };
+
+        // Marked values can't go through URLSearchParams, which would encode them
+        const query = (request.query || [])
+            .filter(([name]) => name)
+            .map(([name, value]) => `${encodeURIComponent(name)}=${value === redacted ? secret(value, name) : encodeURIComponent(value)}`);
+        const url = query.length > 0 ? `${request.url}${request.url.includes('?') ? '&' : '?'}${query.join('&')}` : request.url;
+
+        const headers = (request.headers || [])
+            .filter(([name]) => name && !ReplayRequest.isBrowserHeader(name))
+            .map(([name, value]) => [name, secret(value, name)]);
+
+        const contentType = headers.find(([name]) => name.toLowerCase() === 'content-type');
+        const body = this.prepareBody(request.body, contentType ? contentType[1] : '', secret);
+
+        return { method: String(request.method || 'GET').toUpperCase(), url, headers, body, variables: Array.from(variables) };
+    }
+
+    /**
+     * { json } for JSON bodies so formats can write them as objects, { text } otherwise
+     */
+    static prepareBody(text, contentType, secret) {
+        if (!text) {
+            return null;
+        }
+
+        const encoding = BodyParser.getEncoding(contentType || BodyParser.guessMimeType(text));
+        if (encoding === 'json') {
+            try {
+                const walk = (value, key) => {
+                    if (Array.isArray(value)) return value.map(item => walk(item, key));
+                    if (value && typeof value === 'object') {
+                        return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, walk(item, name)]));
+                    }
+                    return typeof value === 'string' ? secret(value, key || 'body') : value;
+                };
+                return { json: walk(JSON.parse(text), null) };
+            } catch {
+                // Sent as text below
+            }
+        }
+
+        if (encoding === 'form') {
+            const pairs = Array.from(new URLSearchParams(text)).map(([name, value]) =>
+                `${encodeURIComponent(name)}=${value === ReplayRequest.getRedactedValue() ? secret(value, name) : encodeURIComponent(value)}`
+            );
+            return { text: pairs.join('&') };
+        }
+
+        return { text: text.split(ReplayRequest.getRedactedValue()).join(secret(ReplayRequest.getRedactedValue(), 'body_secret')) };
+    }
+
+    /**
+     * Split a string into literal text and environment variable names
+     */
+    static splitMarkers(value) {
+        return String(value).split(/\u0001ENV:([A-Z0-9_]+)\u0001/).map((part, index) =>
+            index % 2 === 1 ? { env: part } : part
+        ).filter(part => part !== '');
+    }
+
+    /**
+     * Shell word: single-quoted text with "$NAME" where variables go
+     */
+    static shellString(value) {
+        const parts = this.splitMarkers(value);
+        if (parts.length === 0) return '\'\'';
+        return parts.map(part =>
+            typeof part === 'string' ? `'${part.replace(/'/g, '\'\\\'\'')}'` : `"$${part.env}"`
+        ).join('');
+    }
+
+    /**
+     * String expression joining quoted text and variable lookups with +
+     */
+    static codeString(value, quote, env) {
+        const parts = this.splitMarkers(value);
+        if (parts.length === 0) return `${quote}${quote}`;
+        return parts.map(part => {
+            if (typeof part !== 'string') return env(part.env);
+            const escaped = JSON.stringify(part).slice(1, -1);
+            return quote === '"' ? `"${escaped}"` : `'${escaped.replace(/\\"/g, '"').replace(/'/g, '\\\'')}'`;
+        }).join(' + ');
+    }
+
+    static jsString(value) {
+        return this.codeString(value, '\'', name => `process.env.${name}`);
+    }
+
+    static pythonString(value) {
+        return this.codeString(value, '"', name => `os.environ["${name}"]`);
+    }
+
+    /**
+     * A JSON value as code, re-rendering string tokens and literals for the language
+     */
+    static renderJSON(value, renderString, literals, indent) {
+        const json = JSON.stringify(value, null, 4);
+        return json.replace(/"(?:[^"\\]|\\.)*"|\btrue\b|\bfalse\b|\bnull\b/g, token =>
+            token[0] === '"' ? renderString(JSON.parse(token)) : literals[token]
+        ).replace(/\n/g, `\n${indent}`);
+    }
+
+    static jsValue(value, indent) {
+        return this.renderJSON(value, string => this.jsString(string), { true: 'true', false: 'false', null: 'null' }, indent);
+    }
+
+    static pythonValue(value, indent) {
+        return this.renderJSON(value, string => this.pythonString(string), { true: 'True', false: 'False', null: 'None' }, indent);
+    }
+
+    /**
+     * Body as sent; JSON.stringify escapes the markers' control characters, so they are restored
+     */
+    static bodyText(body) {
+        if (body.json === undefined) return body.text;
+        return JSON.stringify(body.json).replace(/\\u0001ENV:([A-Z0-9_]+)\\u0001/g, (match, name) => this.envMarker(name));
+    }
+
+    static describeVariables(prepared, comment) {
+        if (prepared.variables.length === 0) return '';
+        return `${comment} Redacted when captured; set ${prepared.variables.join(', ')} in the environment first\n`;
+    }
+
+    static toCurl(prepared) {
+        const lines = [`curl ${this.shellString(prepared.url)}`];
+        if (prepared.method === 'HEAD') {
+            lines.push('--head');
+        } else if (prepared.method !== 'GET') {
+            lines.push(`-X ${prepared.method}`);
+        }
+        prepared.headers.forEach(([name, value]) => lines.push(`-H ${this.shellString(`${name}: ${value}`)}`));
+        if (prepared.body) {
+            const text = this.bodyText(prepared.body);
+            lines.push(`--data-raw ${this.shellString(text)}`);
+        }
+        return this.describeVariables(prepared, '#') + lines.join(' \\\n  ');
+    }
+
+    static toHTTPie(prepared) {
+        const words = ['http'];
+        if (prepared.body) {
+            const text = this.bodyText(prepared.body);
+            words.push(`--raw ${this.shellString(text)}`);
+        }
+        words.push(prepared.method, this.shellString(prepared.url));
+        prepared.headers.forEach(([name, value]) => words.push(this.shellString(`${name}:${value}`)));
+        return this.describeVariables(prepared, '#') + words.join(' \\\n  ');
+    }
+
+    static jsHeaders(prepared, indent) {
+        const lines = prepared.headers.map(([name, value]) => `${indent}    ${this.jsString(name)}: ${this.jsString(value)}`);
+        return `{\n${lines.join(',\n')}\n${indent}}`;
+    }
+
+    static toFetch(prepared) {
+        const options = [`    method: '${prepared.method}'`];
+        if (prepared.headers.length > 0) {
+            options.push(`    headers: ${this.jsHeaders(prepared, '    ')}`);
+        }
+        if (prepared.body) {
+            options.push(prepared.body.json !== undefined
+                ? `    body: JSON.stringify(${this.jsValue(prepared.body.json, '    ')})`
+                : `    body: ${this.jsString(prepared.body.text)}`);
+        }
+
+        return this.describeVariables(prepared, '//') +
+            `const response = await fetch(${this.jsString(prepared.url)}, {\n${options.join(',\n')}\n});\n` +
+            'console.log(response.status, await response.text());';
+    }
+
+    static toAxios(prepared) {
+        const options = [`    method: '${prepared.method.toLowerCase()}'`, `    url: ${this.jsString(prepared.url)}`];
+        if (prepared.headers.length > 0) {
+            options.push(`    headers: ${this.jsHeaders(prepared, '    ')}`);
+        }
+        if (prepared.body) {
+            options.push(`    data: ${prepared.body.json !== undefined ? this.jsValue(prepared.body.json, '    ') : this.jsString(prepared.body.text)}`);
+        }
+
+        // An ES module, so the call can await at the top level like the fetch snippet
+        return this.describeVariables(prepared, '//') +
+            'import axios from \'axios\';\n\n' +
+            `const response = await axios({\n${options.join(',\n')}\n});\n` +
+            'console.log(response.status, response.data);';
+    }
+
+    static toPython(prepared) {
+        const imports = prepared.variables.length > 0 ? 'import os\n\nimport requests\n\n' : 'import requests\n\n';
+        const args = [`    ${this.pythonString(prepared.method)}`, `    ${this.pythonString(prepared.url)}`];
+        if (prepared.headers.length > 0) {
+            const lines = prepared.headers.map(([name, value]) => `        ${this.pythonString(name)}: ${this.pythonString(value)}`);
+            args.push(`    headers={\n${lines.join(',\n')}\n    }`);
+        }
+        if (prepared.body) {
+            args.push(prepared.body.json !== undefined
+                ? `    json=${this.pythonValue(prepared.body.json, '    ')}`
+                : `    data=${this.pythonString(prepared.body.text)}`);
+        }
+
+        return this.describeVariables(prepared, '#') + imports +
+            `response = requests.request(\n${args.join(',\n')},\n)\n` +
+            'print(response.status_code, response.text)';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SnippetGenerator;
+} else if (typeof window !== 'undefined') {
+    window.SnippetGenerator = SnippetGenerator;
+}
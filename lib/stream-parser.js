@@ -0,0 +1,119 @@
+/**
+ * Stream Parser - Splits streamed responses into individual events
+ * Handles Server-Sent Events and newline-delimited JSON, fed either chunk
+ * by chunk as the stream arrives or as one finished body
+ */
+
+class StreamParser {
+    /**
+     * Map a response MIME type to a stream format, or null if it isn't one
+     */
+    static getFormat(mimeType = '') {
+        const type = mimeType.toLowerCase();
+
+        if (type.includes('text/event-stream')) return 'sse';
+        if (/ndjson|jsonl|x-json-stream|stream\+json/.test(type)) return 'ndjson';
+        return null;
+    }
+
+    /**
+     * Get the canonical MIME type for a stream format
+     */
+    static getMimeType(format) {
+        return format === 'sse' ? 'text/event-stream' : 'application/x-ndjson';
+    }
+
+    /**
+     * Create parser state for an incremental stream
+     */
+    static createState(format) {
+        return { format, buffer: '' };
+    }
+
+    /**
+     * Feed a chunk into the parser and return every event it completed
+     */
+    static feed(state, chunk) {
+        state.buffer += chunk.replace(/\r\n?/g, '\n');
+
+        const separator = state.format === 'sse' ? '\n\n' : '\n';
+        const parts = state.buffer.split(separator);
+        state.buffer = parts.pop();
+
+        return this.parseParts(state.format, parts);
+    }
+
+    /**
+     * Parse whatever is left once the stream has ended
+     */
+    static flush(state) {
+        const remainder = state.buffer;
+        state.buffer = '';
+        return this.parseParts(state.format, [remainder]);
+    }
+
+    /**
+     * Parse a complete streamed body
+     */
+    static parse(text, format) {
+        const state = this.createState(format);
+        return [...this.feed(state, text), ...this.flush(state)];
+    }
+
+    static parseParts(format, parts) {
+        return parts
+            .map(part => (format === 'sse' ? this.parseSSEBlock(part) : this.parseNDJSONLine(part)))
+            .filter(Boolean);
+    }
+
+    /**
+     * Parse one SSE event block (the lines between two blank lines)
+     */
+    static parseSSEBlock(block) {
+        const event = { event: 'message', data: null, id: null };
+        const data = [];
+
+        block.split('\n').forEach(line => {
+            // Lines starting with a colon are comments / keep-alives
+            if (!line || line.startsWith(':')) return;
+
+            const colon = line.indexOf(':');
+            const field = colon === -1 ? line : line.slice(0, colon);
+            const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+            switch (field) {
+                case 'event':
+                    event.event = value || 'message';
+                    break;
+                case 'data':
+                    data.push(value);
+                    break;
+                case 'id':
+                    event.id = value;
+                    break;
+            }
+        });
+
+        if (data.length === 0) {
+            return null;
+        }
+
+        event.data = data.join('\n');
+        return event;
+    }
+
+    /**
+     * Parse one NDJSON line
+     */
+    static parseNDJSONLine(line) {
+        const trimmed = line.trim();
+        return trimmed ? { event: 'line', data: trimmed, id: null } : null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StreamParser;
+} else if (typeof window !== 'undefined') {
+    window.StreamParser = StreamParser;
+}
@@ -5,43 +5,71 @@
 
 class Utils {
     /**
-     * Sanitize sensitive data from headers and other content
+     * Field names whose string values are redacted from bodies, normalized by
+     * normalizeFieldName so access_token, accessToken and access-token all match
      */
-    static sanitizeSensitiveData(data, sensitiveKeys = []) {
-        if (typeof data !== 'object' || data === null) {
-            return data;
-        }
-
-        const defaultSensitiveKeys = [
-            'authorization', 'cookie', 'set-cookie', 'x-api-key', 'x-csrf-token',
-            'x-auth-token', 'x-access-token', 'x-refresh-token', 'x-session-id',
-            'password', 'secret', 'token', 'key', 'credential'
+    static getSensitiveFieldNames() {
+        return [
+            'authorization', 'cookie', 'setcookie', 'apikey', 'xapikey', 'csrftoken', 'xcsrftoken',
+            'xsrftoken', 'authtoken', 'xauthtoken', 'accesstoken', 'xaccesstoken', 'refreshtoken',
+            'xrefreshtoken', 'idtoken', 'sessionid', 'xsessionid', 'sessiontoken', 'token',
+            'password', 'passwd', 'secret', 'clientsecret', 'credential', 'credentials',
+            'privatekey', 'secretkey', 'accesskey', 'pin', 'passcode', 'otp', 'cvv', 'cvc'
         ];
+    }
 
-        const allSensitiveKeys = [...defaultSensitiveKeys, ...sensitiveKeys];
+    static normalizeFieldName(name) {
+        return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
 
-        if (Array.isArray(data)) {
-            return data.map(item => this.sanitizeSensitiveData(item, allSensitiveKeys));
+    /**
+     * Redact values of sensitive fields in parsed body data.
+     * Names must match exactly, so keywords or sortKey are kept. Every scalar
+     * under a sensitive name is redacted, objects and arrays keep their shape,
+     * and the type of redacted numbers and booleans is noted in redactedTypes
+     * by field name so schema inference can still use it.
+     */
+    static sanitizeSensitiveData(data, sensitiveKeys = [], redactedTypes = {}) {
+        if (typeof data !== 'object' || data === null) {
+            return data;
         }
 
-        const sanitized = {};
-        for (const [key, value] of Object.entries(data)) {
-            const lowerKey = key.toLowerCase();
-            
-            if (allSensitiveKeys.some(sensitive => lowerKey.includes(sensitive))) {
-                sanitized[key] = '[REDACTED]';
-            } else if (typeof value === 'object' && value !== null) {
-                sanitized[key] = this.sanitizeSensitiveData(value, allSensitiveKeys);
-            } else {
-                sanitized[key] = value;
+        const names = new Set([...this.getSensitiveFieldNames(), ...sensitiveKeys].map(name => this.normalizeFieldName(name)));
+        // Everything under a sensitive name, however deeply nested
+        const redact = (key, value) => {
+            if (Array.isArray(value)) {
+                return value.map(item => redact(key, item));
+            }
+            if (value && typeof value === 'object') {
+                return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, redact(name, item)]));
+            }
+            if (typeof value === 'number' || typeof value === 'boolean') {
+                redactedTypes[key] = typeof value;
+            } else if (typeof value !== 'string') {
+                return value;
+            }
+            return '[REDACTED]';
+        };
+        const sanitize = value => {
+            if (Array.isArray(value)) {
+                return value.map(item => sanitize(item));
+            }
+            if (typeof value !== 'object' || value === null) {
+                return value;
             }
-        }
 
-        return sanitized;
+            const sanitized = {};
+            for (const [key, item] of Object.entries(value)) {
+                sanitized[key] = names.has(this.normalizeFieldName(key)) ? redact(key, item) : sanitize(item);
+            }
+            return sanitized;
+        };
+
+        return sanitize(data);
     }
 
     /**
-     * Sanitize headers specifically
+     * Sanitize request and response headers, matching names by substring
      */
     static sanitizeHeaders(headers) {
         if (!Array.isArray(headers)) {
@@ -75,6 +103,71 @@ class Utils {
         return sensitivePatterns.some(pattern => headerName.includes(pattern));
     }
 
+    /**
+     * Query and fragment parameter names whose values are redacted from URLs:
+     * the body field names plus OAuth codes, request signatures and API keys
+     */
+    static getSensitiveParameterNames() {
+        return [
+            ...this.getSensitiveFieldNames(),
+            'code', 'signature', 'sig', 'key', 'jwt', 'xamzsignature', 'xamzcredential',
+            'xamzsecuritytoken', 'xgoogsignature', 'xgoogcredential'
+        ];
+    }
+
+    /**
+     * Redact sensitive query and fragment parameters, such as OAuth codes in redirects.
+     * Names must match exactly, so keyword or country_code are kept, and the
+     * parameters that are kept stay encoded as they were.
+     */
+    static sanitizeURL(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            return url;
+        }
+
+        const names = new Set(this.getSensitiveParameterNames());
+        const decodeName = rawName => {
+            try {
+                return decodeURIComponent(rawName.replace(/\+/g, ' '));
+            } catch {
+                return rawName;
+            }
+        };
+
+        // The raw query string, with only sensitive values replaced; null if none are
+        const redact = query => {
+            let redacted = false;
+            const pairs = query.split('&').map(pair => {
+                const index = pair.indexOf('=');
+                if (index === -1 || !names.has(this.normalizeFieldName(decodeName(pair.slice(0, index))))) {
+                    return pair;
+                }
+                redacted = true;
+                return `${pair.slice(0, index)}=[REDACTED]`;
+            });
+            return redacted ? pairs.join('&') : null;
+        };
+
+        let changed = false;
+        const search = parsed.search && redact(parsed.search.slice(1));
+        if (search) {
+            parsed.search = search;
+            changed = true;
+        }
+
+        // Implicit OAuth flows return tokens in the fragment
+        const hash = parsed.hash.includes('=') && redact(parsed.hash.slice(1));
+        if (hash) {
+            parsed.hash = hash;
+            changed = true;
+        }
+
+        return changed ? parsed.href : url;
+    }
+
     /**
      * Parse URL search parameters
      */
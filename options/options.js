@@ -0,0 +1,235 @@
+class CaptureRulesEditor {
+    constructor() {
+        this.rules = [];
+        this.fields = [
+            { key: 'hosts', label: 'Host globs', placeholder: '*.example.com, api.example.org' },
+            { key: 'pathPattern', label: 'Path regex', placeholder: '^/api/' },
+            { key: 'methods', label: 'Methods', placeholder: 'GET, POST' },
+            { key: 'resourceTypes', label: 'Resource types', placeholder: 'xmlhttprequest, websocket' },
+            { key: 'contentTypes', label: 'Content types', placeholder: 'json, text/event-stream' }
+        ];
+        this.init();
+    }
+
+    init() {
+        this.bindEvents();
+        this.loadRules();
+    }
+
+    bindEvents() {
+        document.getElementById('addRule').addEventListener('click', () => this.addRule());
+        document.getElementById('resetRules').addEventListener('click', () => this.resetRules());
+        document.getElementById('saveRules').addEventListener('click', () => this.saveRules());
+        document.getElementById('runTest').addEventListener('click', () => this.runTest());
+    }
+
+    async loadRules() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_CAPTURE_RULES' });
+            this.rules = (response && response.rules) || CaptureRules.getDefaultRules();
+        } catch (error) {
+            console.error('Failed to load capture rules:', error);
+            this.rules = CaptureRules.getDefaultRules();
+        }
+        this.render();
+    }
+
+    addRule() {
+        this.rules = this.readRules();
+        this.rules.push({
+            id: `rule-${Date.now()}`,
+            name: 'New rule',
+            action: 'include',
+            enabled: true,
+            hosts: [],
+            pathPattern: '',
+            methods: [],
+            resourceTypes: [],
+            contentTypes: []
+        });
+        this.render();
+    }
+
+    resetRules() {
+        this.rules = CaptureRules.getDefaultRules();
+        this.render();
+        this.showStatus('Defaults restored. Save to apply them.');
+    }
+
+    moveRule(index, offset) {
+        this.rules = this.readRules();
+        const target = index + offset;
+        if (target < 0 || target >= this.rules.length) return;
+
+        [this.rules[index], this.rules[target]] = [this.rules[target], this.rules[index]];
+        this.render();
+    }
+
+    removeRule(index) {
+        this.rules = this.readRules();
+        this.rules.splice(index, 1);
+        this.render();
+    }
+
+    async saveRules() {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'UPDATE_CAPTURE_RULES',
+                rules: this.readRules()
+            });
+
+            if (response && response.success) {
+                this.rules = response.rules;
+                this.render();
+                this.showStatus('Rules saved');
+            } else {
+                this.showStatus((response && response.errors || ['Could not save rules']).join('\n'), true);
+            }
+        } catch (error) {
+            console.error('Failed to save capture rules:', error);
+            this.showStatus('Could not save rules', true);
+        }
+    }
+
+    runTest() {
+        const { rules, errors } = CaptureRules.normalize(this.readRules());
+        const contentType = document.getElementById('testContentType').value.trim();
+        const decision = CaptureRules.evaluate(rules, {
+            url: document.getElementById('testUrl').value.trim(),
+            method: document.getElementById('testMethod').value.trim() || 'GET',
+            type: document.getElementById('testType').value.trim(),
+            contentType
+        });
+
+        const result = document.getElementById('testResult');
+        result.className = `test-result ${decision.captured ? 'captured' : 'skipped'}`;
+        result.textContent = `${decision.captured ? '✅ Captured' : '⛔ Skipped'}: ${decision.reason}`;
+        if (errors.length > 0) {
+            result.textContent += ` (ignoring invalid rules: ${errors.join('; ')})`;
+        }
+    }
+
+    showStatus(message, isError = false) {
+        const status = document.getElementById('saveStatus');
+        status.className = `save-status ${isError ? 'error' : ''}`;
+        status.textContent = message;
+    }
+
+    /**
+     * Read the rules back out of the form, in their on-screen order
+     */
+    readRules() {
+        return Array.from(document.querySelectorAll('.rule')).map(element => {
+            const value = key => element.querySelector(`[data-key="${key}"]`);
+            const list = key => value(key).value.split(',').map(item => item.trim()).filter(Boolean);
+
+            return {
+                id: element.dataset.id,
+                name: value('name').value.trim(),
+                action: value('action').value,
+                enabled: value('enabled').checked,
+                hosts: list('hosts'),
+                pathPattern: value('pathPattern').value.trim(),
+                methods: list('methods'),
+                resourceTypes: list('resourceTypes'),
+                contentTypes: list('contentTypes')
+            };
+        });
+    }
+
+    render() {
+        const container = document.getElementById('rulesContainer');
+        container.innerHTML = '';
+
+        if (this.rules.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'empty';
+            empty.textContent = 'No rules: nothing will be captured.';
+            container.appendChild(empty);
+            return;
+        }
+
+        this.rules.forEach((rule, index) => container.appendChild(this.createRuleElement(rule, index)));
+    }
+
+    createRuleElement(rule, index) {
+        const div = document.createElement('div');
+        div.className = `rule rule-${rule.action}`;
+        div.dataset.id = rule.id;
+
+        const header = document.createElement('div');
+        header.className = 'rule-header';
+
+        const enabled = document.createElement('input');
+        enabled.type = 'checkbox';
+        enabled.checked = rule.enabled !== false;
+        enabled.dataset.key = 'enabled';
+        enabled.title = 'Enabled';
+
+        const order = document.createElement('span');
+        order.className = 'rule-order';
+        order.textContent = `${index + 1}.`;
+
+        const name = document.createElement('input');
+        name.type = 'text';
+        name.className = 'rule-name';
+        name.value = rule.name;
+        name.dataset.key = 'name';
+
+        const action = document.createElement('select');
+        action.dataset.key = 'action';
+        ['include', 'exclude'].forEach(option => {
+            const element = document.createElement('option');
+            element.value = option;
+            element.textContent = option === 'include' ? 'Include' : 'Exclude';
+            element.selected = rule.action === option;
+            action.appendChild(element);
+        });
+        action.addEventListener('change', () => {
+            div.className = `rule rule-${action.value}`;
+        });
+
+        header.appendChild(enabled);
+        header.appendChild(order);
+        header.appendChild(name);
+        header.appendChild(action);
+        header.appendChild(this.createButton('↑', 'Move up', () => this.moveRule(index, -1)));
+        header.appendChild(this.createButton('↓', 'Move down', () => this.moveRule(index, 1)));
+        header.appendChild(this.createButton('✕', 'Delete rule', () => this.removeRule(index)));
+        div.appendChild(header);
+
+        const grid = document.createElement('div');
+        grid.className = 'rule-fields';
+
+        this.fields.forEach(field => {
+            const label = document.createElement('label');
+            label.textContent = field.label;
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.placeholder = field.placeholder;
+            input.dataset.key = field.key;
+            input.value = Array.isArray(rule[field.key]) ? rule[field.key].join(', ') : rule[field.key] || '';
+
+            label.appendChild(input);
+            grid.appendChild(label);
+        });
+
+        div.appendChild(grid);
+        return div;
+    }
+
+    createButton(text, title, onClick) {
+        const button = document.createElement('button');
+        button.className = 'icon-btn';
+        button.textContent = text;
+        button.title = title;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+}
+
+// Initialize the editor when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.captureRulesEditor = new CaptureRulesEditor();
+});
@@ -1,13 +1,24 @@
 class APIDiscoveryPopup {
     constructor() {
         this.isDiscovering = false;
-        this.endpoints = [];
+        this.operations = [];
+        this.webSockets = [];
+        this.candidates = [];
+        this.publishedDocuments = [];
+        this.performance = [];
+        this.settings = {};
+        this.storage = null;
+        this.sessionId = null;
+        this.sessions = [];
+        this.scope = null;
+        this.scopeLabel = null;
         this.init();
     }
 
     init() {
         this.bindEvents();
         this.loadState();
+        this.prefillOrigins();
         this.updateUI();
     }
 
@@ -16,12 +27,230 @@ class APIDiscoveryPopup {
         document.getElementById('stopBtn').addEventListener('click', () => this.stopDiscovery());
         document.getElementById('exportYaml').addEventListener('click', () => this.exportYAML());
         document.getElementById('exportJson').addEventListener('click', () => this.exportJSON());
+        document.getElementById('exportHar').addEventListener('click', () => this.exportHAR());
+        document.getElementById('exportAsyncApi').addEventListener('click', () => this.exportAsyncAPI());
+        document.getElementById('exportGraphql').addEventListener('click', () => this.exportGraphQL());
         document.getElementById('clearData').addEventListener('click', () => this.clearData());
+        document.getElementById('captureBodies').addEventListener('change', (event) => this.toggleBodyCapture(event.target));
+        document.getElementById('documentFailures').addEventListener('change', (event) => this.toggleFailureDocs(event.target));
+        document.getElementById('includeCandidates').addEventListener('change', (event) => this.toggleCandidateDocs(event.target));
+        document.getElementById('storageLimit').addEventListener('change', (event) => this.updateStorageLimit(event.target));
+        document.getElementById('sessionSelect').addEventListener('change', (event) => this.switchSession(event.target.value));
+        document.getElementById('sessionCreate').addEventListener('click', () => this.createSession());
+        document.getElementById('sessionRename').addEventListener('click', () => this.renameSession());
+        document.getElementById('sessionDuplicate').addEventListener('click', () => this.duplicateSession());
+        document.getElementById('sessionDelete').addEventListener('click', () => this.deleteSession());
+        document.getElementById('sessionMerge').addEventListener('click', () => this.mergeSession());
+        document.getElementById('probeSpecs').addEventListener('click', () => this.probeSpecs());
+        document.getElementById('exportTitle').addEventListener('change', () => this.updateExportMetadata());
+        document.getElementById('exportVersion').addEventListener('change', () => this.updateExportMetadata());
+        document.querySelectorAll('input[name="scopeMode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.updateUI());
+        });
+        document.getElementById('openRules').addEventListener('click', (event) => {
+            event.preventDefault();
+            chrome.runtime.openOptionsPage();
+        });
+        document.getElementById('openImport').addEventListener('click', (event) => {
+            event.preventDefault();
+            chrome.tabs.create({ url: chrome.runtime.getURL('import/import.html') });
+        });
+        document.getElementById('openReplay').addEventListener('click', (event) => {
+            event.preventDefault();
+            chrome.tabs.create({ url: chrome.runtime.getURL('replay/replay.html') });
+        });
+    }
+
+    async prefillOrigins() {
+        // Suggest the current site so "These origins" is one click away
+        const input = document.getElementById('scopeOrigins');
+        const tab = await this.getActiveTab();
+        if (!input.value && tab && /^https?:/.test(tab.url || '')) {
+            input.value = new URL(tab.url).hostname;
+        }
+    }
+
+    async getActiveTab() {
+        try {
+            const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+            return tab || null;
+        } catch {
+            return null;
+        }
+    }
+
+    async buildScope() {
+        const mode = document.querySelector('input[name="scopeMode"]:checked').value;
+
+        if (mode === 'origins') {
+            return { mode, origins: document.getElementById('scopeOrigins').value };
+        }
+        if (mode === 'tab') {
+            const tab = await this.getActiveTab();
+            return { mode, tabId: tab && tab.id, tabTitle: tab && tab.title, tabURL: tab && tab.url };
+        }
+        return { mode };
+    }
+
+    async toggleBodyCapture(checkbox) {
+        try {
+            if (checkbox.checked) {
+                // Body capture needs the debugger, which is only requested on demand
+                const granted = await chrome.permissions.request({ permissions: ['debugger'] });
+                if (!granted) {
+                    checkbox.checked = false;
+                    this.updateStatus('Debugger permission denied');
+                    return;
+                }
+            }
+
+            const response = await chrome.runtime.sendMessage({
+                type: 'UPDATE_SETTINGS',
+                settings: { captureResponseBodies: checkbox.checked }
+            });
+            this.settings = response.settings;
+            this.updateStatus(checkbox.checked ? 'Response bodies will be captured' : 'Response body capture off');
+        } catch (error) {
+            console.error('Failed to update settings:', error);
+            checkbox.checked = !checkbox.checked;
+            this.updateStatus('Failed to update settings');
+        }
+    }
+
+    async toggleFailureDocs(checkbox) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'UPDATE_SETTINGS',
+                settings: { documentFailedRequests: checkbox.checked }
+            });
+            this.settings = response.settings;
+            this.updateStatus(checkbox.checked ? 'Failed calls will be documented' : 'Failed calls left out of the export');
+        } catch (error) {
+            console.error('Failed to update settings:', error);
+            checkbox.checked = !checkbox.checked;
+            this.updateStatus('Failed to update settings');
+        }
+    }
+
+    async toggleCandidateDocs(checkbox) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'UPDATE_SETTINGS',
+                settings: { includeCandidates: checkbox.checked }
+            });
+            this.settings = response.settings;
+            this.updateStatus(checkbox.checked ? 'Code-only endpoints will be documented' : 'Code-only endpoints left out of the export');
+        } catch (error) {
+            console.error('Failed to update settings:', error);
+            checkbox.checked = !checkbox.checked;
+            this.updateStatus('Failed to update settings');
+        }
+    }
+
+    async updateStorageLimit(input) {
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'UPDATE_SETTINGS',
+                settings: { storageLimitMB: Number(input.value) }
+            });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            this.settings = response.settings;
+            this.updateStatus(`Storage limited to ${this.settings.storageLimitMB} MB`);
+            await this.loadState();
+        } catch (error) {
+            console.error('Failed to update settings:', error);
+            input.value = this.settings.storageLimitMB;
+            this.updateStatus('Failed to update settings');
+        }
+    }
+
+    /**
+     * Send a session command; the popup then reloads everything for the active session
+     */
+    async sendSessionMessage(message, doneStatus) {
+        try {
+            const response = await chrome.runtime.sendMessage(message);
+            if (!response || !response.success) {
+                throw new Error(response && response.error ? response.error : 'Session change failed');
+            }
+            await this.loadState();
+            this.updateStatus(doneStatus);
+            return response;
+        } catch (error) {
+            console.error('Failed to update sessions:', error);
+            this.updateSessions();
+            this.updateStatus(error.message);
+            return null;
+        }
+    }
+
+    getActiveSession() {
+        return this.sessions.find(session => session.id === this.sessionId) || null;
+    }
+
+    async switchSession(sessionId) {
+        await this.sendSessionMessage({ type: 'SWITCH_SESSION', sessionId }, 'Session switched');
+    }
+
+    async createSession() {
+        const input = document.getElementById('sessionName');
+        const response = await this.sendSessionMessage({ type: 'CREATE_SESSION', name: input.value }, 'Session created');
+        if (response) {
+            input.value = '';
+        }
+    }
+
+    async renameSession() {
+        const input = document.getElementById('sessionName');
+        const response = await this.sendSessionMessage(
+            { type: 'RENAME_SESSION', sessionId: this.sessionId, name: input.value },
+            'Session renamed'
+        );
+        if (response) {
+            input.value = '';
+        }
+    }
+
+    async duplicateSession() {
+        await this.sendSessionMessage({ type: 'DUPLICATE_SESSION', sessionId: this.sessionId }, 'Session duplicated');
+    }
+
+    async deleteSession() {
+        const session = this.getActiveSession();
+        if (!session || !confirm(`Delete session "${session.name}" and everything captured in it?`)) {
+            return;
+        }
+        await this.sendSessionMessage({ type: 'DELETE_SESSION', sessionId: session.id }, 'Session deleted');
+    }
+
+    async mergeSession() {
+        const sessionId = document.getElementById('mergeSource').value;
+        if (!sessionId) return;
+        await this.sendSessionMessage({ type: 'MERGE_SESSION', sessionId }, 'Sessions merged');
+    }
+
+    async updateExportMetadata() {
+        await this.sendSessionMessage({
+            type: 'UPDATE_SESSION_METADATA',
+            sessionId: this.sessionId,
+            metadata: {
+                title: document.getElementById('exportTitle').value,
+                version: document.getElementById('exportVersion').value
+            }
+        }, 'Export details saved');
     }
 
     async startDiscovery() {
         try {
-            await chrome.runtime.sendMessage({ type: 'START_DISCOVERY' });
+            const response = await chrome.runtime.sendMessage({ type: 'START_DISCOVERY', scope: await this.buildScope() });
+            if (!response || !response.success) {
+                this.updateStatus(response && response.error ? response.error : 'Error starting discovery');
+                return;
+            }
+
+            await this.loadState();
             this.isDiscovering = true;
             this.updateUI();
             this.updateStatus('Discovering...');
@@ -34,6 +263,7 @@ class APIDiscoveryPopup {
     async stopDiscovery() {
         try {
             await chrome.runtime.sendMessage({ type: 'STOP_DISCOVERY' });
+            await this.loadState();
             this.isDiscovering = false;
             this.updateUI();
             this.updateStatus('Stopped');
@@ -99,12 +329,74 @@ class APIDiscoveryPopup {
         }
     }
 
+    async exportHAR() {
+        try {
+            this.updateStatus('Generating HAR...');
+            const har = await chrome.runtime.sendMessage({ type: 'BUILD_HAR' });
+
+            if (har && har.json) {
+                const blob = new Blob([har.json], { type: 'application/json' });
+                const url = URL.createObjectURL(blob);
+                const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+                const hostname = this.getCurrentHostname();
+
+                chrome.downloads.download({
+                    url,
+                    filename: `traffic-${hostname}-${timestamp}.har`,
+                    saveAs: true
+                });
+
+                this.updateStatus('HAR exported successfully');
+                setTimeout(() => this.updateStatus('Ready'), 2000);
+            } else {
+                this.updateStatus('No data to export');
+            }
+        } catch (error) {
+            console.error('Failed to export HAR:', error);
+            this.updateStatus('Export failed');
+        }
+    }
+
+    async exportAsyncAPI() {
+        try {
+            this.updateStatus('Generating AsyncAPI...');
+            const spec = await chrome.runtime.sendMessage({ type: 'BUILD_ASYNCAPI' });
+            
+            if (spec && spec.yaml) {
+                const blob = new Blob([spec.yaml], { type: 'text/yaml' });
+                const url = URL.createObjectURL(blob);
+                const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+                const hostname = this.getCurrentHostname();
+                
+                chrome.downloads.download({ 
+                    url, 
+                    filename: `asyncapi-${hostname}-${timestamp}.yaml`, 
+                    saveAs: true 
+                });
+                
+                this.updateStatus('AsyncAPI exported successfully');
+                setTimeout(() => this.updateStatus('Ready'), 2000);
+            } else {
+                this.updateStatus('No WebSocket frames to export');
+            }
+        } catch (error) {
+            console.error('Failed to export AsyncAPI:', error);
+            this.updateStatus('Export failed');
+        }
+    }
+
     async clearData() {
         try {
             await chrome.runtime.sendMessage({ type: 'CLEAR_DATA' });
-            this.endpoints = [];
-            this.updateEndpointCount(0);
+            this.operations = [];
+            this.webSockets = [];
+            this.candidates = [];
+            this.publishedDocuments = [];
+            this.updateEndpointCount();
+            this.updateProbeOrigins();
+            this.updatePublishedList();
             this.updateEndpointsList();
+            this.updateCandidatesList();
             this.updateStatus('Data cleared');
             setTimeout(() => this.updateStatus('Ready'), 2000);
         } catch (error) {
@@ -118,31 +410,80 @@ class APIDiscoveryPopup {
             const response = await chrome.runtime.sendMessage({ type: 'GET_STATE' });
             if (response) {
                 this.isDiscovering = response.isDiscovering || false;
-                this.endpoints = response.endpoints || [];
-                this.updateEndpointCount(this.endpoints.length);
+                this.scope = response.scope || null;
+                this.scopeLabel = response.scopeLabel || null;
+                this.operations = response.operations || [];
+                this.webSockets = response.webSockets || [];
+                this.candidates = response.candidates || [];
+                this.publishedDocuments = response.publishedDocuments || [];
+                this.performance = response.performance || [];
+                this.settings = response.settings || {};
+                this.storage = response.storage || null;
+                this.sessionId = response.sessionId || null;
+                this.sessions = response.sessions || [];
+                document.getElementById('captureBodies').checked = Boolean(this.settings.captureResponseBodies);
+                document.getElementById('documentFailures').checked = this.settings.documentFailedRequests !== false;
+                document.getElementById('includeCandidates').checked = Boolean(this.settings.includeCandidates);
+                document.getElementById('storageLimit').value = this.settings.storageLimitMB;
+                this.restoreScope();
+                this.updateSessions();
+                this.updateEndpointCount();
+                this.updateStorageUsage();
                 this.updateEndpointsList();
+                this.updateCandidatesList();
+                this.updateProbeOrigins();
+                this.updatePublishedList();
+                this.updatePerformanceList();
             }
         } catch (error) {
             console.error('Failed to load state:', error);
         }
     }
 
+    restoreScope() {
+        if (!this.scope) return;
+
+        const radio = document.querySelector(`input[name="scopeMode"][value="${this.scope.mode}"]`);
+        if (radio) radio.checked = true;
+        if (this.scope.mode === 'origins') {
+            document.getElementById('scopeOrigins').value = this.scope.origins.join(', ');
+        }
+        this.updateUI();
+    }
+
     updateUI() {
         const startBtn = document.getElementById('startBtn');
         const stopBtn = document.getElementById('stopBtn');
         const exportYaml = document.getElementById('exportYaml');
         const exportJson = document.getElementById('exportJson');
+        const exportHar = document.getElementById('exportHar');
+        const exportAsyncApi = document.getElementById('exportAsyncApi');
+        const exportGraphql = document.getElementById('exportGraphql');
+        const scopeMode = document.querySelector('input[name="scopeMode"]:checked').value;
+
+        // The scope is fixed for the whole session
+        document.querySelectorAll('input[name="scopeMode"]').forEach(radio => {
+            radio.disabled = this.isDiscovering;
+        });
+        document.getElementById('scopeOrigins').disabled = this.isDiscovering || scopeMode !== 'origins';
+        document.getElementById('scopeLabel').textContent = this.isDiscovering && this.scopeLabel ? this.scopeLabel : '—';
 
         if (this.isDiscovering) {
             startBtn.style.display = 'none';
             stopBtn.style.display = 'inline-block';
             exportYaml.disabled = true;
             exportJson.disabled = true;
+            exportHar.disabled = true;
+            exportAsyncApi.disabled = true;
+            exportGraphql.disabled = true;
         } else {
             startBtn.style.display = 'inline-block';
             stopBtn.style.display = 'none';
-            exportYaml.disabled = this.endpoints.length === 0;
-            exportJson.disabled = this.endpoints.length === 0;
+            exportYaml.disabled = this.operations.length === 0;
+            exportJson.disabled = this.operations.length === 0;
+            exportHar.disabled = this.operations.length === 0;
+            exportAsyncApi.disabled = !this.webSockets.some(connection => connection.frameCount > 0);
+            exportGraphql.disabled = !this.operations.some(operation => operation.latest.graphql);
         }
     }
 
@@ -150,15 +491,144 @@ class APIDiscoveryPopup {
         document.getElementById('status').textContent = status;
     }
 
-    updateEndpointCount(count) {
-        document.getElementById('endpointCount').textContent = count;
+    updateEndpointCount() {
+        const calls = this.operations.reduce((total, operation) => total + operation.hits, 0);
+        document.getElementById('endpointCount').textContent = calls > this.operations.length
+            ? `${this.operations.length} (${calls} calls)`
+            : String(this.operations.length);
+    }
+
+    updateSessions() {
+        const select = document.getElementById('sessionSelect');
+        const mergeSource = document.getElementById('mergeSource');
+        select.replaceChildren();
+        mergeSource.replaceChildren();
+
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = 'Merge another session…';
+        mergeSource.appendChild(placeholder);
+
+        this.sessions.forEach(session => {
+            const option = document.createElement('option');
+            option.value = session.id;
+            option.textContent = session.name;
+            select.appendChild(option);
+
+            if (session.id !== this.sessionId) {
+                mergeSource.appendChild(option.cloneNode(true));
+            }
+        });
+        select.value = this.sessionId || '';
+
+        const session = this.getActiveSession();
+        const metadata = session ? session.metadata : {};
+        document.getElementById('exportTitle').value = metadata.title || '';
+        document.getElementById('exportVersion').value = metadata.version || '';
+        document.getElementById('sessionDelete').disabled = this.sessions.length < 2;
+        document.getElementById('sessionMerge').disabled = this.sessions.length < 2;
+    }
+
+    /**
+     * Offer every origin traffic was seen on for probing
+     */
+    updateProbeOrigins() {
+        const select = document.getElementById('probeOrigin');
+        const selected = select.value;
+        const origins = new Set();
+        this.operations.forEach(operation => {
+            try {
+                origins.add(new URL(operation.latest.url).origin);
+            } catch {
+                // Not a URL; nothing to probe
+            }
+        });
+
+        select.innerHTML = '';
+        Array.from(origins).sort().forEach(origin => {
+            const option = document.createElement('option');
+            option.value = origin;
+            option.textContent = origin;
+            select.appendChild(option);
+        });
+        if (origins.has(selected)) select.value = selected;
+        document.getElementById('probeSpecs').disabled = origins.size === 0;
+    }
+
+    async probeSpecs() {
+        const origin = document.getElementById('probeOrigin').value;
+        if (!origin) return;
+
+        const button = document.getElementById('probeSpecs');
+        button.disabled = true;
+        try {
+            this.updateStatus(`Probing ${origin}...`);
+            const response = await chrome.runtime.sendMessage({ type: 'PROBE_SPECS', origin });
+            if (!response.success) {
+                throw new Error(response.error);
+            }
+            await this.loadState();
+            this.updateStatus(response.found.length > 0
+                ? `Found ${response.found.length} published API description${response.found.length === 1 ? '' : 's'}`
+                : 'No published API description found');
+        } catch (error) {
+            console.error('Failed to probe for API descriptions:', error);
+            this.updateStatus(error.message || 'Probing failed');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    updatePublishedList() {
+        const list = document.getElementById('publishedList');
+        list.innerHTML = '';
+        this.publishedDocuments.forEach(published => {
+            const item = document.createElement('div');
+            item.className = 'published-item';
+            const name = [published.title || 'Untitled', published.version].filter(Boolean).join(' ');
+            item.textContent = `${published.kind === 'graphql' ? '◈' : '📘'} ${name} • ${published.operations} operations • ${published.url}`;
+            list.appendChild(item);
+        });
+    }
+
+    updateStorageUsage() {
+        if (!this.storage) return;
+
+        const { usedBytes, limitBytes, persistent } = this.storage;
+        const percent = Math.min(100, (usedBytes / limitBytes) * 100);
+        const bar = document.getElementById('storageBar');
+        bar.style.width = `${percent}%`;
+        bar.classList.toggle('storage-bar-full', percent >= 90);
+
+        const text = document.getElementById('storageText');
+        text.textContent = `${this.formatBytes(usedBytes)} / ${this.formatBytes(limitBytes)}`;
+        text.title = persistent ? '' : 'IndexedDB is unavailable; captures are kept in memory only';
+    }
+
+    /**
+     * Add or replace an operation summary pushed by the background
+     */
+    upsertOperation(operation) {
+        const index = this.operations.findIndex(existing => existing.key === operation.key);
+        if (index === -1) {
+            this.operations.push(operation);
+        } else {
+            this.operations[index] = operation;
+        }
+
+        // A candidate that has now been called is no longer "not yet called"
+        const [path, fragment] = operation.path.split('#');
+        this.candidates = this.candidates.filter(candidate => candidate.kind === 'graphql'
+            ? !fragment || !fragment.split('+').includes(candidate.operationName)
+            : Boolean(fragment) || path !== candidate.path || operation.latest.hostname !== candidate.hostname ||
+                Boolean(candidate.method && candidate.method !== operation.method));
     }
 
     updateEndpointsList() {
         const container = document.getElementById('endpointsContainer');
         const endpointsList = document.getElementById('endpointsList');
         
-        if (this.endpoints.length === 0) {
+        if (this.operations.length === 0 && this.webSockets.length === 0) {
             endpointsList.style.display = 'none';
             return;
         }
@@ -166,15 +636,317 @@ class APIDiscoveryPopup {
         endpointsList.style.display = 'block';
         container.innerHTML = '';
 
-        this.endpoints.forEach(endpoint => {
-            const endpointElement = this.createEndpointElement(endpoint);
+        this.operations.forEach(operation => {
+            // A batched GraphQL request lists each of its operations
+            if (operation.latest.graphql) {
+                operation.latest.graphql.forEach(graphqlOperation => {
+                    container.appendChild(this.createGraphQLElement(operation, graphqlOperation));
+                });
+                return;
+            }
+
+            const endpointElement = this.createEndpointElement(operation);
             container.appendChild(endpointElement);
         });
+
+        this.webSockets.forEach(connection => {
+            container.appendChild(this.createWebSocketElement(connection));
+        });
+    }
+
+    updateCandidatesList() {
+        const container = document.getElementById('candidatesContainer');
+        const candidatesList = document.getElementById('candidatesList');
+
+        if (this.candidates.length === 0) {
+            candidatesList.style.display = 'none';
+            return;
+        }
+
+        candidatesList.style.display = 'block';
+        container.innerHTML = '';
+
+        this.candidates.forEach(candidate => {
+            const div = document.createElement('div');
+            div.className = 'endpoint-item endpoint-candidate';
+
+            const methodSpan = document.createElement('span');
+            const urlDiv = document.createElement('div');
+            urlDiv.className = 'endpoint-url';
+            if (candidate.kind === 'graphql') {
+                methodSpan.className = 'endpoint-method method-graphql';
+                methodSpan.textContent = candidate.operationType.toUpperCase();
+                urlDiv.textContent = candidate.operationName;
+            } else if (candidate.method) {
+                methodSpan.className = `endpoint-method method-${candidate.method.toLowerCase()}`;
+                methodSpan.textContent = candidate.method;
+                urlDiv.textContent = `${candidate.hostname}${candidate.path}`;
+            } else {
+                methodSpan.className = 'endpoint-method method-candidate';
+                methodSpan.textContent = '?';
+                urlDiv.textContent = `${candidate.hostname}${candidate.path}`;
+            }
+
+            const names = { script_bundle: 'script files', script_content: 'page scripts', page_link: 'page links' };
+            const statusDiv = document.createElement('div');
+            statusDiv.className = 'endpoint-status';
+            statusDiv.textContent = `Seen in ${candidate.sources.map(source => names[source] || source).join(' and ')}`;
+
+            div.appendChild(methodSpan);
+            div.appendChild(urlDiv);
+            div.appendChild(statusDiv);
+            container.appendChild(div);
+        });
+    }
+
+    updatePerformanceList() {
+        const container = document.getElementById('performanceContainer');
+        const performanceList = document.getElementById('performanceList');
+        const measured = this.performance.filter(entry => entry.latency || entry.averageResponseSize);
+
+        if (measured.length === 0) {
+            performanceList.style.display = 'none';
+            return;
+        }
+
+        performanceList.style.display = 'block';
+        container.innerHTML = '';
+
+        measured.forEach(entry => {
+            const div = document.createElement('div');
+            div.className = 'endpoint-item';
+
+            const methodSpan = document.createElement('span');
+            methodSpan.className = `endpoint-method method-${entry.method.toLowerCase()}`;
+            methodSpan.textContent = entry.method;
+
+            const pathDiv = document.createElement('div');
+            pathDiv.className = 'endpoint-url';
+            pathDiv.textContent = entry.path;
+
+            const parts = [`${entry.count} calls`];
+            if (entry.latency) {
+                parts.push(`p50 ${entry.latency.p50} ms`, `p95 ${entry.latency.p95} ms`, `p99 ${entry.latency.p99} ms`);
+            }
+            if (entry.averageResponseSize) {
+                parts.push(`avg ${this.formatBytes(entry.averageResponseSize)}`);
+            }
+
+            const statsDiv = document.createElement('div');
+            statsDiv.className = 'endpoint-status';
+            statsDiv.textContent = parts.join(' • ');
+
+            div.appendChild(methodSpan);
+            div.appendChild(pathDiv);
+            div.appendChild(statsDiv);
+            container.appendChild(div);
+        });
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
     }
 
-    createEndpointElement(endpoint) {
+    createWebSocketElement(connection) {
         const div = document.createElement('div');
         div.className = 'endpoint-item';
+
+        const methodSpan = document.createElement('span');
+        methodSpan.className = 'endpoint-method method-ws';
+        methodSpan.textContent = 'WS';
+
+        const urlDiv = document.createElement('div');
+        urlDiv.className = 'endpoint-url';
+        urlDiv.textContent = connection.url;
+
+        const statusDiv = document.createElement('div');
+        statusDiv.className = 'endpoint-status';
+        statusDiv.textContent = `${connection.frameCount} frames • ${connection.closedAt ? 'Closed' : 'Open'}`;
+
+        div.appendChild(methodSpan);
+        div.appendChild(urlDiv);
+        div.appendChild(statusDiv);
+        this.appendWhyCaptured(div, connection.capturedBy);
+
+        return div;
+    }
+
+    createGraphQLElement(record, operation) {
+        const endpoint = record.latest;
+        const div = document.createElement('div');
+        div.className = endpoint.error ? 'endpoint-item endpoint-failed' : 'endpoint-item';
+
+        const methodSpan = document.createElement('span');
+        methodSpan.className = 'endpoint-method method-graphql';
+        methodSpan.textContent = operation.operationType.toUpperCase();
+
+        const urlDiv = document.createElement('div');
+        urlDiv.className = 'endpoint-url';
+        urlDiv.textContent = `${operation.operationName || 'Anonymous operation'} • ${endpoint.url}`;
+
+        const statusDiv = document.createElement('div');
+        statusDiv.className = 'endpoint-status';
+        statusDiv.textContent = operation.persistedQueryHash
+            ? `${this.describeStatus(endpoint)} • Persisted query ${operation.persistedQueryHash.slice(0, 12)}…`
+            : `${this.describeStatus(endpoint)} • GraphQL`;
+
+        div.appendChild(methodSpan);
+        div.appendChild(urlDiv);
+        div.appendChild(statusDiv);
+        this.appendHits(div, record);
+        this.appendTrigger(div, endpoint.trigger);
+        this.appendRedirectChain(div, endpoint);
+        this.appendWhyCaptured(div, endpoint.capturedBy);
+        this.appendReplayLink(div, record);
+        this.appendCopyMenu(div, record);
+
+        return div;
+    }
+
+    appendHits(div, operation) {
+        const statuses = Object.entries(operation.statusCodes)
+            .map(([status, count]) => `${Number(status) || 'failed'}×${count}`)
+            .join(', ');
+
+        const hits = document.createElement('div');
+        hits.className = 'endpoint-hits';
+        hits.textContent = `${operation.hits} ${operation.hits === 1 ? 'call' : 'calls'} • ${statuses} • last ${new Date(operation.lastSeen).toLocaleTimeString()}`;
+        div.appendChild(hits);
+    }
+
+    appendTrigger(div, trigger) {
+        if (!trigger) return;
+
+        const descriptions = {
+            form_submit: trigger.label ? `Submitting the ${trigger.label} form` : 'Submitting a form',
+            search_input: trigger.parameter ? `Typing a search (${trigger.parameter})` : 'Typing a search',
+            navigation: trigger.label ? `Clicking "${trigger.label}"` : 'Following a link'
+        };
+
+        const span = document.createElement('div');
+        span.className = 'endpoint-trigger';
+        span.textContent = `👆 ${descriptions[trigger.type] || trigger.type}`;
+        div.appendChild(span);
+    }
+
+    appendRedirectChain(div, endpoint) {
+        if (!endpoint.redirects || endpoint.redirects.length === 0) return;
+
+        const chain = document.createElement('ol');
+        chain.className = 'endpoint-redirects';
+        chain.title = 'Redirect chain';
+
+        endpoint.redirects.forEach(hop => {
+            const item = document.createElement('li');
+            item.textContent = `${hop.status} ${hop.method} ${hop.url}`;
+            chain.appendChild(item);
+        });
+
+        const final = document.createElement('li');
+        final.textContent = `${endpoint.status || '✖'} ${endpoint.method} ${endpoint.url}`;
+        chain.appendChild(final);
+
+        div.appendChild(chain);
+    }
+
+    appendReplayLink(div, operation) {
+        const link = document.createElement('a');
+        link.href = '#';
+        link.className = 'endpoint-replay';
+        link.textContent = '🔁 Replay';
+        link.addEventListener('click', (event) => {
+            event.preventDefault();
+            chrome.tabs.create({ url: chrome.runtime.getURL(`replay/replay.html?key=${encodeURIComponent(operation.key)}`) });
+        });
+        div.appendChild(link);
+    }
+
+    appendCopyMenu(div, operation) {
+        const select = document.createElement('select');
+        select.className = 'endpoint-copy';
+
+        const prompt = document.createElement('option');
+        prompt.value = '';
+        prompt.textContent = '📋 Copy as…';
+        select.appendChild(prompt);
+
+        SnippetGenerator.getFormats().forEach(format => {
+            const option = document.createElement('option');
+            option.value = format.id;
+            option.textContent = format.label;
+            select.appendChild(option);
+        });
+
+        select.addEventListener('change', () => {
+            const format = select.value;
+            select.value = '';
+            if (format) this.copySnippet(operation, format);
+        });
+        div.appendChild(select);
+    }
+
+    /**
+     * Copy a snippet built from the operation's most recent stored sample
+     */
+    async copySnippet(operation, format) {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_SAMPLES', key: operation.key });
+            if (!response || !response.success || response.samples.length === 0) {
+                throw new Error(response && response.error ? response.error : 'No stored sample');
+            }
+
+            // The reservoir replaces samples in place, so the newest one is found by time
+            const sample = response.samples.reduce((newest, candidate) =>
+                Date.parse(candidate.timestamp) > Date.parse(newest.timestamp) ? candidate : newest
+            );
+            const snippet = SnippetGenerator.generate(ReplayRequest.fromSample(sample), format);
+            await navigator.clipboard.writeText(snippet);
+
+            const label = SnippetGenerator.getFormats().find(entry => entry.id === format).label;
+            this.updateStatus(`Copied ${operation.method} ${operation.path} as ${label}`);
+        } catch (error) {
+            console.error('Failed to copy snippet:', error);
+            this.updateStatus('Failed to copy snippet');
+        }
+    }
+
+    appendWhyCaptured(div, capturedBy) {
+        if (!capturedBy) return;
+
+        const details = document.createElement('details');
+        details.className = 'endpoint-why';
+
+        const summary = document.createElement('summary');
+        summary.textContent = 'Why was this captured?';
+
+        details.appendChild(summary);
+        details.appendChild(document.createTextNode(capturedBy.reason));
+        div.appendChild(details);
+    }
+
+    describeStatus(endpoint) {
+        if (!endpoint.error) {
+            return `Status: ${endpoint.status}`;
+        }
+
+        const labels = {
+            cors: 'Likely CORS rejection',
+            blocked: 'Blocked',
+            cancelled: 'Cancelled',
+            tls: 'TLS error',
+            timeout: 'Timed out',
+            network: 'Network error'
+        };
+        const failure = `✖ ${labels[endpoint.error.kind] || 'Failed'}: ${endpoint.error.message}`;
+        return endpoint.status ? `Status: ${endpoint.status} • ${failure}` : failure;
+    }
+
+    createEndpointElement(operation) {
+        const endpoint = operation.latest;
+        const div = document.createElement('div');
+        div.className = endpoint.error ? 'endpoint-item endpoint-failed' : 'endpoint-item';
         
         const methodClass = `method-${endpoint.method.toLowerCase()}`;
         const methodSpan = document.createElement('span');
@@ -183,19 +955,59 @@ class APIDiscoveryPopup {
         
         const urlDiv = document.createElement('div');
         urlDiv.className = 'endpoint-url';
-        urlDiv.textContent = endpoint.url;
+        urlDiv.textContent = operation.path;
+        urlDiv.title = endpoint.url;
         
         const statusDiv = document.createElement('div');
         statusDiv.className = 'endpoint-status';
-        statusDiv.textContent = `Status: ${endpoint.status} • ${endpoint.contentType || 'Unknown type'}`;
+        statusDiv.textContent = endpoint.stream
+            ? `${this.describeStatus(endpoint)} • ⚡ ${endpoint.stream.format === 'sse' ? 'SSE' : 'NDJSON'} stream • ${endpoint.stream.eventCount} events`
+            : `${this.describeStatus(endpoint)} • ${endpoint.contentType || 'Unknown type'}`;
+        if (typeof endpoint.duration === 'number') {
+            statusDiv.textContent += ` • ${endpoint.duration} ms${endpoint.fromCache ? ' (cache)' : ''}`;
+        }
         
         div.appendChild(methodSpan);
         div.appendChild(urlDiv);
         div.appendChild(statusDiv);
+        this.appendHits(div, operation);
+        this.appendTrigger(div, endpoint.trigger);
+        this.appendRedirectChain(div, endpoint);
+        this.appendWhyCaptured(div, endpoint.capturedBy);
+        this.appendReplayLink(div, operation);
+        this.appendCopyMenu(div, operation);
         
         return div;
     }
 
+    async exportGraphQL() {
+        try {
+            this.updateStatus('Generating GraphQL SDL...');
+            const schema = await chrome.runtime.sendMessage({ type: 'BUILD_GRAPHQL_SDL' });
+            
+            if (schema && schema.sdl) {
+                const blob = new Blob([schema.sdl], { type: 'application/graphql' });
+                const url = URL.createObjectURL(blob);
+                const timestamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+                const hostname = this.getCurrentHostname();
+                
+                chrome.downloads.download({ 
+                    url, 
+                    filename: `schema-${hostname}-${timestamp}.graphql`, 
+                    saveAs: true 
+                });
+                
+                this.updateStatus('GraphQL SDL exported successfully');
+                setTimeout(() => this.updateStatus('Ready'), 2000);
+            } else {
+                this.updateStatus('No GraphQL operations to export');
+            }
+        } catch (error) {
+            console.error('Failed to export GraphQL SDL:', error);
+            this.updateStatus('Export failed');
+        }
+    }
+
     getCurrentHostname() {
         // Try to get current tab's hostname, fallback to generic
         try {
@@ -210,9 +1022,11 @@ class APIDiscoveryPopup {
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'API_EVENT') {
         // Update endpoints list when new API is discovered
-        window.apiDiscoveryPopup.endpoints.push(message);
-        window.apiDiscoveryPopup.updateEndpointCount(window.apiDiscoveryPopup.endpoints.length);
+        window.apiDiscoveryPopup.upsertOperation(message.operation);
+        window.apiDiscoveryPopup.updateEndpointCount();
         window.apiDiscoveryPopup.updateEndpointsList();
+        window.apiDiscoveryPopup.updateCandidatesList();
+        window.apiDiscoveryPopup.updateProbeOrigins();
         window.apiDiscoveryPopup.updateUI();
     }
 });
@@ -0,0 +1,251 @@
+class ReplayPage {
+    constructor() {
+        this.operations = [];
+        this.samples = [];
+        this.init();
+    }
+
+    init() {
+        this.bindEvents();
+        this.loadOperations();
+    }
+
+    bindEvents() {
+        document.getElementById('operationSelect').addEventListener('change', (event) => this.loadSamples(event.target.value));
+        document.getElementById('sampleSelect').addEventListener('change', (event) => this.showSample(Number(event.target.value)));
+        document.getElementById('addQuery').addEventListener('click', () => this.addRow('queryRows', '', ''));
+        document.getElementById('addHeader').addEventListener('click', () => this.addRow('headerRows', '', ''));
+        document.getElementById('sendRequest').addEventListener('click', () => this.sendRequest());
+        document.querySelector('.editor').addEventListener('input', () => this.updateNotes());
+    }
+
+    async loadOperations() {
+        try {
+            const response = await chrome.runtime.sendMessage({ type: 'GET_STATE' });
+            this.operations = (response.operations || []).slice().sort((a, b) =>
+                a.path.localeCompare(b.path) || a.method.localeCompare(b.method)
+            );
+        } catch (error) {
+            console.error('Failed to load endpoints:', error);
+            this.showStatus('Could not load endpoints', true);
+            return;
+        }
+
+        const select = document.getElementById('operationSelect');
+        select.replaceChildren();
+        this.operations.forEach(operation => {
+            const option = document.createElement('option');
+            option.value = operation.key;
+            option.textContent = `${operation.method} ${operation.path}`;
+            select.appendChild(option);
+        });
+
+        if (this.operations.length === 0) {
+            this.showStatus('No endpoints captured in the active session yet.');
+            return;
+        }
+
+        // The popup opens the page on one endpoint
+        const key = new URLSearchParams(location.search).get('key');
+        select.value = this.operations.some(operation => operation.key === key) ? key : this.operations[0].key;
+        this.loadSamples(select.value);
+    }
+
+    async loadSamples(key) {
+        const response = await chrome.runtime.sendMessage({ type: 'GET_SAMPLES', key });
+        if (!response || !response.success) {
+            this.showStatus(response && response.error ? response.error : 'Could not load samples', true);
+            return;
+        }
+
+        // Newest first; the reservoir replaces samples in place, so array order isn't time order
+        this.samples = response.samples.slice().sort((a, b) => Date.parse(b.timestamp) - Date.parse(a.timestamp));
+        const select = document.getElementById('sampleSelect');
+        select.replaceChildren();
+        this.samples.forEach((sample, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = `${sample.status || sample.error || 'No response'} · ${new Date(sample.timestamp).toLocaleString()}` +
+                (sample.replayed ? ' · replay' : '');
+            select.appendChild(option);
+        });
+        this.showSample(0);
+    }
+
+    showSample(index) {
+        const sample = this.samples[index];
+        if (!sample) return;
+
+        const request = ReplayRequest.fromSample(sample);
+        document.getElementById('method').value = request.method;
+        document.getElementById('url').value = request.url;
+        document.getElementById('body').value = request.body;
+        this.bodyIncomplete = request.bodyIncomplete;
+
+        ['queryRows', 'headerRows'].forEach(id => document.getElementById(id).replaceChildren());
+        request.query.forEach(([name, value]) => this.addRow('queryRows', name, value));
+        request.headers.forEach(([name, value]) => this.addRow('headerRows', name, value));
+
+        document.getElementById('sendRequest').disabled = false;
+        this.showStatus('');
+        this.updateNotes();
+    }
+
+    addRow(containerId, name, value) {
+        const row = document.createElement('div');
+        row.className = 'pair';
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'pair-name';
+        nameInput.placeholder = 'Name';
+        nameInput.value = name;
+
+        const valueInput = document.createElement('input');
+        valueInput.type = 'text';
+        valueInput.className = 'pair-value';
+        valueInput.placeholder = 'Value';
+        valueInput.value = value;
+        valueInput.spellcheck = false;
+
+        const remove = document.createElement('button');
+        remove.className = 'icon-btn';
+        remove.textContent = '✕';
+        remove.title = 'Remove';
+        remove.addEventListener('click', () => {
+            row.remove();
+            this.updateNotes();
+        });
+
+        row.appendChild(nameInput);
+        row.appendChild(valueInput);
+        row.appendChild(remove);
+        document.getElementById(containerId).appendChild(row);
+        this.updateNotes();
+    }
+
+    readPairs(containerId) {
+        return Array.from(document.getElementById(containerId).querySelectorAll('.pair')).map(row => [
+            row.querySelector('.pair-name').value,
+            row.querySelector('.pair-value').value
+        ]);
+    }
+
+    readRequest() {
+        return {
+            method: document.getElementById('method').value,
+            url: document.getElementById('url').value,
+            query: this.readPairs('queryRows'),
+            headers: this.readPairs('headerRows'),
+            body: document.getElementById('body').value,
+            sendCookies: document.getElementById('sendCookies').checked
+        };
+    }
+
+    /**
+     * Say what will keep the request from going out as captured
+     */
+    updateNotes() {
+        const request = this.readRequest();
+        const notes = [];
+
+        const redacted = ReplayRequest.findRedacted(request);
+        if (redacted.length > 0) {
+            notes.push(`🔒 Redacted at capture: ${redacted.join(', ')}. Type the real value or remove it to send.`);
+        }
+        const browserHeaders = request.headers
+            .map(([name]) => name.trim())
+            .filter(name => name && ReplayRequest.isBrowserHeader(name));
+        if (browserHeaders.length > 0) {
+            notes.push(`The browser sets ${browserHeaders.join(', ')} itself; these rows are not sent.`);
+        }
+        if (this.bodyIncomplete) {
+            notes.push('The captured body was truncated or held files, so it could not be restored in full.');
+        }
+
+        const container = document.getElementById('requestNotes');
+        container.replaceChildren();
+        notes.forEach(note => {
+            const line = document.createElement('div');
+            line.textContent = note;
+            container.appendChild(line);
+        });
+    }
+
+    async sendRequest() {
+        const request = this.readRequest();
+        try {
+            ReplayRequest.build(request);
+        } catch (error) {
+            this.showStatus(error.message, true);
+            return;
+        }
+
+        const button = document.getElementById('sendRequest');
+        button.disabled = true;
+        this.showStatus('Sending...');
+
+        try {
+            const response = await chrome.runtime.sendMessage({
+                type: 'REPLAY_REQUEST',
+                request,
+                store: document.getElementById('storeReplay').checked
+            });
+            if (!response || !response.success) {
+                throw new Error(response && response.error ? response.error : 'Replay failed');
+            }
+
+            this.showResponse(response);
+            this.showStatus(response.stored ? 'Saved as a new sample in the active session.' : '');
+        } catch (error) {
+            console.error('Failed to replay request:', error);
+            this.showStatus(error.message, true);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    showResponse(response) {
+        document.getElementById('response').style.display = 'block';
+        document.getElementById('responseSummary').textContent =
+            `${response.status} ${response.statusText} · ${response.duration} ms · ${this.formatBytes(response.size)}` +
+            (response.redirected ? ` · redirected to ${response.url}` : '');
+
+        const headers = document.getElementById('responseHeaders');
+        headers.replaceChildren();
+        response.headers.forEach(header => {
+            const line = document.createElement('div');
+            const name = document.createElement('strong');
+            name.textContent = `${header.name}: `;
+            line.appendChild(name);
+            line.appendChild(document.createTextNode(header.value));
+            headers.appendChild(line);
+        });
+
+        let body = response.body;
+        try {
+            body = JSON.stringify(JSON.parse(body), null, 2);
+        } catch {
+            // Not JSON, shown as received
+        }
+        document.getElementById('responseBody').textContent =
+            body + (response.truncated ? '\n\n… only the first megabyte is shown' : '');
+    }
+
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+    }
+
+    showStatus(message, isError = false) {
+        const status = document.getElementById('replayStatus');
+        status.className = `replay-status ${isError ? 'error' : ''}`;
+        status.textContent = message;
+    }
+}
+
+// Initialize the replay page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.replayPage = new ReplayPage();
+});
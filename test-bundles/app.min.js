@@ -0,0 +1,3 @@
+!function(){var a=axios.create({baseURL:"/api"});const api=axios.create({baseURL:"https://api.shop.com"});function u(e){return fetch(`/api/users/${e.id}/orders?status=${encodeURIComponent(status)}`,{method:"POST",headers:{"Content-Type":"application/json"}})}function g(t){return fetch(t+"/api/v2/items/"+t.itemId)}api.put("/v1/carts/"+cartId,{q:1});a.get("/users/"+user.userId);axios.delete(`/api/sessions/${sessionId}`);axios({url:"/api/reports",method:"patch"});var x=new XMLHttpRequest;x.open("GET","/api/legacy/feed?page="+n);const E="/api/v3/config",s='don\'t /api/nope';const img="/static/api/logo.png";fetch(someUrl);fetch("https://cdn.x.com/lib.js");"/graphql";
+const r=/'"`/; const long=`${"x".repeat(3)}`;}();
+//# sourceMappingURL=app.min.js.map
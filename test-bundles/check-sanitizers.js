@@ -0,0 +1,101 @@
+/**
+ * Sanitizer check - Runs the redaction helpers in lib/utils.js on known inputs
+ * and compares the results with what should be stored and exported.
+ * Run with: node test-bundles/check-sanitizers.js
+ */
+
+const assert = require('assert');
+const Utils = require('../lib/utils.js');
+
+// BodyParser uses Utils as a global, like in the background worker
+global.Utils = Utils;
+const BodyParser = require('../lib/body-parser.js');
+
+const cases = {
+    'URL keeps ordinary parameters that only contain a sensitive word': () => {
+        const url = 'https://shop.example.com/search?keyword=shoes&country_code=US&zipcode=10001&sortKey=price';
+        assert.strictEqual(Utils.sanitizeURL(url), url);
+    },
+    'URL redacts secrets by exact name, in any spelling': () => {
+        assert.strictEqual(
+            Utils.sanitizeURL('https://api.example.com/v1?access_token=abc&apiKey=1&API-KEY=2&key=AIza&page=2'),
+            'https://api.example.com/v1?access_token=[REDACTED]&apiKey=[REDACTED]&API-KEY=[REDACTED]&key=[REDACTED]&page=2'
+        );
+    },
+    'URL redacts OAuth codes, signatures and fragment tokens': () => {
+        assert.strictEqual(
+            Utils.sanitizeURL('https://app.example.com/cb?code=xyz&state=s1#access_token=t&token_type=bearer'),
+            'https://app.example.com/cb?code=[REDACTED]&state=s1#access_token=[REDACTED]&token_type=bearer'
+        );
+        assert.strictEqual(
+            Utils.sanitizeURL('https://bucket.example.com/o?X-Amz-Signature=beef&X-Amz-Expires=300&sig=1'),
+            'https://bucket.example.com/o?X-Amz-Signature=[REDACTED]&X-Amz-Expires=300&sig=[REDACTED]'
+        );
+    },
+    'URL leaves the encoding of kept parameters alone': () => {
+        assert.strictEqual(
+            Utils.sanitizeURL('https://api.example.com/search?q=red+shoes&x=%20y&token=abc'),
+            'https://api.example.com/search?q=red+shoes&x=%20y&token=[REDACTED]'
+        );
+    },
+    'URL that does not parse is returned as is': () => {
+        assert.strictEqual(Utils.sanitizeURL('/relative?token=abc'), '/relative?token=abc');
+    },
+    'Body redacts secret strings by exact name and keeps look-alikes': () => {
+        assert.deepStrictEqual(
+            Utils.sanitizeSensitiveData({
+                user: { password: 'hunter2', accessToken: 'abc', keywords: ['a', 'b'], sortKey: 'name', monkey: 1 },
+                items: [{ client_secret: 's', id: 3 }],
+                password_hint: 'pets'
+            }),
+            {
+                user: { password: '[REDACTED]', accessToken: '[REDACTED]', keywords: ['a', 'b'], sortKey: 'name', monkey: 1 },
+                items: [{ client_secret: '[REDACTED]', id: 3 }],
+                password_hint: 'pets'
+            }
+        );
+    },
+    'Body redacts numbers, booleans and everything nested under a secret name': () => {
+        const redactedTypes = {};
+        assert.deepStrictEqual(
+            Utils.sanitizeSensitiveData({ password: 123456, pin: 1234, credentials: { user: 'ann', otpEnabled: false }, count: 2 }, [], redactedTypes),
+            { password: '[REDACTED]', pin: '[REDACTED]', credentials: { user: '[REDACTED]', otpEnabled: '[REDACTED]' }, count: 2 }
+        );
+        assert.deepStrictEqual(redactedTypes, { password: 'number', pin: 'number', otpEnabled: 'boolean' });
+    },
+    'Body parsed for schemas gets placeholders of the redacted type back': () => {
+        const body = BodyParser.sanitize({ mimeType: 'application/json', size: 30, text: '{"pin":1234,"remember":true,"name":"ann"}' });
+        assert.strictEqual(body.text, '{"pin":"[REDACTED]","remember":true,"name":"ann"}');
+        assert.deepStrictEqual(BodyParser.parse(body), { pin: 0, remember: true, name: 'ann' });
+    },
+    'Body redacts form values held in arrays': () => {
+        assert.deepStrictEqual(
+            Utils.sanitizeSensitiveData({ token: ['a', 'b'], name: ['ann'] }),
+            { token: ['[REDACTED]', '[REDACTED]'], name: ['ann'] }
+        );
+    },
+    'Headers are redacted by name': () => {
+        assert.deepStrictEqual(
+            Utils.sanitizeHeaders([
+                { name: 'Authorization', value: 'Bearer abc' },
+                { name: 'X-Goog-Api-Key', value: 'AIza' },
+                { name: 'Accept', value: 'application/json' }
+            ]),
+            { Authorization: '[REDACTED]', 'X-Goog-Api-Key': '[REDACTED]', Accept: 'application/json' }
+        );
+    }
+};
+
+let failures = 0;
+Object.entries(cases).forEach(([name, check]) => {
+    try {
+        check();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}`);
+        console.log(`   ${error.message.split('\n').join('\n   ')}`);
+    }
+});
+
+process.exitCode = failures > 0 ? 1 : 0;
@@ -0,0 +1,99 @@
+/**
+ * Snippet check - Generates every snippet format for a few captured calls and
+ * checks each one with its own toolchain, so a broken template fails here.
+ * JavaScript snippets run as ES modules against a stub fetch and axios, shell
+ * ones are parsed with bash -n and Python ones with ast.parse when python3 is
+ * installed.
+ * Run with: node test-bundles/check-snippets.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+global.Utils = require('../lib/utils.js');
+global.BodyParser = require('../lib/body-parser.js');
+global.ReplayRequest = require('../lib/replay-request.js');
+const SnippetGenerator = require('../lib/snippet-generator.js');
+
+const requests = {
+    'GET with query': {
+        method: 'GET',
+        url: 'https://api.example.com/v1/items',
+        query: [['q', 'it\'s "new"'], ['api_key', '[REDACTED]']],
+        headers: [['Accept', 'application/json']],
+        body: ''
+    },
+    'POST JSON with secrets': {
+        method: 'POST',
+        url: 'https://api.example.com/v1/login',
+        query: [],
+        headers: [['Content-Type', 'application/json'], ['Authorization', '[REDACTED]']],
+        body: JSON.stringify({ user: 'ann', password: '[REDACTED]', remember: true, tags: ['a', null] })
+    },
+    'PUT form body': {
+        method: 'PUT',
+        url: 'https://api.example.com/v1/profile',
+        query: [],
+        headers: [['Content-Type', 'application/x-www-form-urlencoded']],
+        body: 'name=O%27Brien&token=[REDACTED]'
+    },
+    'HEAD without headers': {
+        method: 'HEAD',
+        url: 'https://api.example.com/health',
+        query: [],
+        headers: [],
+        body: ''
+    }
+};
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'snippets-'));
+
+// Stubs answer without touching the network
+const stubResponse = '{ status: 200, data: {}, text: async () => "" }';
+fs.mkdirSync(path.join(dir, 'node_modules', 'axios'), { recursive: true });
+fs.writeFileSync(path.join(dir, 'node_modules', 'axios', 'package.json'), '{ "name": "axios", "type": "module", "main": "index.js" }');
+fs.writeFileSync(path.join(dir, 'node_modules', 'axios', 'index.js'), `export default async () => (${stubResponse});`);
+const stubFetch = `data:text/javascript,globalThis.fetch = async () => (${stubResponse});`;
+const runModule = file => spawnSync(process.execPath, ['--import', stubFetch, file], { cwd: dir, timeout: 10000 });
+
+const hasPython = spawnSync('python3', ['--version']).status === 0;
+const checkers = {
+    curl: file => spawnSync('bash', ['-n', file]),
+    httpie: file => spawnSync('bash', ['-n', file]),
+    fetch: runModule,
+    axios: runModule,
+    python: file => spawnSync('python3', ['-c', 'import ast, sys; ast.parse(open(sys.argv[1]).read())', file])
+};
+const extensions = { curl: 'sh', httpie: 'sh', fetch: 'mjs', axios: 'mjs', python: 'py' };
+
+let failures = 0;
+
+Object.entries(requests).forEach(([name, request]) => {
+    SnippetGenerator.getFormats().forEach(({ id }) => {
+        if (id === 'python' && !hasPython) {
+            console.log(`⏭️  ${name} as ${id}: python3 not installed`);
+            return;
+        }
+
+        const snippet = SnippetGenerator.generate(request, id);
+        const file = path.join(dir, `${id}.${extensions[id]}`);
+        fs.writeFileSync(file, snippet);
+
+        const result = checkers[id](file);
+        const leaked = snippet.includes('[REDACTED]') || snippet.includes('\u0001');
+        if (result.status === 0 && !leaked) {
+            console.log(`✅ ${name} as ${id}`);
+            return;
+        }
+        failures++;
+        console.log(`❌ ${name} as ${id}`);
+        if (leaked) console.log('   redacted value or marker left in the snippet');
+        String(result.stderr || '').trim().split('\n').forEach(line => line && console.log(`   ${line}`));
+        console.log(snippet.replace(/^/gm, '   | '));
+    });
+});
+
+fs.rmSync(dir, { recursive: true, force: true });
+process.exitCode = failures > 0 ? 1 : 0;
@@ -0,0 +1,43 @@
+/**
+ * Bundle scanner check - Scans the fixture bundle and its source map offline
+ * and compares the patterns found with expected.json.
+ * Run with: node test-bundles/check.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const BundleScanner = require('../lib/bundle-scanner.js');
+
+const read = name => fs.readFileSync(path.join(__dirname, name), 'utf8');
+const expected = JSON.parse(read('expected.json'));
+const describe = pattern => `${pattern.method || '*'} ${pattern.value} (${pattern.callSite})`;
+
+const bundle = read('app.min.js');
+const mapName = BundleScanner.findSourceMapURL(bundle);
+const map = JSON.parse(read(mapName));
+
+const found = {
+    'app.min.js': BundleScanner.scan(bundle),
+    // Dependencies in node_modules are left out, like in the background worker
+    [mapName]: BundleScanner.getSourcesContent(map)
+        .flatMap(source => BundleScanner.scan(source, { source: 'source_map' }))
+};
+
+let failures = 0;
+Object.entries(expected).forEach(([file, patterns]) => {
+    const actual = (found[file] || []).map(describe);
+    const wanted = patterns.map(describe);
+    const missing = wanted.filter(pattern => !actual.includes(pattern));
+    const unexpected = actual.filter(pattern => !wanted.includes(pattern));
+
+    if (missing.length === 0 && unexpected.length === 0) {
+        console.log(`✅ ${file}: ${actual.length} patterns`);
+        return;
+    }
+    failures++;
+    console.log(`❌ ${file}`);
+    missing.forEach(pattern => console.log(`   missing     ${pattern}`));
+    unexpected.forEach(pattern => console.log(`   unexpected  ${pattern}`));
+});
+
+process.exitCode = failures > 0 ? 1 : 0;